@@ -1,5 +1,4 @@
-const axios = require('axios');
-const { logApiRequest, logApiResponse, logApiError } = require('../utils/debug');
+const { createHttpClient } = require('../utils/http');
 const ICloudonixApi = require('../interfaces/ICloudonixApi');
 
 /**
@@ -17,78 +16,14 @@ class CloudonixApiService extends ICloudonixApi {
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
 
-    this.client = axios.create({
+    this.client = createHttpClient({
+      name: 'cloudonix',
       baseURL: this.baseUrl,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       }
     });
-
-    // Add request interceptor for debugging
-    this.client.interceptors.request.use(
-      (config) => {
-        logApiRequest(config.method.toUpperCase(), `${config.baseURL}${config.url}`, config.data);
-        if (process.argv.includes('--debug')) {
-          console.log('\n=== Cloudonix API Request ===');
-          console.log(`${config.method.toUpperCase()} ${config.url}`);
-          console.log('Headers:', JSON.stringify(config.headers, null, 2));
-          console.log('Request Data:', JSON.stringify(config.data, null, 2));
-          console.log('========================\n');
-        }
-        return config;
-      },
-      (error) => {
-        logApiError(error, 'CloudonixApiService.js', this._getLineNumber());
-        if (process.argv.includes('--debug')) {
-          console.error('\n=== Cloudonix API Request Error ===');
-          console.error(error);
-          console.error('================================\n');
-        }
-        return Promise.reject(error);
-      }
-    );
-
-    // Add response interceptor for debugging
-    this.client.interceptors.response.use(
-      (response) => {
-        logApiResponse(response);
-        if (process.argv.includes('--debug')) {
-          console.log('\n=== Cloudonix API Response ===');
-          console.log(`Status: ${response.status} ${response.statusText}`);
-          console.log('Headers:', JSON.stringify(response.headers, null, 2));
-          console.log('Response Data:', JSON.stringify(response.data, null, 2));
-          console.log('==========================\n');
-        }
-        return response;
-      },
-      (error) => {
-        logApiError(error, 'CloudonixApiService.js', this._getLineNumber());
-        if (process.argv.includes('--debug')) {
-          console.error('\n=== Cloudonix API Error Response ===');
-          if (error.response) {
-            console.error(`Status: ${error.response.status} ${error.response.statusText}`);
-            console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-            console.error('Error Data:', JSON.stringify(error.response.data, null, 2));
-          } else if (error.request) {
-            console.error('No response received');
-            console.error('Request:', error.request);
-          } else {
-            console.error('Error:', error.message);
-          }
-          console.error('================================\n');
-        }
-        return Promise.reject(error);
-      }
-    );
-  }
-
-  /**
-   * Get the current line number for better error reporting
-   * @private
-   */
-  _getLineNumber() {
-    return new Error().stack.split('\n')[2].match(/:(\d+):/)[1];
   }
 
   /**
@@ -140,6 +75,124 @@ class CloudonixApiService extends ICloudonixApi {
     }
   }
 
+  /**
+   * List the SIP trunks of a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @returns {Promise<Array>} The domain's SIP trunks
+   * @throws {Error} If listing the SIP trunks fails
+   */
+  async listSipTrunks(domainName) {
+    try {
+      const response = await this.client.get(`/customers/self/domains/${domainName}/trunks`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to list SIP trunks for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * Update a SIP trunk in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} trunkId - The SIP trunk ID
+   * @param {Object} trunkData - The SIP trunk fields to update
+   * @returns {Promise<Object>} The updated trunk details
+   * @throws {Error} If updating the SIP trunk fails
+   */
+  async updateSipTrunk(domainName, trunkId, trunkData) {
+    try {
+      const response = await this.client.patch(`/customers/self/domains/${domainName}/trunks/${trunkId}`, trunkData, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update SIP trunk ${trunkId} for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * Delete a SIP trunk from a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} trunkId - The SIP trunk ID
+   * @returns {Promise<boolean>} True if the trunk was deleted, false if it did not exist
+   * @throws {Error} If deleting the SIP trunk fails
+   */
+  async deleteSipTrunk(domainName, trunkId) {
+    try {
+      await this.client.delete(`/customers/self/domains/${domainName}/trunks/${trunkId}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      this._handleError(error, `Failed to delete SIP trunk ${trunkId} for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * List the DNIDs (inbound numbers) of a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @returns {Promise<Array>} The domain's DNIDs
+   * @throws {Error} If listing the DNIDs fails
+   */
+  async listDnids(domainName) {
+    try {
+      const response = await this.client.get(`/customers/self/domains/${domainName}/dnids`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to list DNIDs for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * Create a DNID (inbound number) in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {Object} dnidData - The DNID configuration data
+   * @returns {Promise<Object>} The created DNID
+   * @throws {Error} If creating the DNID fails
+   */
+  async createDnid(domainName, dnidData) {
+    try {
+      const response = await this.client.post(`/customers/self/domains/${domainName}/dnids`, dnidData);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to create DNID for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * Update a DNID (inbound number) in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} dnidId - The DNID ID
+   * @param {Object} dnidData - The DNID fields to update
+   * @returns {Promise<Object>} The updated DNID
+   * @throws {Error} If updating the DNID fails
+   */
+  async updateDnid(domainName, dnidId, dnidData) {
+    try {
+      const response = await this.client.patch(`/customers/self/domains/${domainName}/dnids/${dnidId}`, dnidData, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update DNID ${dnidId} for domain ${domainName}`);
+    }
+  }
+
+  /**
+   * Delete a DNID (inbound number) from a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} dnidId - The DNID ID
+   * @returns {Promise<boolean>} True if the DNID was deleted, false if it did not exist
+   * @throws {Error} If deleting the DNID fails
+   */
+  async deleteDnid(domainName, dnidId) {
+    try {
+      await this.client.delete(`/customers/self/domains/${domainName}/dnids/${dnidId}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      this._handleError(error, `Failed to delete DNID ${dnidId} for domain ${domainName}`);
+    }
+  }
+
   /**
    * Get tenant details from Cloudonix
    * @param {string} tenantId - The tenant ID
@@ -1,103 +1,353 @@
 const chalk = require('chalk');
 const ora = require('ora');
-const { getConfig, saveConfig, getDomainConfig } = require('../utils/config');
-const VapiApiService = require('../services/vapiApi');
-const RetellApiService = require('../services/retellApi');
-const ElevenLabsAgentProvider = require('../services/11LabsAgentProvider');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getConfig, getProviderConfig } = require('../utils/config');
+const { parseCsv, stringifyCsv } = require('../utils/csv');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { emitResult, fail, failWith, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+const { printRoute } = require('./route');
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const RESULT_COLUMNS = ['number', 'domain', 'provider', 'agent', 'label', 'status', 'id', 'sipUri', 'error'];
+// Rows with these statuses in a results file are not provisioned again when it is used as input
+const COMPLETED_STATUSES = ['success', 'skipped'];
 
 async function addNumberCommand(options) {
-    const { domain, provider, number, assistant } = options;
-    const config = getConfig();
-    const domainConfig = getDomainConfig(domain);
+    if (options.file) {
+        await addNumbersFromFile(options);
+        return;
+    }
+
+    const { domain, provider, number, agent, label } = options;
+
+    if (!domain || !provider || !number) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, 'The --domain, --provider and --number options are required unless --file is used.');
+    }
+
+    const connector = new CloudonixVoiceConnector();
+    const spinner = ora(agent && VoiceAgentProviderFactory.getProviderInfo(provider)?.remoteApi
+        ? `Verifying agent ${agent} and adding phone number ${number} to ${provider}...`
+        : `Adding phone number ${number} to ${provider}...`).start();
+    let phoneNumber;
+
+    try {
+        phoneNumber = await connector.addNumber({ domain, provider, number, agent, label });
+
+        spinner.succeed(chalk.green(`Phone number ${number} added successfully to ${provider}`));
 
-    if (!domainConfig) {
-        console.error(chalk.red(`Domain ${domain} not found in configuration.`));
-        process.exit(1);
+        console.log(chalk.cyan('Phone Number Details:'));
+        console.log(chalk.cyan('Number:'), chalk.yellow(number));
+        console.log(chalk.cyan('SIP URI:'), chalk.yellow(phoneNumber.sipUri));
+        console.log(chalk.cyan('ID:'), chalk.yellow(phoneNumber.id));
+        if (agent) {
+            console.log(chalk.cyan('Agent ID:'), chalk.yellow(agent));
+        }
+
+    } catch (error) {
+        failWith(error, ERROR_CODES.API_ERROR, 'Failed to add phone number', { spinner });
     }
 
-    let apiService;
-    let providerConfig;
-
-    switch (provider.toLowerCase()) {
-        case 'vapi':
-            apiService = new VapiApiService(config.vapi.apiKey);
-            providerConfig = config.vapi;
-            break;
-        case 'retell':
-            apiService = new RetellApiService(config.retell.apiKey);
-            providerConfig = config.retell;
-            break;
-        case '11labs':
-        case 'elevenlabs':
-            apiService = new ElevenLabsAgentProvider(config.elevenlabs.apiKey, config.elevenlabs.apiUrl);
-            providerConfig = config.elevenlabs;
-            break;
-        default:
-            console.error(chalk.red(`Unsupported provider: ${provider}`));
-            console.log(chalk.yellow('Currently supported providers: vapi, retell, 11labs'));
-            process.exit(1);
+    if (options.route) {
+        const routeSpinner = ora(`Routing ${number} on ${domain} to ${provider}...`).start();
+        try {
+            phoneNumber.route = await connector.routeNumber({ domain, provider, number });
+            routeSpinner.succeed(chalk.green(`Calls to ${number} are now routed to ${provider}`));
+            printRoute(phoneNumber.route);
+        } catch (error) {
+            failWith(error, ERROR_CODES.API_ERROR, 'Failed to route phone number', {
+                spinner: routeSpinner,
+                hint: `The number was added to ${provider}, retry the routing with 'cx-vcc route --domain ${domain} --provider ${provider} --number ${number}'.`
+            });
+        }
     }
 
-    const spinner = ora(`Adding phone number ${number} to ${provider}...`).start();
+    emitResult(phoneNumber);
+}
+
+/**
+ * Provision every number listed in a CSV or YAML manifest
+ * @param {Object} options - Command options
+ * @param {string} options.file - Path to the manifest
+ * @param {string} options.results - Optional path of the results file
+ * @param {string} options.concurrency - Maximum number of numbers provisioned in parallel
+ * @param {string} options.domain - Default domain for rows that do not set one
+ * @param {string} options.provider - Default provider for rows that do not set one
+ * @param {boolean} options.route - Also route each added number on its Cloudonix domain
+ */
+async function addNumbersFromFile(options) {
+    const { file, domain, provider } = options;
+    const concurrency = parseInt(options.concurrency || '4', 10);
+    const format = getManifestFormat(file);
+    const resultsFile = options.results || defaultResultsFile(file, format);
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Invalid concurrency: ${options.concurrency}`);
+    }
 
+    let rows;
     try {
-        let result;
-        if (provider.toLowerCase() === 'vapi') {
-            result = await apiService.addByoPhoneNumber(domain, number, domainConfig.vapi.trunkCredentialId);
-        } else if (provider.toLowerCase() === 'retell') {
-            result = await apiService.importPhoneNumber(number, domain);
-        } else if (provider.toLowerCase() === '11labs' || provider.toLowerCase() === 'elevenlabs') {
-            // Verify the domain has an inbound SIP URI configured
-            if (!domainConfig.inboundSipUri) {
-                throw new Error(`No inbound SIP URI found for domain ${domain}. Please configure it first.`);
+        rows = readManifest(file, format).map(row => ({
+            number: String(row.number || '').trim(),
+            domain: String(row.domain || domain || '').trim(),
+            provider: String(row.provider || provider || '').trim().toLowerCase(),
+            agent: String(row.agent || '').trim(),
+            label: String(row.label || '').trim(),
+            status: String(row.status || '').trim()
+        }));
+    } catch (error) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Failed to read ${file}: ${error.message}`);
+    }
+
+    if (rows.length === 0) {
+        console.log(chalk.yellow(`No phone numbers found in ${file}.`));
+        emitResult({ file, resultsFile: null, summary: { added: 0, skipped: 0, failed: 0 }, rows: [] });
+        return;
+    }
+
+    console.log(chalk.blue.bold(`Validating ${rows.length} phone numbers from ${file}...`));
+
+    const connector = new CloudonixVoiceConnector();
+    const errors = await validateRows(rows, getConfig(), connector);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+        fail(ERROR_CODES.VALIDATION_FAILED, `Found ${errors.length} invalid rows, nothing was provisioned`, {
+            details: { errors }
+        });
+    }
+
+    const pendingRows = rows.filter(row => !row.status);
+    const skippedCount = rows.length - pendingRows.length;
+    if (skippedCount > 0) {
+        console.log(chalk.yellow(`Skipping ${skippedCount} phone numbers that are already provisioned.`));
+    }
+
+    let completed = 0;
+    const spinner = ora(`Provisioning ${pendingRows.length} phone numbers (concurrency ${concurrency})...`).start();
+
+    await mapWithConcurrency(pendingRows, concurrency, async (row) => {
+        try {
+            // Agents were verified with the rows
+            const phoneNumber = await connector.addNumber({ ...row, checkAgent: false });
+            Object.assign(row, { status: 'success', id: phoneNumber.id, sipUri: phoneNumber.sipUri, error: '' });
+        } catch (error) {
+            Object.assign(row, { status: 'failed', error: error.message });
+        }
+
+        if (options.route && row.status === 'success') {
+            try {
+                await connector.routeNumber(row);
+            } catch (error) {
+                // The number exists at the provider, a re-run would skip it, so point at the route command instead
+                Object.assign(row, { status: 'failed', error: `Added, but routing failed (run 'cx-vcc route'): ${error.message}` });
             }
-            // Use the domain name as the number name for consistency
-            result = await apiService.addPhoneNumber(domain, number, domain);
         }
 
-        spinner.succeed(chalk.green(`Phone number ${number} added successfully to ${provider}`));
+        completed++;
+        const progress = `[${completed}/${pendingRows.length}]`;
+        spinner.clear();
+        if (row.status === 'success') {
+            console.log(chalk.green(`✔ ${progress} ${row.number} added to ${row.provider} (${row.domain}), ID: ${row.id}`));
+        } else {
+            console.log(chalk.red(`✖ ${progress} ${row.number} failed for ${row.provider} (${row.domain}): ${row.error}`));
+        }
+        spinner.text = `Provisioning ${pendingRows.length} phone numbers (${completed} done)...`;
+    });
+
+    spinner.stop();
+
+    try {
+        writeResults(resultsFile, format, rows);
+        console.log(chalk.cyan(`Results written to ${resultsFile}`));
+    } catch (error) {
+        console.error(chalk.red(`Failed to write results to ${resultsFile}: ${error.message}`));
+    }
 
-        // Store the phone number information in the configuration
-        if (!domainConfig[provider.toLowerCase()]) {
-            domainConfig[provider.toLowerCase()] = {};
+    const failedCount = rows.filter(row => row.status === 'failed').length;
+    const succeededCount = pendingRows.length - failedCount;
+    console.log(chalk.green(`${succeededCount} phone numbers added, ${skippedCount} skipped, ${failedCount} failed.`));
+
+    const summary = { added: succeededCount, skipped: skippedCount, failed: failedCount };
+    if (failedCount > 0) {
+        fail(ERROR_CODES.PARTIAL_FAILURE, `${failedCount} phone numbers could not be added`, {
+            hint: `To retry only the failed phone numbers, run: cx-vcc addnumber --file ${resultsFile}`,
+            details: { file, resultsFile, summary, rows: toResultRows(rows) }
+        });
+    }
+
+    emitResult({ file, resultsFile, summary, rows: toResultRows(rows) });
+}
+
+/**
+ * Validate every manifest row before provisioning anything.
+ * Rows that are already configured locally are marked as skipped.
+ * @param {Array<Object>} rows - Normalized manifest rows
+ * @param {Object} config - The full configuration
+ * @param {CloudonixVoiceConnector} connector - Connector used to list the agents
+ * @returns {Promise<Array<string>>} Validation errors
+ */
+async function validateRows(rows, config, connector) {
+    const errors = [];
+    const seen = new Set();
+    const agentsByAccount = {};
+
+    rows.forEach((row, index) => {
+        const rowLabel = `Row ${index + 1} (${row.number || 'no number'})`;
+
+        if (COMPLETED_STATUSES.includes(row.status)) {
+            return;
+        }
+        row.status = '';
+
+        if (!E164_PATTERN.test(row.number)) {
+            errors.push(`${rowLabel}: phone number must be in E.164 format`);
+            return;
+        }
+
+        const info = VoiceAgentProviderFactory.getProviderInfo(row.provider);
+        if (!info) {
+            errors.push(`${rowLabel}: unsupported provider "${row.provider}" (supported: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')})`);
+            return;
         }
-        if (!domainConfig[provider.toLowerCase()].phoneNumbers) {
-            domainConfig[provider.toLowerCase()].phoneNumbers = {};
+        // Aliases of a provider (11labs, elevenlabs) refer to the same numbers
+        row.provider = info.id;
+
+        const key = `${row.provider}:${row.number}`;
+        if (seen.has(key)) {
+            errors.push(`${rowLabel}: duplicate phone number for ${row.provider}`);
+            return;
         }
+        seen.add(key);
 
-        let sipUri = '';
-        let phoneNumberId = '';
-        if (provider.toLowerCase() === 'vapi') {
-            sipUri = result.sipUri;
-            phoneNumberId = result.id;
-        } else if (provider.toLowerCase() === 'retell') {
-            sipUri = `sip:${number}@5t4n6j0wnrl.sip.livekit.cloud:5060;transport=tcp`;
-            phoneNumberId = result.last_modification_timestamp;
-        } else if (provider.toLowerCase() === '11labs' || provider.toLowerCase() === 'elevenlabs') {
-            // Get the SIP URI from the result if available, otherwise construct a default one
-            sipUri = result.termination_uri || result.sip_uri || 
-                     `sip:${number.startsWith('+') ? number.substring(1) : number}@sip.rtc.elevenlabs.io:5060;transport=tcp`;
-            phoneNumberId = result.id || result.phone_number_id;
+        const domainConfig = config.domains[row.domain];
+        if (!domainConfig) {
+            errors.push(`${rowLabel}: domain "${row.domain}" is not configured`);
+            return;
         }
 
-        domainConfig[provider.toLowerCase()].phoneNumbers[number] = {
-            id: phoneNumberId,
-            sipUri: sipUri
-        };
+        const providerConfig = getProviderConfig(config, row.provider, row.domain);
+        if (!VoiceAgentProviderFactory.isConfigured(row.provider, providerConfig)) {
+            errors.push(`${rowLabel}: ${row.provider} is not configured, run 'cx-vcc service --provider ${row.provider}' first`);
+            return;
+        }
 
-        // Save the updated configuration
-        config.domains[domain] = domainConfig;
-        saveConfig(config);
+        const requiresTrunkCredential = VoiceAgentProviderFactory.createProvider(row.provider).requiresTrunkCredential();
+        if (requiresTrunkCredential && !domainConfig[info.configKeys[0]]?.trunkCredentialId) {
+            errors.push(`${rowLabel}: domain ${row.domain} has no ${info.name} trunk credential, create one with 'cx-vcc service --provider ${info.aliases[0]} --name <name> --domain ${row.domain}'`);
+            return;
+        }
 
-        console.log(chalk.cyan('Phone Number Details:'));
-        console.log(chalk.cyan('Number:'), chalk.yellow(number));
-        console.log(chalk.cyan('SIP URI:'), chalk.yellow(domainConfig[provider.toLowerCase()].phoneNumbers[number].sipUri));
-        console.log(chalk.cyan('ID:'), chalk.yellow(phoneNumberId));
+        if (!requiresTrunkCredential && info.remoteApi && !domainConfig.inboundSipUri) {
+            errors.push(`${rowLabel}: domain ${row.domain} has no inbound SIP URI configured`);
+            return;
+        }
 
-    } catch (error) {
-        spinner.fail(chalk.red(`Failed to add phone number: ${error.message}`));
-        process.exit(1);
+        if (info.configKeys.some(configKey => domainConfig[configKey]?.phoneNumbers?.[row.number])) {
+            row.status = 'skipped';
+            row.error = 'Already configured';
+            return;
+        }
+
+        // Providers without an API cannot list their agents, the agent is taken as is
+        if (row.agent && info.remoteApi) {
+            // Domains with their own provider account have their own agents
+            const accountKey = `${row.provider}:${providerConfig.apiKey}`;
+            agentsByAccount[accountKey] = agentsByAccount[accountKey] || { provider: row.provider, domain: row.domain, rows: [] };
+            agentsByAccount[accountKey].rows.push({ row, rowLabel });
+        }
+    });
+
+    // Look agents up once per provider account rather than once per row
+    for (const { provider, domain, rows: agentRows } of Object.values(agentsByAccount)) {
+        let agentIds;
+        try {
+            agentIds = await connector.listAgentIds({ provider, domain });
+        } catch (error) {
+            errors.push(`Failed to list ${provider} agents: ${error.message}`);
+            continue;
+        }
+
+        agentRows.forEach(({ row, rowLabel }) => {
+            if (!agentIds.includes(row.agent)) {
+                errors.push(`${rowLabel}: agent ${row.agent} not found in ${provider}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Determine the manifest format from its file extension
+ * @param {string} file - Path to the manifest
+ * @returns {string} 'csv' or 'yaml'
+ */
+function getManifestFormat(file) {
+    const extension = path.extname(file).toLowerCase();
+    return ['.yaml', '.yml', '.json'].includes(extension) ? 'yaml' : 'csv';
+}
+
+/**
+ * Build the default results file path next to the manifest, e.g. numbers.csv becomes numbers.results.csv
+ * @param {string} file - Path to the manifest
+ * @param {string} format - Manifest format
+ * @returns {string} Results file path
+ */
+function defaultResultsFile(file, format) {
+    const extension = path.extname(file);
+    const baseName = path.basename(file, extension).replace(/\.results$/, '');
+    return path.join(path.dirname(file), `${baseName}.results${extension || (format === 'csv' ? '.csv' : '.yaml')}`);
+}
+
+/**
+ * Read the rows of a CSV or YAML manifest.
+ * YAML manifests are either a list of rows or an object with a 'numbers' list.
+ * @param {string} file - Path to the manifest
+ * @param {string} format - Manifest format
+ * @returns {Array<Object>} Raw rows
+ */
+function readManifest(file, format) {
+    const content = fs.readFileSync(file, 'utf8');
+
+    if (format === 'csv') {
+        return parseCsv(content);
+    }
+
+    const manifest = yaml.load(content) || [];
+    const rows = Array.isArray(manifest) ? manifest : manifest.numbers;
+    if (!Array.isArray(rows)) {
+        throw new Error('expected a list of phone numbers or a "numbers" list');
     }
+    return rows;
+}
+
+/**
+ * Write the provisioning results in the same format as the manifest
+ * @param {string} file - Path of the results file
+ * @param {string} format - Manifest format
+ * @param {Array<Object>} rows - Rows with their provisioning status
+ */
+function writeResults(file, format, rows) {
+    const results = toResultRows(rows);
+    const content = format === 'csv'
+        ? stringifyCsv(results, RESULT_COLUMNS)
+        : yaml.dump({ numbers: results }, { indent: 2 });
+    fs.writeFileSync(file, content, 'utf8');
+}
+
+/**
+ * Keep only the result columns of the rows
+ * @param {Array<Object>} rows - Rows with their provisioning status
+ * @returns {Array<Object>} Result rows, with an empty string for missing values
+ */
+function toResultRows(rows) {
+    return rows.map(row => RESULT_COLUMNS.reduce((result, column) => {
+        result[column] = row[column] || '';
+        return result;
+    }, {}));
 }
 
-module.exports = addNumberCommand;
\ No newline at end of file
+module.exports = addNumberCommand;
@@ -0,0 +1,141 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getConfig, getProviderConfig } = require('../utils/config');
+const { printTable } = require('../utils/table');
+const { emitResult, fail, ERROR_CODES } = require('../utils/output');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+
+/**
+ * List the agents configured in a Voice AI provider
+ * @param {Object} options - Command options
+ * @param {string} options.provider - Service provider name
+ * @param {string} options.domain - Optional domain, selects the domain's own provider account if it has one
+ */
+async function agentsListCommand(options) {
+    const { agentProvider, apiService } = resolveProvider(options.provider, options.domain);
+    const spinner = ora(`Fetching ${agentProvider.name} agents...`).start();
+
+    try {
+        const [agents, phoneNumbers] = await Promise.all([
+            apiService.listAgents(),
+            apiService.listPhoneNumbers()
+        ]);
+        agents.forEach(agent => {
+            agent.numbers = getAgentNumbers(agent, phoneNumbers);
+        });
+        spinner.succeed(chalk.green(`Found ${agents.length} ${agentProvider.name} agents`));
+        emitResult({ provider: agentProvider.id, agents });
+
+        if (agents.length === 0) {
+            return;
+        }
+
+        console.log();
+        printTable(
+            ['ID', 'NAME', 'VOICE', 'MODEL', 'NUMBERS'],
+            agents.map(agent => [
+                agent.id,
+                agent.name || 'N/A',
+                agent.voice || 'N/A',
+                agent.model || 'N/A',
+                agent.numbers.length > 0 ? agent.numbers.join(', ') : '-'
+            ])
+        );
+    } catch (error) {
+        fail(ERROR_CODES.API_ERROR, `Failed to list ${agentProvider.name} agents: ${error.message}`, { spinner });
+    }
+}
+
+/**
+ * Show the details of a single agent
+ * @param {Object} options - Command options
+ * @param {string} options.provider - Service provider name
+ * @param {string} options.domain - Optional domain, selects the domain's own provider account if it has one
+ * @param {string} options.id - The agent ID
+ */
+async function agentsShowCommand(options) {
+    const { agentProvider, apiService } = resolveProvider(options.provider, options.domain);
+    const spinner = ora(`Fetching ${agentProvider.name} agent ${options.id}...`).start();
+
+    try {
+        const [agent, phoneNumbers] = await Promise.all([
+            apiService.getAgent(options.id),
+            apiService.listPhoneNumbers()
+        ]);
+        agent.numbers = getAgentNumbers(agent, phoneNumbers);
+        spinner.stop();
+
+        console.log(chalk.blue.bold(`${agentProvider.name} Agent: ${agent.name || agent.id}`));
+        console.log(chalk.cyan('ID:'), chalk.yellow(agent.id));
+        console.log(chalk.cyan('Name:'), chalk.yellow(agent.name || 'N/A'));
+        console.log(chalk.cyan('Voice:'), chalk.yellow(agent.voice || 'N/A'));
+        console.log(chalk.cyan('Model:'), chalk.yellow(agent.model || 'N/A'));
+        if (agent.numbers.length > 0) {
+            console.log(chalk.cyan('Phone Numbers:'));
+            agent.numbers.forEach(number => console.log(chalk.yellow(`    - ${number}`)));
+        } else {
+            console.log(chalk.cyan('Phone Numbers:'), chalk.yellow('None bound'));
+        }
+        emitResult({ provider: agentProvider.id, agent });
+    } catch (error) {
+        fail(ERROR_CODES.API_ERROR, `Failed to retrieve ${agentProvider.name} agent ${options.id}: ${error.message}`, { spinner });
+    }
+}
+
+/**
+ * Resolve the provider and create its API service, for the account of the domain if it has its own,
+ * exiting if it is unsupported or not configured
+ * @param {string} provider - Service provider name
+ * @param {string} domain - Optional domain
+ * @returns {{agentProvider: Object, apiService: IVoiceAgentProvider}} The provider description and API service
+ */
+function resolveProvider(provider, domain) {
+    const agentProvider = VoiceAgentProviderFactory.getProviderInfo(provider);
+
+    if (!agentProvider) {
+        fail(ERROR_CODES.UNSUPPORTED_PROVIDER, `Unsupported provider: ${provider}`, {
+            hint: `Currently supported providers: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')}`
+        });
+    }
+
+    if (!agentProvider.remoteApi) {
+        fail(ERROR_CODES.UNSUPPORTED_PROVIDER, `${agentProvider.name} has no API to list agents.`, {
+            hint: 'Agents of self-hosted SIP agents are referenced by the {agent} placeholder of the SIP URI template.'
+        });
+    }
+
+    const config = getConfig();
+    if (domain && !config.domains?.[domain]) {
+        fail(ERROR_CODES.DOMAIN_NOT_FOUND, `Domain ${domain} not found in configuration.`);
+    }
+
+    if (!VoiceAgentProviderFactory.isConfigured(agentProvider.id, getProviderConfig(config, agentProvider.id, domain))) {
+        fail(ERROR_CODES.PROVIDER_NOT_CONFIGURED, `${agentProvider.name} is not configured${domain ? ` for ${domain}` : ''}.`, {
+            hint: domain
+                ? `Use 'cx-vcc service --provider ${provider} --apikey YOUR_API_KEY --domain ${domain} --domain-account' to configure it.`
+                : `Use 'cx-vcc service --provider ${provider} --apikey YOUR_API_KEY' to configure it, or pass the --domain of a domain with its own account.`
+        });
+    }
+
+    return {
+        agentProvider,
+        apiService: VoiceAgentProviderFactory.createForDomain(agentProvider.id, config, domain)
+    };
+}
+
+/**
+ * Get the phone numbers bound to an agent
+ * @param {Object} agent - Normalized agent
+ * @param {Array<Object>} phoneNumbers - Normalized phone numbers of the provider
+ * @returns {Array<string>} The numbers
+ */
+function getAgentNumbers(agent, phoneNumbers) {
+    return phoneNumbers
+        .filter(phoneNumber => !phoneNumber.fromLocalConfig && phoneNumber.agentId === agent.id)
+        .map(phoneNumber => phoneNumber.number);
+}
+
+module.exports = {
+    agentsListCommand,
+    agentsShowCommand
+};
@@ -0,0 +1,533 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getConfig, saveConfig, deleteDomainConfig, getProviderConfig } = require('../utils/config');
+const { loadManifest, getManifestProviders, getTrunkProviders } = require('../utils/manifest');
+const { isSameSipHost } = require('../utils/sip');
+const { printTable } = require('../utils/table');
+const { audited } = require('../utils/audit');
+const { emitResult, fail, failWith, confirm, ERROR_CODES } = require('../utils/output');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+
+/**
+ * Audit log actions of the planned actions that do not go through CloudonixVoiceConnector, which records its own
+ */
+const AUDIT_ACTIONS = {
+    'provider:create': 'provider.configure',
+    'provider:update': 'provider.configure',
+    'domain:delete': 'domain.delete',
+    'trunk:create': 'trunk.create',
+    'trunk:update': 'trunk.update',
+    'trunk:delete': 'trunk.delete',
+    'number:import': 'number.import',
+    'number:update': 'number.update'
+};
+
+/**
+ * Order in which planned actions are executed, so that providers and domains exist before
+ * their trunks and numbers are created, and numbers are gone before their trunks and domains are deleted
+ */
+const EXECUTION_ORDER = [
+    'provider:create', 'provider:update',
+    'domain:create', 'domain:update',
+    'trunk:create', 'trunk:update',
+    'number:delete', 'number:import', 'number:create', 'number:update',
+    'trunk:delete',
+    'domain:delete'
+];
+
+const ACTION_VERBS = {
+    create: ['Creating', 'created'],
+    import: ['Importing', 'imported'],
+    update: ['Updating', 'updated'],
+    delete: ['Deleting', 'deleted']
+};
+
+const ACTION_COLORS = {
+    create: chalk.green,
+    import: chalk.cyan,
+    update: chalk.yellow,
+    delete: chalk.red
+};
+
+/**
+ * Apply command to converge the local configuration and the service providers to a desired-state manifest
+ * @param {Object} options - Command options
+ * @param {string} options.file - Path to the manifest (cx-vcc.yaml)
+ * @param {boolean} options.dryRun - Only compute and display the plan
+ * @param {boolean} options.autoApprove - Apply the plan without asking for confirmation
+ */
+async function applyCommand(options) {
+    const { file, dryRun, autoApprove } = options;
+
+    let manifest;
+    let errors;
+    try {
+        ({ manifest, errors } = loadManifest(file));
+    } catch (error) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Failed to read manifest ${file}: ${error.message}`);
+    }
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+        fail(ERROR_CODES.VALIDATION_FAILED, `Manifest ${file} is invalid`, { details: { errors } });
+    }
+
+    const spinner = ora(`Computing changes for ${file}...`).start();
+    const plan = await buildPlan(manifest, getConfig());
+
+    if (plan.errors.length > 0) {
+        spinner.fail(chalk.red('Failed to compute the plan:'));
+        plan.errors.forEach(error => console.error(chalk.red(`  - ${error}`)));
+        fail(ERROR_CODES.API_ERROR, 'Failed to compute the plan', { details: { errors: plan.errors } });
+    }
+    spinner.stop();
+
+    if (plan.actions.length === 0) {
+        console.log(chalk.green('No changes. The configuration and the service providers match the manifest.'));
+        emitResult({ file, dryRun: Boolean(dryRun), applied: 0, actions: [] });
+        return;
+    }
+
+    printApplyPlan(plan.actions);
+
+    const counts = plan.actions.reduce((summary, action) => {
+        summary[action.action] = (summary[action.action] || 0) + 1;
+        return summary;
+    }, { create: 0, import: 0, update: 0, delete: 0 });
+    console.log(chalk.bold(`Plan: ${counts.create} to create, ${counts.import} to import, ${counts.update} to update, ${counts.delete} to delete.`));
+
+    const results = plan.actions.map(action => ({
+        resource: action.resource,
+        action: action.action,
+        domain: action.domain || null,
+        name: action.name,
+        details: action.details || '',
+        status: 'pending'
+    }));
+
+    if (dryRun) {
+        console.log(chalk.yellow('Dry run: no changes were made.'));
+        emitResult({ file, dryRun: true, applied: 0, actions: results });
+        return;
+    }
+
+    if (!autoApprove) {
+        let confirmed;
+        try {
+            confirmed = await confirm('Do you want to apply these changes?');
+        } catch (error) {
+            failWith(error, ERROR_CODES.COMMAND_FAILED, null, { hint: 'Pass --auto-approve or --yes to apply the plan when not running in a terminal.' });
+        }
+
+        if (!confirmed) {
+            console.log(chalk.yellow('Operation cancelled.'));
+            emitResult({ file, dryRun: false, cancelled: true, applied: 0, actions: results });
+            return;
+        }
+    }
+
+    let applied = 0;
+    for (const [index, action] of plan.actions.entries()) {
+        const [progressVerb, doneVerb] = ACTION_VERBS[action.action];
+        const actionSpinner = ora(`${progressVerb} ${action.resource} ${action.name}...`).start();
+        try {
+            await executeAction(action, manifest);
+            actionSpinner.succeed(chalk.green(`${capitalize(action.resource)} ${action.name} ${doneVerb}`));
+            results[index].status = 'applied';
+            applied++;
+        } catch (error) {
+            // Later actions may depend on this one, stop here and let the next run pick up the rest
+            Object.assign(results[index], { status: 'failed', error: error.message });
+            fail(ERROR_CODES.PARTIAL_FAILURE, `Failed to ${action.action} ${action.resource} ${action.name}: ${error.message}`, {
+                spinner: actionSpinner,
+                hint: `${applied} of ${plan.actions.length} changes applied. Fix the error and run 'cx-vcc apply -f ${file}' again to apply the remaining changes.`,
+                details: { file, applied, actions: results }
+            });
+        }
+    }
+
+    console.log(chalk.green(`Apply complete. ${applied} changes applied.`));
+    emitResult({ file, dryRun: false, applied, actions: results });
+}
+
+/**
+ * Compute the actions needed to converge to the manifest, in execution order
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} config - The full configuration
+ * @returns {Promise<{actions: Array<Object>, errors: Array<string>}>} Planned actions and planning errors
+ */
+async function buildPlan(manifest, config) {
+    const actions = [];
+    const errors = [];
+
+    // Provider API keys: providers that are not in the manifest are left untouched
+    for (const [provider, desired] of Object.entries(manifest.providers)) {
+        const current = config[provider]?.apiKey;
+        if (current !== desired.apiKey) {
+            actions.push({
+                resource: 'provider',
+                action: current ? 'update' : 'create',
+                provider,
+                name: VoiceAgentProviderFactory.getProviderInfo(provider).name,
+                details: current ? 'API key changed' : 'API key'
+            });
+        }
+    }
+
+    // Domains: the manifest lists every domain that should remain configured
+    const domainNames = Array.from(new Set([...Object.keys(config.domains || {}), ...Object.keys(manifest.domains)]));
+    for (const domainName of domainNames) {
+        const desired = manifest.domains[domainName];
+        const current = config.domains[domainName];
+        if (!desired) {
+            actions.push({ resource: 'domain', action: 'delete', domain: domainName, name: domainName, details: 'Not in manifest' });
+        } else if (!current) {
+            actions.push({ resource: 'domain', action: 'create', domain: domainName, name: domainName, details: 'Verify with Cloudonix' });
+        } else if (current.apiKey !== desired.apiKey) {
+            actions.push({ resource: 'domain', action: 'update', domain: domainName, name: domainName, details: 'API key changed' });
+        }
+    }
+
+    // Live services are queried with the domain's own provider account, then the manifest's API keys when they set one
+    const getApiKey = (provider, domainName) => config.domains[domainName]?.[provider]?.apiKey
+        || manifest.providers[provider]?.apiKey || config[provider]?.apiKey;
+    const createService = (provider, domainName) => {
+        const providerConfig = getProviderConfig(config, provider, domainName);
+        return VoiceAgentProviderFactory
+            .createProvider(provider, getApiKey(provider, domainName), providerConfig.apiUrl, providerConfig);
+    };
+
+    for (const domainName of domainNames) {
+        const trunks = manifest.domains[domainName]?.trunks || {};
+        const domainConfig = config.domains[domainName] || {};
+
+        for (const provider of getTrunkProviders()) {
+            const desired = trunks[provider];
+            const trunkCredentialId = domainConfig[provider]?.trunkCredentialId;
+            const trunkAction = { resource: 'trunk', domain: domainName, provider, name: `${VoiceAgentProviderFactory.getProviderInfo(provider).name} ${desired?.name || trunkCredentialId}` };
+
+            if (desired && !trunkCredentialId) {
+                actions.push({ ...trunkAction, action: 'create', trunkName: desired.name, details: `Gateway: ${domainConfig.inboundSipUri || 'domain inbound SIP URI'}` });
+            } else if (!desired && trunkCredentialId) {
+                actions.push({ ...trunkAction, action: 'delete', trunkCredentialId, details: `Credential ${trunkCredentialId}` });
+            } else if (desired && domainConfig.inboundSipUri) {
+                // Trunks that exist remotely must still point at the domain, the others only exist locally
+                try {
+                    const trunk = await createService(provider, domainName).getSipTrunkConnection(trunkCredentialId);
+                    const gateways = trunk?.gateways || [];
+                    if (trunk && !gateways.some(gateway => isSameSipHost(gateway, domainConfig.inboundSipUri))) {
+                        actions.push({
+                            ...trunkAction,
+                            action: 'update',
+                            trunkCredentialId,
+                            details: `Gateway: ${gateways.join(', ') || 'N/A'} -> ${domainConfig.inboundSipUri}`
+                        });
+                    }
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+        }
+    }
+
+    // Numbers: compare the manifest with the local configuration and the numbers that exist remotely
+    const desiredNumbers = domainNames.flatMap(domainName =>
+        (manifest.domains[domainName]?.numbers || []).map(number => ({ ...number, domain: domainName })));
+
+    for (const provider of getManifestProviders()) {
+        const { name: providerName, configKeys } = VoiceAgentProviderFactory.getProviderInfo(provider);
+        const localNumbers = collectLocalNumbers(config, domainNames, configKeys);
+        const desiredForProvider = desiredNumbers.filter(number => number.provider === provider);
+
+        if (localNumbers.length === 0 && desiredForProvider.length === 0) {
+            continue;
+        }
+
+        // Fetch the remote numbers once per provider account used by the managed domains
+        const numberDomains = new Set([...localNumbers, ...desiredForProvider].map(entry => entry.domain));
+        const remoteByAccount = new Map();
+        let fetchFailed = false;
+        for (const domainName of numberDomains) {
+            const apiKey = getApiKey(provider, domainName);
+            if (!apiKey) {
+                errors.push(`${providerName} phone numbers are managed but ${providerName} is not configured, add it to the manifest's providers`);
+                fetchFailed = true;
+                break;
+            }
+            if (remoteByAccount.has(apiKey)) {
+                continue;
+            }
+            try {
+                const remoteNumbers = await createService(provider, domainName).listPhoneNumbers();
+                remoteByAccount.set(apiKey, {
+                    // Numbers synthesized from the local configuration (by providers without an API, such as the SIP one) say nothing about the remote state
+                    known: !remoteNumbers.some(remoteNumber => remoteNumber.fromLocalConfig),
+                    byNumber: new Map(remoteNumbers.map(remoteNumber => [remoteNumber.number, remoteNumber]))
+                });
+            } catch (error) {
+                errors.push(`Failed to fetch remote ${providerName} phone numbers: ${error.message}`);
+                fetchFailed = true;
+                break;
+            }
+        }
+        if (fetchFailed) {
+            continue;
+        }
+        const isDesired = (entry) => desiredForProvider.some(number => number.number === entry.number && number.domain === entry.domain);
+        const deleted = new Set();
+
+        localNumbers.filter(entry => !isDesired(entry)).forEach(entry => {
+            deleted.add(entry.number);
+            actions.push({
+                resource: 'number',
+                action: 'delete',
+                domain: entry.domain,
+                provider,
+                name: entry.number,
+                number: entry.number,
+                details: `${providerName}, not in manifest`
+            });
+        });
+
+        for (const desired of desiredForProvider) {
+            const local = localNumbers.find(entry => entry.number === desired.number && entry.domain === desired.domain);
+            const { known: remoteKnown, byNumber: remoteByNumber } = remoteByAccount.get(getApiKey(provider, desired.domain));
+            const remote = remoteKnown ? remoteByNumber.get(desired.number) : null;
+            const numberAction = {
+                resource: 'number',
+                domain: desired.domain,
+                provider,
+                name: desired.number,
+                number: desired.number,
+                agent: desired.agent,
+                label: desired.label
+            };
+            const agentChanged = Boolean(desired.agent && remote && remote.agentId !== desired.agent);
+
+            if (local && (remote || !remoteKnown)) {
+                if (agentChanged) {
+                    actions.push({
+                        ...numberAction,
+                        action: 'update',
+                        remoteId: remote.id,
+                        details: `${providerName} agent: ${remote.agentId || 'N/A'} -> ${desired.agent}`
+                    });
+                }
+            } else if (remote && !deleted.has(desired.number)) {
+                actions.push({
+                    ...numberAction,
+                    action: 'import',
+                    remoteId: remote.id,
+                    sipUri: remote.sipUri,
+                    updateAgent: agentChanged,
+                    details: `${providerName}, exists remotely${agentChanged ? `, agent: ${remote.agentId || 'N/A'} -> ${desired.agent}` : ''}`
+                });
+            } else {
+                actions.push({
+                    ...numberAction,
+                    action: 'create',
+                    details: `${providerName}${local ? ', missing remotely' : ''}${desired.agent ? `, agent: ${desired.agent}` : ''}`
+                });
+            }
+        }
+    }
+
+    actions.sort((a, b) => EXECUTION_ORDER.indexOf(`${a.resource}:${a.action}`) - EXECUTION_ORDER.indexOf(`${b.resource}:${b.action}`));
+
+    return { actions, errors };
+}
+
+/**
+ * Execute a single planned action, recording it in the audit log
+ * @param {Object} action - Planned action
+ * @param {Object} manifest - Normalized manifest
+ */
+async function executeAction(action, manifest) {
+    const auditAction = AUDIT_ACTIONS[`${action.resource}:${action.action}`];
+    if (!auditAction) {
+        return runAction(action, manifest);
+    }
+    return audited({
+        action: auditAction,
+        domain: action.domain,
+        provider: action.provider,
+        number: action.number,
+        ids: { id: action.remoteId, trunkCredentialId: action.trunkCredentialId, agentId: action.agent }
+    }, () => runAction(action, manifest), trunk => (trunk?.id ? { trunkCredentialId: trunk.id } : {}));
+}
+
+/**
+ * Run a single planned action
+ * @param {Object} action - Planned action
+ * @param {Object} manifest - Normalized manifest
+ * @returns {Promise<Object|undefined>} The trunk created by a trunk creation
+ */
+async function runAction(action, manifest) {
+    switch (`${action.resource}:${action.action}`) {
+        case 'provider:create':
+        case 'provider:update': {
+            const { apiKey } = manifest.providers[action.provider];
+            const apiService = VoiceAgentProviderFactory.createProvider(action.provider, apiKey, getConfig()[action.provider]?.apiUrl);
+            await apiService.verifyApiKey();
+
+            // Reload the configuration, it may have been saved meanwhile
+            const config = getConfig();
+            config[action.provider] = {
+                ...config[action.provider],
+                apiKey,
+                apiUrl: apiService.baseUrl
+            };
+            saveConfig(config);
+            return;
+        }
+        case 'domain:create':
+        case 'domain:update': {
+            // Keeps the trunks and numbers already stored for the domain
+            await new CloudonixVoiceConnector().configureDomain({ domain: action.domain, apiKey: manifest.domains[action.domain].apiKey });
+            return;
+        }
+        case 'domain:delete':
+            deleteDomainConfig(action.domain);
+            return;
+        case 'trunk:create':
+        case 'trunk:update':
+        case 'trunk:delete':
+            return executeTrunkAction(action);
+        case 'number:create':
+            await new CloudonixVoiceConnector().addNumber({
+                domain: action.domain,
+                provider: action.provider,
+                number: action.number,
+                agent: action.agent,
+                label: action.label,
+                checkAgent: false
+            });
+            return;
+        case 'number:import':
+        case 'number:update':
+            await executeNumberUpdate(action);
+            return;
+        case 'number:delete':
+            await new CloudonixVoiceConnector().removeNumber({ domain: action.domain, provider: action.provider, number: action.number });
+            return;
+        default:
+            throw new Error(`Unsupported action ${action.action} for ${action.resource}`);
+    }
+}
+
+/**
+ * Create, update or delete the trunk credential of a domain
+ * @param {Object} action - Planned trunk action
+ * @returns {Promise<Object|undefined>} The trunk, when created
+ */
+async function executeTrunkAction(action) {
+    const config = getConfig();
+    const domainConfig = config.domains[action.domain];
+    const providerConfig = getProviderConfig(config, action.provider, action.domain);
+    const apiService = VoiceAgentProviderFactory.createProvider(action.provider, providerConfig.apiKey, providerConfig.apiUrl, providerConfig);
+
+    if (action.action === 'delete') {
+        // Providers whose trunks only exist in the local configuration have nothing to delete remotely
+        await apiService.deleteSipTrunkConnection(action.trunkCredentialId);
+        const updatedConfig = getConfig();
+        delete updatedConfig.domains[action.domain]?.[action.provider]?.trunkCredentialId;
+        saveConfig(updatedConfig);
+        return;
+    }
+
+    if (!domainConfig?.inboundSipUri) {
+        throw new Error(`Domain ${action.domain} does not have an inbound SIP URI configured`);
+    }
+
+    if (action.action === 'update') {
+        await apiService.updateSipTrunkConnection(action.trunkCredentialId, domainConfig.inboundSipUri);
+        return;
+    }
+
+    const trunk = await apiService.createSipTrunkConnection(action.trunkName, domainConfig.inboundSipUri);
+    const updatedConfig = getConfig();
+    const updatedDomainConfig = updatedConfig.domains[action.domain];
+    updatedDomainConfig[action.provider] = {
+        ...updatedDomainConfig[action.provider],
+        trunkCredentialId: trunk.id
+    };
+    saveConfig(updatedConfig);
+    return trunk;
+}
+
+/**
+ * Bind an existing number to its agent and store it in the local configuration
+ * @param {Object} action - Planned number import or update
+ */
+async function executeNumberUpdate(action) {
+    if (action.action === 'update' || action.updateAgent) {
+        await VoiceAgentProviderFactory.createForDomain(action.provider, getConfig(), action.domain)
+            .setPhoneNumberAgent({ number: action.number, id: action.remoteId }, action.agent);
+    }
+
+    // Reload the configuration, it may have been saved meanwhile
+    const updatedConfig = getConfig();
+    const domainConfig = updatedConfig.domains[action.domain];
+    const { configKeys } = VoiceAgentProviderFactory.getProviderInfo(action.provider);
+    const configKey = configKeys.find(key => domainConfig[key]?.phoneNumbers?.[action.number]) || configKeys[0];
+
+    if (!domainConfig[configKey]) {
+        domainConfig[configKey] = {};
+    }
+    if (!domainConfig[configKey].phoneNumbers) {
+        domainConfig[configKey].phoneNumbers = {};
+    }
+
+    const phoneNumberConfig = domainConfig[configKey].phoneNumbers[action.number] || {};
+    domainConfig[configKey].phoneNumbers[action.number] = {
+        ...phoneNumberConfig,
+        ...(action.action === 'import' && { id: action.remoteId, sipUri: action.sipUri }),
+        ...(action.agent && { agentId: action.agent })
+    };
+    saveConfig(updatedConfig);
+}
+
+/**
+ * Collect the phone numbers stored for a provider in the given domains
+ * @param {Object} config - The full configuration
+ * @param {Array<string>} domainNames - Domains to collect from
+ * @param {Array<string>} configKeys - Keys the provider's phone numbers may be stored under
+ * @returns {Array<Object>} Entries with number and domain
+ */
+function collectLocalNumbers(config, domainNames, configKeys) {
+    const entries = [];
+
+    for (const domainName of domainNames) {
+        const domainConfig = config.domains[domainName] || {};
+        const numbers = new Set(configKeys.flatMap(configKey => Object.keys(domainConfig[configKey]?.phoneNumbers || {})));
+        numbers.forEach(number => entries.push({ number, domain: domainName }));
+    }
+
+    return entries;
+}
+
+/**
+ * Print planned actions as a colored table
+ * @param {Array<Object>} actions - Planned actions
+ */
+function printApplyPlan(actions) {
+    console.log(chalk.bold('\nApply plan:'));
+    printTable(
+        ['RESOURCE', 'DOMAIN', 'NAME', 'ACTION', 'DETAILS'],
+        actions.map(action => [action.resource, action.domain || '-', action.name, action.action, action.details || '']),
+        actions.map(action => ACTION_COLORS[action.action])
+    );
+    console.log();
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} text - The word
+ * @returns {string} The capitalized word
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = applyCommand;
@@ -0,0 +1,69 @@
+const chalk = require('chalk');
+const { printTable } = require('../utils/table');
+const { readAudit, getAuditFile } = require('../utils/audit');
+const { getActiveProfile } = require('../utils/profiles');
+const { emitResult, fail, ERROR_CODES } = require('../utils/output');
+
+const OUTCOME_COLORS = {
+    success: undefined,
+    failure: chalk.red
+};
+
+/**
+ * Audit command to list the recorded provisioning operations, oldest first
+ * @param {Object} options - Command options
+ * @param {string} options.since - Only the operations from this date or duration (e.g. 2025-06-01 or 7d)
+ * @param {string} options.until - Only the operations before this date or duration
+ * @param {string} options.domain - Only the operations of this domain
+ * @param {string} options.number - Only the operations of this phone number
+ * @param {string} options.provider - Only the operations of this provider
+ * @param {string} options.action - Only the operations of this action (e.g. number.add) or group (e.g. number)
+ * @param {boolean} options.allProfiles - Include the operations of every profile, not only the active one's
+ * @param {string} options.limit - Only the most recent operations, at most this many
+ */
+function auditCommand(options) {
+    const { since, until, domain, number, provider, action, allProfiles } = options;
+    const limit = options.limit !== undefined ? Number(options.limit) : undefined;
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Invalid limit: ${options.limit}`);
+    }
+
+    let records;
+    try {
+        records = readAudit({
+            since,
+            until,
+            domain,
+            number,
+            provider,
+            action,
+            profile: allProfiles ? undefined : getActiveProfile(),
+            limit
+        });
+    } catch (error) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, error.message);
+    }
+
+    if (records.length === 0) {
+        console.log(chalk.yellow(`No recorded operations match, the audit log is ${getAuditFile()}`));
+    } else {
+        printTable(
+            ['TIME', ...(allProfiles ? ['PROFILE'] : []), 'ACTION', 'DOMAIN', 'PROVIDER', 'NUMBER', 'IDS', 'OUTCOME'],
+            records.map(record => [
+                record.timestamp,
+                ...(allProfiles ? [record.profile] : []),
+                record.action,
+                record.domain || '',
+                record.provider || '',
+                record.number || '',
+                Object.entries(record.ids || {}).map(([name, id]) => `${name}=${id}`).join(' '),
+                record.outcome === 'failure' ? `failure: ${record.error}` : record.outcome
+            ]),
+            records.map(record => OUTCOME_COLORS[record.outcome])
+        );
+    }
+
+    emitResult({ file: getAuditFile(), records });
+}
+
+module.exports = auditCommand;
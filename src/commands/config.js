@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { printTable } = require('../utils/table');
+const { diffLines } = require('../utils/diff');
+const { redactSecret } = require('../utils/redact');
+const { recordAudit } = require('../utils/audit');
+const { parseSecretReference } = require('../utils/secrets');
+const { getConfigFile, checkConfigFile, rollbackConfig } = require('../utils/config');
+const { getBackupDir, listBackups, getBackup } = require('../utils/backups');
+const { confirm, emitResult, fail, failWith, ERROR_CODES } = require('../utils/output');
+
+const DIFF_COLORS = {
+    context: text => text,
+    removed: chalk.red,
+    added: chalk.green
+};
+
+/**
+ * Count the domains of a configuration file
+ * @param {string} file - Path to the configuration file
+ * @returns {number|null} Number of domains, null if the file cannot be parsed
+ */
+function countDomains(file) {
+    try {
+        return Object.keys(yaml.load(fs.readFileSync(file, 'utf8'))?.domains || {}).length;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get a backup by its number, failing the command if there is none
+ * @param {string} number - Backup number
+ * @returns {Object} The backup
+ */
+function findBackup(number) {
+    try {
+        return getBackup(number);
+    } catch (error) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, error.message, { hint: `Use 'cx-vcc config history' to list the backups.` });
+    }
+}
+
+/**
+ * Redact the API keys stored in plaintext in a line of a configuration file, secret references are kept
+ * @param {string} line - Line of the configuration file
+ * @returns {string} The line
+ */
+function redactLine(line) {
+    return line.replace(/^(\s*(?:apiKey|password):\s*)(['"]?)(.*)\2\s*$/, (match, key, quote, value) =>
+        (!value || parseSecretReference(value) ? match : `${key}${redactSecret(value)}`));
+}
+
+/**
+ * List the backups of the configuration, the most recent first
+ */
+function configHistoryCommand() {
+    const backups = listBackups().map(backup => ({
+        number: backup.number,
+        time: backup.time.toISOString(),
+        domains: countDomains(backup.file),
+        file: backup.file,
+        vault: Boolean(backup.vaultFile)
+    }));
+
+    if (backups.length === 0) {
+        console.log(chalk.yellow(`There is no configuration backup yet in ${getBackupDir()}`));
+    } else {
+        console.log(chalk.bold('Configuration backups, the first one is the configuration before the last change:'));
+        printTable(
+            ['#', 'REPLACED AT', 'DOMAINS', 'FILE'],
+            backups.map(backup => [String(backup.number), backup.time, backup.domains ?? '?', backup.file])
+        );
+        console.log(chalk.yellow(`\nUse 'cx-vcc config diff <n>' to review the changes since a backup, and 'cx-vcc config rollback <n>' to restore it.`));
+    }
+
+    emitResult({ directory: getBackupDir(), backups });
+}
+
+/**
+ * Show the changes from a backup of the configuration to another one, or to the current configuration
+ * @param {string} number - Backup number
+ * @param {string} toNumber - Optional number of the backup to compare with, instead of the current configuration
+ */
+function configDiffCommand(number, toNumber) {
+    const from = findBackup(number);
+    const to = toNumber !== undefined ? findBackup(toNumber) : { file: getConfigFile() };
+    const read = file => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+    const hunks = diffLines(read(from.file), read(to.file)).map(hunk => ({
+        header: hunk.header,
+        lines: hunk.lines.map(line => ({ ...line, text: redactLine(line.text) }))
+    }));
+
+    const toLabel = toNumber !== undefined ? `backup ${toNumber}` : 'current configuration';
+    if (hunks.length === 0) {
+        console.log(chalk.green(`No changes between backup ${number} and the ${toLabel}.`));
+    } else {
+        console.log(chalk.bold(`--- backup ${number} (${from.time.toISOString()})`));
+        console.log(chalk.bold(`+++ ${toLabel}${to.time ? ` (${to.time.toISOString()})` : ''}`));
+        hunks.forEach(hunk => {
+            console.log(chalk.cyan(hunk.header));
+            hunk.lines.forEach(line => {
+                const prefix = { context: ' ', removed: '-', added: '+' }[line.type];
+                console.log(DIFF_COLORS[line.type](`${prefix}${line.text}`));
+            });
+        });
+    }
+
+    emitResult({ from: from.file, to: to.file, changed: hunks.length > 0, hunks });
+}
+
+/**
+ * Restore a backup of the configuration, and of the vault holding its API keys.
+ * The current configuration is backed up first, so the rollback can be undone with 'config rollback 1'.
+ * @param {string} number - Backup number
+ */
+async function configRollbackCommand(number) {
+    const backup = findBackup(number);
+
+    let confirmed;
+    try {
+        confirmed = await confirm(`Replace the configuration with backup ${number}, the configuration before ${backup.time.toISOString()}?`);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED);
+    }
+    if (!confirmed) {
+        console.log(chalk.yellow('Rollback cancelled.'));
+        emitResult({ restored: null, cancelled: true });
+        return;
+    }
+
+    try {
+        rollbackConfig(number);
+    } catch (error) {
+        recordAudit({ action: 'config.rollback', outcome: 'failure', error: error.message, details: { backup: backup.name } });
+        failWith(error, ERROR_CODES.COMMAND_FAILED, 'Failed to restore the configuration');
+    }
+    recordAudit({ action: 'config.rollback', details: { backup: backup.name } });
+
+    console.log(chalk.green(`Configuration restored from ${backup.file}.`));
+    console.log(chalk.yellow(`The replaced configuration was backed up, use 'cx-vcc config rollback 1' to undo the rollback.`));
+    emitResult({ restored: { number: backup.number, time: backup.time.toISOString(), file: backup.file }, cancelled: false });
+}
+
+/**
+ * Validate the configuration file against its schema, listing the migrations its layout needs
+ * @param {Object} options - Command options
+ * @param {string} options.file - Configuration file to validate instead of the active profile's one
+ */
+function configValidateCommand(options) {
+    const result = checkConfigFile(options.file || getConfigFile());
+    if (!result.exists) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Configuration file ${result.file} not found`);
+    }
+
+    if (result.changes.length > 0) {
+        console.log(chalk.yellow(`The configuration has version ${result.version}, it is migrated to version ${result.toVersion} `
+            + 'when it is read, and written in that layout with the next change:'));
+        result.changes.forEach(change => console.log(chalk.yellow(`  - ${change}`)));
+    }
+
+    if (result.errors.length > 0) {
+        fail(ERROR_CODES.VALIDATION_FAILED,
+            `${result.file} is invalid:\n${result.errors.map(error => `  - ${error.path}: ${error.message}`).join('\n')}`,
+            { details: { ...result, valid: false } });
+    }
+
+    console.log(chalk.green(`${result.file} is valid (version ${result.toVersion}).`));
+    emitResult({ ...result, valid: true });
+}
+
+module.exports = {
+    configValidateCommand,
+    configHistoryCommand,
+    configDiffCommand,
+    configRollbackCommand
+};
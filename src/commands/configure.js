@@ -1,18 +1,19 @@
 const chalk = require('chalk');
 const ora = require('ora');
-const inquirer = require('inquirer');
-const { saveDomainConfig, getDomainConfig, getAvailableDomains } = require('../utils/config');
-const CloudonixService = require('../services/cloudonixApi');
+const { getDomainConfig, getAvailableDomains } = require('../utils/config');
 const { debugLog } = require('../utils/debug');
+const { emitResult, failWith, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
 
 /**
  * Configure a new Cloudonix domain
  * @param {Object} options - Command options
  * @param {string} options.domain - Domain name
  * @param {string} options.apikey - API key (optional)
+ * @param {string} options.sipDomain - Domain of the inbound SIP URI (optional)
  */
 async function configureCommand(options) {
-  const { domain, apikey } = options;
+  const { domain, apikey, sipDomain } = options;
   
   const existingConfig = getDomainConfig(domain);
   
@@ -26,33 +27,21 @@ async function configureCommand(options) {
     console.log(chalk.yellow('Updating configuration with the new API key.'));
   }
   
-  const cloudonixApi = new CloudonixService(apikey);
   const spinner = ora(`Verifying domain ${domain} with Cloudonix API...`).start();
   
   try {
-    const domainDetails = await cloudonixApi.getDomainDetails(domain);
-    const { autoAlias, inboundSipUri } = extractDomainInfo(domainDetails, domain);
+    const result = await new CloudonixVoiceConnector().configureDomain({ domain, apiKey: apikey, sipDomain });
     
-    const domainConfig = {
-      apiKey: apikey,
-      alias: domainDetails.alias || autoAlias,
-      autoAlias,
-      inboundSipUri,
-      tenant: 'self'
-    };
-    
-    saveDomainConfig(domain, domainConfig);
-    
-    const successMessage = inboundSipUri
-      ? `Domain ${domain} configured successfully with inbound SIP URI: ${inboundSipUri}`
-      : `Domain ${domain} configured successfully with alias: ${domainConfig.alias}`;
+    const successMessage = result.inboundSipUri
+      ? `Domain ${domain} configured successfully with inbound SIP URI: ${result.inboundSipUri}`
+      : `Domain ${domain} configured successfully with alias: ${result.alias}`;
     
     spinner.succeed(chalk.green(successMessage));
-    
+
+    emitResult(result);
   } catch (error) {
-    spinner.fail(chalk.red(`Failed to configure domain ${domain}: ${error.message}`));
-    debugLog('Error details:', error);
-    process.exit(1);
+    debugLog('Error details:', error.cause || error);
+    failWith(error, ERROR_CODES.API_ERROR, `Failed to configure domain ${domain}`, { spinner });
   }
 }
 
@@ -70,21 +59,8 @@ function handleDeleteCase(domain, existingConfig) {
     console.log(chalk.blue('\nAvailable domains:'));
     domains.forEach(d => console.log(`- ${d}`));
   }
-}
 
-function extractDomainInfo(domainDetails, domain) {
-  let autoAlias = domain;
-  let inboundSipUri = '';
-  
-  if (domainDetails.aliases && Array.isArray(domainDetails.aliases)) {
-    const autoAliasObj = domainDetails.aliases.find(alias => alias.type === 'auto');
-    if (autoAliasObj && autoAliasObj.alias) {
-      autoAlias = autoAliasObj.alias;
-      inboundSipUri = `${autoAlias}.sip.cloudonix.net`;
-    }
-  }
-  
-  return { autoAlias, inboundSipUri };
+  emitResult({ domain, exists: Boolean(existingConfig), domains });
 }
 
-module.exports = configureCommand;
\ No newline at end of file
+module.exports = configureCommand;
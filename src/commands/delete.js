@@ -1,45 +1,263 @@
 const chalk = require('chalk');
-const inquirer = require('inquirer');
-const { deleteDomainConfig, getDomainConfig } = require('../utils/config');
+const { getConfig, saveConfig, deleteDomainConfig, getDomainConfig } = require('../utils/config');
+const { printTable } = require('../utils/table');
+const { audited, recordAudit } = require('../utils/audit');
+const { emitResult, fail, failWith, confirm, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+const { CloudonixApiFactory } = require('../cloudonix');
+
+/**
+ * List the keys a domain's phone numbers may be stored under, with the provider they belong to
+ * @returns {Array<{configKey: string, provider: string, name: string}>} Number sections
+ */
+function getNumberProviders() {
+  return VoiceAgentProviderFactory.listProviders()
+    .flatMap(info => info.configKeys.map(configKey => ({ configKey, provider: info.id, name: info.name })));
+}
+
+const STATUS_COLORS = {
+  deleted: chalk.green,
+  'not found': chalk.yellow,
+  skipped: chalk.yellow,
+  failed: chalk.red
+};
 
 /**
  * Delete a Cloudonix domain configuration
  * @param {Object} options - Command options
  * @param {string} options.domain - Domain name to delete
+ * @param {boolean} options.cascade - Also delete the provider and Cloudonix resources created for the domain
  */
 async function deleteCommand(options) {
-  const { domain } = options;
+  const { domain, cascade } = options;
   
   // Check if domain exists in config
   const existingConfig = getDomainConfig(domain);
   if (!existingConfig) {
-    console.error(chalk.red(`Domain ${domain} not found in configuration.`));
-    process.exit(1);
+    fail(ERROR_CODES.DOMAIN_NOT_FOUND, `Domain ${domain} not found in configuration.`);
   }
   
+  if (cascade) {
+    await deleteDomainCascade(domain, existingConfig);
+    return;
+  }
+
   // Confirm deletion
-  const confirmation = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'confirm',
-      message: `Are you sure you want to delete the configuration for domain ${domain}?`,
-      default: false
-    }
-  ]);
-  
-  if (!confirmation.confirm) {
+  if (!await confirmDeletion(`Are you sure you want to delete the configuration for domain ${domain}?`)) {
     console.log(chalk.yellow('Operation cancelled.'));
+    emitResult({ domain, cascade: false, cancelled: true });
     return;
   }
   
   // Delete the domain
   const deleted = deleteDomainConfig(domain);
+  recordAudit({ action: 'domain.delete', domain, outcome: deleted ? 'success' : 'failure' });
   
   if (deleted) {
     console.log(chalk.green(`Domain ${domain} configuration successfully deleted.`));
+    emitResult({ domain, cascade: false, deleted: true });
+  } else {
+    fail(ERROR_CODES.COMMAND_FAILED, `Failed to delete domain ${domain} configuration.`);
+  }
+}
+
+/**
+ * Delete every resource created for a domain, then its configuration.
+ * The configuration is kept if anything fails, so that running the command again retries what is left.
+ * @param {string} domain - Domain name to delete
+ * @param {Object} domainConfig - The domain configuration
+ */
+async function deleteDomainCascade(domain, domainConfig) {
+  const resources = collectDomainResources(domain, domainConfig);
+
+  if (resources.length === 0) {
+    console.log(chalk.cyan(`No provider or Cloudonix resources are recorded for domain ${domain}.`));
   } else {
-    console.error(chalk.red(`Failed to delete domain ${domain} configuration.`));
-    process.exit(1);
+    console.log(chalk.blue.bold(`The following resources of domain ${domain} will be destroyed:`));
+    printTable(
+      ['RESOURCE', 'PROVIDER', 'NAME', 'ID'],
+      resources.map(resource => [resource.type, resource.providerName, resource.name, resource.id ?? ''])
+    );
+    console.log();
+  }
+
+  const confirmed = await confirmDeletion(resources.length > 0
+    ? `Are you sure you want to destroy these ${resources.length} resources and delete the configuration for domain ${domain}?`
+    : `Are you sure you want to delete the configuration for domain ${domain}?`);
+
+  if (!confirmed) {
+    console.log(chalk.yellow('Operation cancelled.'));
+    emitResult({ domain, cascade: true, cancelled: true, resources: describeResources(resources) });
+    return;
+  }
+
+  const failedProviders = new Set();
+  for (const resource of resources) {
+    // Trunks cannot be removed while numbers that failed to delete may still use them
+    if (resource.dependsOnNumbers && failedProviders.has(resource.provider)) {
+      resource.status = 'skipped';
+      resource.error = 'Phone numbers still attached';
+      continue;
+    }
+
+    try {
+      const deleted = await resource.destroy();
+      resource.status = deleted === false ? 'not found' : 'deleted';
+    } catch (error) {
+      resource.status = 'failed';
+      resource.error = error.message;
+      if (resource.type === 'phone number') {
+        failedProviders.add(resource.provider);
+      }
+    }
+  }
+
+  if (resources.length > 0) {
+    printTable(
+      ['RESOURCE', 'PROVIDER', 'NAME', 'STATUS', 'ERROR'],
+      resources.map(resource => [resource.type, resource.providerName, resource.name, resource.status, resource.error || '']),
+      resources.map(resource => STATUS_COLORS[resource.status])
+    );
+    console.log();
+  }
+
+  const failed = resources.filter(resource => resource.status === 'failed' || resource.status === 'skipped');
+  if (failed.length > 0) {
+    fail(ERROR_CODES.PARTIAL_FAILURE, `${failed.length} of ${resources.length} resources could not be destroyed, the configuration for domain ${domain} was kept.`, {
+      hint: `Fix the errors above and run 'cx-vcc delete --domain ${domain} --cascade' again to retry.`,
+      details: { domain, resources: describeResources(resources) }
+    });
+  }
+
+  const deleted = deleteDomainConfig(domain);
+  recordAudit({ action: 'domain.delete', domain, outcome: deleted ? 'success' : 'failure', details: { cascade: true } });
+  if (deleted) {
+    console.log(chalk.green(`Domain ${domain} resources destroyed and configuration successfully deleted.`));
+    emitResult({ domain, cascade: true, deleted: true, resources: describeResources(resources) });
+  } else {
+    fail(ERROR_CODES.COMMAND_FAILED, `Failed to delete domain ${domain} configuration.`);
+  }
+}
+
+/**
+ * Ask to confirm the deletion, failing instead when it cannot be confirmed (no terminal and no --yes)
+ * @param {string} message - Question to confirm
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function confirmDeletion(message) {
+  try {
+    return await confirm(message);
+  } catch (error) {
+    failWith(error, ERROR_CODES.COMMAND_FAILED);
+  }
+}
+
+/**
+ * Describe the resources of a cascade deletion for the JSON output
+ * @param {Array<Object>} resources - Resources returned by collectDomainResources
+ * @returns {Array<Object>} Resources with type, provider, name, id, status and error
+ */
+function describeResources(resources) {
+  return resources.map(({ type, provider, name, id, status, error }) => ({
+    type,
+    provider,
+    name,
+    id: id ?? null,
+    status: status || 'pending',
+    ...(error ? { error } : {})
+  }));
+}
+
+/**
+ * List the resources recorded for a domain, in the order they must be destroyed:
+ * phone numbers (with their Cloudonix DNIDs) first, then the trunks they use
+ * @param {string} domain - Domain name
+ * @param {Object} domainConfig - The domain configuration
+ * @returns {Array<Object>} Resources with type, provider, name, id and a destroy() function
+ */
+function collectDomainResources(domain, domainConfig) {
+  const connector = new CloudonixVoiceConnector();
+  const resources = [];
+
+  for (const { configKey, provider, name } of getNumberProviders()) {
+    Object.entries(domainConfig[configKey]?.phoneNumbers || {}).forEach(([number, details]) => {
+      resources.push({
+        type: 'phone number',
+        provider,
+        providerName: name,
+        name: number,
+        id: details?.id,
+        // Also removes the number's DNID and its local configuration
+        destroy: async () => (await connector.removeNumber({ domain, provider, number })).removedRemotely
+      });
+    });
+  }
+
+  // Trunk credentials of the providers whose numbers are attached to one
+  for (const info of VoiceAgentProviderFactory.listProviders()) {
+    const configKey = info.configKeys[0];
+    const trunkCredentialId = domainConfig[configKey]?.trunkCredentialId;
+    if (!trunkCredentialId || !VoiceAgentProviderFactory.createProvider(info.id).requiresTrunkCredential()) {
+      continue;
+    }
+    resources.push({
+      type: 'SIP trunk credential',
+      provider: info.id,
+      providerName: info.name,
+      name: trunkCredentialId,
+      id: trunkCredentialId,
+      dependsOnNumbers: true,
+      destroy: () => audited({ action: 'trunk.delete', domain, provider: info.id, ids: { trunkCredentialId } }, async () => {
+        const deleted = await VoiceAgentProviderFactory.createForDomain(info.id, getConfig(), domain)
+          .deleteSipTrunkConnection(trunkCredentialId);
+        forgetDomainResource(domain, config => delete config[configKey]?.trunkCredentialId);
+        return deleted;
+      })
+    });
+  }
+
+  // Cloudonix trunks created by the route command, possibly shared by several providers
+  const cloudonixTrunks = new Map();
+  for (const { configKey, provider, name } of getNumberProviders()) {
+    const trunk = domainConfig[configKey]?.cloudonixTrunk;
+    if (trunk?.id !== undefined && !cloudonixTrunks.has(String(trunk.id))) {
+      cloudonixTrunks.set(String(trunk.id), { trunk, provider, providerName: name });
+    }
+  }
+  cloudonixTrunks.forEach(({ trunk, provider, providerName }) => {
+    resources.push({
+      type: 'Cloudonix trunk',
+      provider,
+      providerName,
+      name: trunk.name || String(trunk.id),
+      id: trunk.id,
+      dependsOnNumbers: true,
+      destroy: () => audited({ action: 'cloudonix-trunk.delete', domain, provider, ids: { trunkId: trunk.id } }, async () => {
+        const deleted = await CloudonixApiFactory.createService(domainConfig.apiKey).deleteSipTrunk(domain, trunk.id);
+        forgetDomainResource(domain, config => getNumberProviders().forEach(({ configKey }) => {
+          if (String(config[configKey]?.cloudonixTrunk?.id) === String(trunk.id)) {
+            delete config[configKey].cloudonixTrunk;
+          }
+        }));
+        return deleted;
+      })
+    });
+  });
+
+  return resources;
+}
+
+/**
+ * Remove a destroyed resource from the domain configuration, so that a retry does not try to destroy it again
+ * @param {string} domain - Domain name
+ * @param {Function} update - Function that removes the resource from the domain configuration
+ */
+function forgetDomainResource(domain, update) {
+  const config = getConfig();
+  if (config.domains[domain]) {
+    update(config.domains[domain]);
+    saveConfig(config);
   }
 }
 
@@ -0,0 +1,213 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getConfig, getProviderConfig } = require('../utils/config');
+const { printTable } = require('../utils/table');
+const { audited } = require('../utils/audit');
+const { emitResult, fail, ERROR_CODES } = require('../utils/output');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+
+const STATUS_COLORS = {
+    ok: chalk.green,
+    repaired: chalk.cyan,
+    drift: chalk.yellow,
+    missing: chalk.red,
+    error: chalk.red
+};
+
+/**
+ * Doctor command to detect drift between the Cloudonix domains' inbound SIP URIs
+ * and the termination settings stored at the service providers. Exits with status 1 when resources drifted
+ * or could not be checked, after emitting the results.
+ * @param {Object} options - Command options, see detectDrift
+ */
+async function doctorCommand(options) {
+    emitResult(await detectDrift(options));
+}
+
+/**
+ * Check the provider termination settings and print the results, without emitting them,
+ * so that 'sync --check-drift' can report them with its plan. Sets the exit status to 1 when resources drifted
+ * or could not be checked.
+ * @param {Object} options - Options
+ * @param {string} options.domain - Optional domain to limit the check to
+ * @param {string} options.provider - Optional provider to limit the check to
+ * @param {boolean} options.fix - Update drifted provider records to the domain's inbound SIP URI
+ * @returns {Promise<Object>} The check results with the number of drifted, repaired and failed resources
+ */
+async function detectDrift(options) {
+    const { domain, provider, fix } = options;
+    const config = getConfig();
+
+    if (domain && !config.domains?.[domain]) {
+        fail(ERROR_CODES.DOMAIN_NOT_FOUND, `Domain ${domain} not found in configuration.`);
+    }
+
+    if (provider && !VoiceAgentProviderFactory.getProviderInfo(provider)) {
+        fail(ERROR_CODES.UNSUPPORTED_PROVIDER, `Unsupported provider: ${provider}`, {
+            hint: `Currently supported providers: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')}`
+        });
+    }
+
+    const domainNames = domain ? [domain] : Object.keys(config.domains || {});
+    if (domainNames.length === 0) {
+        console.log(chalk.yellow('No domains configured.'));
+        return { results: [], drifted: 0, repaired: 0, failed: 0 };
+    }
+
+    console.log(chalk.blue.bold(`Checking provider termination settings${domain ? ` for domain ${domain}` : ''}...`));
+
+    const results = [];
+
+    for (const providerCheck of VoiceAgentProviderFactory.listProviders()) {
+        if (provider && !providerCheck.aliases.includes(provider.toLowerCase())) {
+            continue;
+        }
+        if (!providerCheck.remoteApi) {
+            if (provider) {
+                console.log(chalk.yellow(`${providerCheck.name} has no API, its termination settings cannot be checked.`));
+            }
+            continue;
+        }
+
+        // Domains with their own provider account are checked against that account
+        const accounts = new Map();
+        domainNames.forEach(domainName => {
+            const providerConfig = getProviderConfig(config, providerCheck.id, domainName);
+            if (!providerConfig.apiKey) {
+                return;
+            }
+            if (!accounts.has(providerConfig.apiKey)) {
+                accounts.set(providerConfig.apiKey, { providerConfig, domainNames: [] });
+            }
+            accounts.get(providerConfig.apiKey).domainNames.push(domainName);
+        });
+
+        if (accounts.size === 0) {
+            console.log(chalk.yellow(`${providerCheck.name} not configured, skipping...`));
+            continue;
+        }
+
+        const checks = Array.from(accounts.values())
+            .flatMap(account => buildChecks(providerCheck, account.providerConfig, config, account.domainNames));
+        if (checks.length === 0) {
+            continue;
+        }
+
+        const spinner = ora(`Checking ${checks.length} ${providerCheck.name} resources...`).start();
+        for (const check of checks) {
+            results.push(await runCheck(providerCheck, check, fix));
+        }
+        spinner.stop();
+    }
+
+    if (results.length === 0) {
+        console.log(chalk.green('No provider resources to check.'));
+        return { results, drifted: 0, repaired: 0, failed: 0 };
+    }
+
+    console.log();
+    printTable(
+        ['PROVIDER', 'DOMAIN', 'RESOURCE', 'EXPECTED', 'ACTUAL', 'STATUS'],
+        results.map(result => [result.provider, result.domain, result.resource, result.expected, result.actual, result.status]),
+        results.map(result => STATUS_COLORS[result.status])
+    );
+    console.log();
+
+    const drifted = results.filter(result => result.status === 'drift').length;
+    const repaired = results.filter(result => result.status === 'repaired').length;
+    const failed = results.filter(result => result.status === 'missing' || result.status === 'error').length;
+
+    if (repaired > 0) {
+        console.log(chalk.cyan(`Repaired ${repaired} provider resources.`));
+    }
+    if (drifted > 0) {
+        console.log(chalk.yellow(`Found ${drifted} provider resources that no longer point at their Cloudonix domain.`));
+        if (!fix) {
+            console.log(chalk.yellow(`Run the command again with --fix to update them to the domain's inbound SIP URI.`));
+        }
+    }
+    if (failed > 0) {
+        console.log(chalk.red(`${failed} provider resources could not be checked or were not found remotely.`));
+    }
+    if (drifted === 0 && failed === 0) {
+        console.log(chalk.green('All provider resources point at their Cloudonix domains.'));
+    } else {
+        process.exitCode = 1;
+    }
+
+    return { results, drifted, repaired, failed };
+}
+
+/**
+ * Run a single drift check, repairing the remote record if requested, repairs are recorded in the audit log
+ * @param {Object} providerCheck - The provider description
+ * @param {Object} check - The check definition
+ * @param {boolean} fix - Whether to repair drift
+ * @returns {Promise<Object>} The check result
+ */
+async function runCheck(providerCheck, check, fix) {
+    const result = {
+        provider: providerCheck.name,
+        domain: check.domain,
+        resource: check.resource,
+        expected: check.expected || 'N/A',
+        actual: 'N/A',
+        status: 'ok'
+    };
+
+    if (!check.expected) {
+        result.status = 'error';
+        result.actual = 'Domain has no inbound SIP URI configured';
+        return result;
+    }
+
+    try {
+        const details = await check.fetch();
+        if (!details) {
+            result.status = 'missing';
+            result.actual = 'Not found in remote service';
+            return result;
+        }
+
+        result.actual = check.getActual(details) || 'Not set';
+        if (check.isInSync(details)) {
+            return result;
+        }
+
+        result.status = 'drift';
+        if (fix) {
+            await audited({
+                action: 'doctor.repair',
+                domain: check.domain,
+                provider: providerCheck.id,
+                // Phone number checks are named after the number, the other ones after their resource
+                number: /^\+\d+$/.test(check.resource) ? check.resource : null,
+                details: { resource: check.resource, from: result.actual, to: check.expected }
+            }, () => check.repair());
+            result.status = 'repaired';
+        }
+    } catch (error) {
+        result.status = 'error';
+        result.actual = error.message;
+    }
+
+    return result;
+}
+
+/**
+ * Build the checks of a provider account, see IVoiceAgentProvider.getDriftChecks
+ * @param {Object} providerCheck - The provider description
+ * @param {Object} providerConfig - The provider account configuration
+ * @param {Object} config - The full configuration
+ * @param {Array<string>} domainNames - Domains to check
+ * @returns {Array<Object>} Check definitions, with their domain
+ */
+function buildChecks(providerCheck, providerConfig, config, domainNames) {
+    const apiService = VoiceAgentProviderFactory.createProvider(providerCheck.id, providerConfig.apiKey, providerConfig.apiUrl, providerConfig);
+
+    return domainNames.flatMap(domainName => apiService.getDriftChecks(domainName, config.domains[domainName])
+        .map(check => ({ domain: domainName, ...check })));
+}
+
+module.exports = doctorCommand;
+module.exports.detectDrift = detectDrift;
@@ -0,0 +1,66 @@
+const chalk = require('chalk');
+const { emitResult, failWith, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+
+/**
+ * Endpoint command to show or set the SIP endpoint (region, host, port and transport) a provider's numbers are reached at
+ * @param {Object} options - Command options
+ * @param {string} options.provider - Service provider name
+ * @param {string} options.domain - Optional domain to show or set the endpoint of, instead of the global one
+ * @param {string} options.region - Region of the provider
+ * @param {string} options.host - Host, instead of the region's one
+ * @param {string} options.port - Port, instead of the region's or transport's one
+ * @param {string} options.transport - Transport: udp, tcp or tls
+ * @param {boolean} options.tls - Shortcut for --transport tls
+ * @param {boolean} options.reset - Go back to the provider's default endpoint before applying the other options
+ */
+async function endpointCommand(options) {
+    const { provider, domain, region, host, port, tls, reset } = options;
+    const transport = tls ? 'tls' : options.transport;
+    const connector = new CloudonixVoiceConnector();
+    const changing = Boolean(region || host || port || transport || reset);
+
+    let endpoint;
+    try {
+        endpoint = changing
+            ? await connector.configureEndpoint({ provider, domain, region, host, port, transport, reset })
+            : await connector.getEndpoint({ provider, domain });
+    } catch (error) {
+        failWith(error, ERROR_CODES.VALIDATION_FAILED, `Failed to ${changing ? 'configure' : 'read'} the ${provider} SIP endpoint`);
+    }
+
+    if (changing) {
+        console.log(chalk.green(`${provider} SIP endpoint ${domain ? `of domain ${domain} ` : ''}updated`));
+    }
+    printEndpoint(endpoint);
+
+    if (endpoint.numbers?.length > 0) {
+        console.log(chalk.cyan('\nUpdated phone numbers:'));
+        endpoint.numbers.forEach(({ domain: numberDomain, number, sipUri }) => {
+            console.log(chalk.yellow(`  - ${number} (${numberDomain}): ${sipUri}`));
+        });
+        const routed = endpoint.numbers.filter(number => number.routed);
+        if (routed.length > 0) {
+            console.log(chalk.yellow(`\nRun 'cx-vcc route' again for the ${routed.length} routed number(s) to update their Cloudonix trunk.`));
+        }
+    }
+
+    emitResult(endpoint);
+}
+
+/**
+ * Print a resolved SIP endpoint
+ * @param {Object} endpoint - Endpoint returned by CloudonixVoiceConnector.getEndpoint
+ */
+function printEndpoint(endpoint) {
+    console.log(chalk.cyan('Region:'), chalk.yellow(`${endpoint.region} (available: ${endpoint.regions.join(', ')})`));
+    console.log(chalk.cyan('Host:'), chalk.yellow(endpoint.host));
+    console.log(chalk.cyan('Port:'), chalk.yellow(endpoint.port || 'default'));
+    console.log(chalk.cyan('Transport:'), chalk.yellow(endpoint.transport ? endpoint.transport.toUpperCase() : 'default'));
+    console.log(chalk.cyan('SIP URI:'), chalk.yellow(endpoint.uri));
+    if (Object.keys(endpoint.settings).length === 0) {
+        console.log(chalk.yellow('Provider default endpoint'));
+    }
+}
+
+module.exports = endpointCommand;
@@ -0,0 +1,121 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { printTable } = require('../utils/table');
+const { confirm, emitResult, failWith, ERROR_CODES } = require('../utils/output');
+const {
+    getActiveProfile,
+    getProfileDir,
+    listProfiles,
+    createProfile,
+    useProfile,
+    deleteProfile
+} = require('../utils/profiles');
+
+/**
+ * List the profiles, marking the active one
+ */
+function profileListCommand() {
+    const activeProfile = getActiveProfile();
+    const profiles = listProfiles().map(name => ({
+        name,
+        active: name === activeProfile,
+        domains: countDomains(name),
+        path: getProfileDir(name)
+    }));
+
+    printTable(
+        ['PROFILE', 'ACTIVE', 'DOMAINS', 'PATH'],
+        profiles.map(profile => [profile.name, profile.active ? '*' : '', String(profile.domains), profile.path]),
+        profiles.map(profile => (profile.active ? chalk.green : undefined))
+    );
+    emitResult({ active: activeProfile, profiles });
+}
+
+/**
+ * Create an empty profile
+ * @param {string} name - Profile name
+ */
+function profileCreateCommand(name) {
+    try {
+        createProfile(name);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED, 'Failed to create profile');
+    }
+
+    console.log(chalk.green(`Profile ${name} created.`));
+    console.log(chalk.yellow(`Use 'cx-vcc profile use ${name}' to switch to it, or pass '--profile ${name}' to a single command.`));
+    emitResult({ profile: name, path: getProfileDir(name), active: false });
+}
+
+/**
+ * Make a profile the active one
+ * @param {string} name - Profile name
+ */
+function profileUseCommand(name) {
+    try {
+        useProfile(name);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED, 'Failed to switch profile');
+    }
+
+    console.log(chalk.green(`Now using profile ${name}.`));
+    if (process.env.CX_VCC_PROFILE && process.env.CX_VCC_PROFILE !== name) {
+        console.log(chalk.yellow(`CX_VCC_PROFILE is set to ${process.env.CX_VCC_PROFILE} and still takes precedence in this shell.`));
+    }
+    emitResult({ profile: name, active: getActiveProfile() });
+}
+
+/**
+ * Delete a profile with its configuration and vault
+ * @param {string} name - Profile name
+ */
+async function profileDeleteCommand(name) {
+    let confirmed;
+    try {
+        confirmed = await confirm(`Are you sure you want to delete profile ${name} and all of its configuration?`);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED);
+    }
+
+    if (!confirmed) {
+        console.log(chalk.yellow('Operation cancelled.'));
+        emitResult({ profile: name, cancelled: true });
+        return;
+    }
+
+    try {
+        deleteProfile(name);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED, 'Failed to delete profile');
+    }
+
+    console.log(chalk.green(`Profile ${name} deleted.`));
+    emitResult({ profile: name, deleted: true, active: getActiveProfile() });
+}
+
+/**
+ * Count the domains configured in a profile, without decrypting its secrets
+ * @param {string} name - Profile name
+ * @returns {number} Number of domains
+ */
+function countDomains(name) {
+    const configFile = path.join(getProfileDir(name), 'config.yaml');
+    if (!fs.existsSync(configFile)) {
+        return 0;
+    }
+    try {
+        const fileConfig = yaml.load(fs.readFileSync(configFile, 'utf8')) || {};
+        return Object.keys(fileConfig.domains || {}).length;
+    } catch (error) {
+        return 0;
+    }
+}
+
+module.exports = {
+    profileListCommand,
+    profileCreateCommand,
+    profileUseCommand,
+    profileDeleteCommand
+};
@@ -0,0 +1,51 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { emitResult, failWith, confirm, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+
+/**
+ * Remove a phone number from a Voice AI provider and from the local configuration
+ * @param {Object} options - Command options
+ * @param {string} options.domain - Cloudonix domain the number belongs to
+ * @param {string} options.provider - Service provider name
+ * @param {string} options.number - Phone number to remove (E.164 format)
+ */
+async function removeNumberCommand(options) {
+    const { domain, provider, number } = options;
+    const connector = new CloudonixVoiceConnector();
+
+    let confirmed;
+    try {
+        // Fails if the number is not configured, before asking anything
+        await connector.getNumber({ domain, provider, number });
+        confirmed = await confirm(`Are you sure you want to remove ${number} from ${provider}?`);
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED);
+    }
+
+    if (!confirmed) {
+        console.log(chalk.yellow('Operation cancelled.'));
+        emitResult({ domain, provider: provider.toLowerCase(), number, cancelled: true });
+        return;
+    }
+
+    const spinner = ora(`Removing phone number ${number} from ${provider}...`).start();
+    let result;
+
+    try {
+        result = await connector.removeNumber({ domain, provider, number });
+
+        if (result.removedRemotely) {
+            spinner.succeed(chalk.green(`Phone number ${number} removed successfully from ${provider}`));
+        } else {
+            spinner.warn(chalk.yellow(`Phone number ${number} was not found in ${provider}, removing it from local configuration only`));
+        }
+    } catch (error) {
+        failWith(error, ERROR_CODES.API_ERROR, 'Failed to remove phone number', { spinner });
+    }
+
+    console.log(chalk.green(`Phone number ${number} removed from domain ${domain} configuration.`));
+    emitResult(result);
+}
+
+module.exports = removeNumberCommand;
@@ -0,0 +1,40 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { emitResult, failWith, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+
+/**
+ * Route command to send the calls of a Cloudonix DID to the Voice AI provider the number was added to
+ * @param {Object} options - Command options
+ * @param {string} options.domain - Cloudonix domain the number belongs to
+ * @param {string} options.provider - Service provider name
+ * @param {string} options.number - Phone number to route (E.164 format)
+ * @param {string} options.trunkName - Optional name of the Cloudonix trunk (default: cx-vcc-<provider>)
+ */
+async function routeCommand(options) {
+    const { domain, provider, number, trunkName } = options;
+
+    const spinner = ora(`Routing ${number} from ${domain} to ${provider}...`).start();
+
+    try {
+        const route = await new CloudonixVoiceConnector().routeNumber({ domain, provider, number, trunkName });
+        spinner.succeed(chalk.green(`Calls to ${number} are now routed to ${provider}`));
+        printRoute(route);
+        emitResult({ domain, provider: provider.toLowerCase(), number, ...route });
+    } catch (error) {
+        failWith(error, ERROR_CODES.API_ERROR, 'Failed to route phone number', { spinner });
+    }
+}
+
+/**
+ * Print the trunk and DNID of a route
+ * @param {Object} route - Route returned by CloudonixVoiceConnector.routeNumber
+ */
+function printRoute({ trunk, dnid, target }) {
+    console.log(chalk.cyan('Cloudonix Trunk:'), chalk.yellow(`${trunk.name} (ID: ${trunk.id}, ${trunk.action})`));
+    console.log(chalk.cyan('Destination:'), chalk.yellow(`${target.host}:${target.port} (${target.transport.toUpperCase()})`));
+    console.log(chalk.cyan('DNID:'), chalk.yellow(`${dnid.source} (ID: ${dnid.id}, ${dnid.action})`));
+}
+
+module.exports = routeCommand;
+module.exports.printRoute = printRoute;
@@ -0,0 +1,48 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getConfig, saveConfig, listConfigSecrets } = require('../utils/config');
+const { ensureVaultUnlocked, getVaultFile } = require('../utils/secrets');
+const { emitResult, failWith, ERROR_CODES } = require('../utils/output');
+
+/**
+ * Move the plaintext API keys of the configuration into the encrypted vault,
+ * leaving only references to them in config.yaml
+ */
+async function secretsMigrateCommand() {
+    const plaintextSecrets = listConfigSecrets().filter(secret => secret.storage === 'plaintext');
+
+    if (plaintextSecrets.length === 0) {
+        console.log(chalk.green('No plaintext API keys found in the configuration.'));
+        emitResult({ vault: getVaultFile(), migrated: [] });
+        return;
+    }
+
+    try {
+        await ensureVaultUnlocked({ create: true });
+    } catch (error) {
+        failWith(error, ERROR_CODES.VAULT_LOCKED, 'Failed to open the vault');
+    }
+
+    const spinner = ora(`Moving ${plaintextSecrets.length} API keys to the vault...`).start();
+
+    try {
+        // Saving the configuration stores every plaintext key in the vault now that it is unlocked
+        saveConfig(getConfig());
+
+        const remaining = listConfigSecrets().filter(secret => secret.storage === 'plaintext');
+        if (remaining.length > 0) {
+            throw new Error(`${remaining.length} API keys are still stored in plaintext`);
+        }
+
+        spinner.succeed(chalk.green(`Moved ${plaintextSecrets.length} API keys to the encrypted vault ${getVaultFile()}`));
+        plaintextSecrets.forEach(secret => console.log(chalk.cyan(`  - ${secret.name}`)));
+    } catch (error) {
+        failWith(error, ERROR_CODES.COMMAND_FAILED, 'Failed to migrate API keys', { spinner });
+    }
+
+    emitResult({ vault: getVaultFile(), migrated: plaintextSecrets.map(secret => secret.name) });
+}
+
+module.exports = {
+    secretsMigrateCommand
+};
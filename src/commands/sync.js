@@ -1,332 +1,192 @@
 const chalk = require('chalk');
-const ora = require('ora');
-const { getConfig, saveConfig } = require('../utils/config');
-const VapiApiService = require('../services/vapiApi');
-const RetellApiService = require('../services/retellApi');
-const ElevenLabsAgentProvider = require('../services/11LabsAgentProvider');
+const fs = require('fs-extra');
+const { printTable } = require('../utils/table');
+const { emitResult, fail, failWith, isJsonMode, ERROR_CODES } = require('../utils/output');
+const CloudonixVoiceConnector = require('../connector/CloudonixVoiceConnector');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+const { detectDrift } = require('./doctor');
+
+const OUTPUT_FORMATS = ['text', 'json'];
 
 /**
  * Sync command to synchronize local configuration with remote service providers
  * @param {Object} options - Command options
+ * @param {string} options.domain - Optional domain to limit the sync to
+ * @param {string} options.provider - Optional provider to limit the sync to
+ * @param {boolean} options.import - Import remote-only numbers into the local configuration
+ * @param {boolean} options.dryRun - Only compute and display the plan
+ * @param {string} options.output - Output format (text or json)
+ * @param {string} options.apply - Path to a previously generated JSON plan to apply
+ * @param {boolean} options.checkDrift - Also check provider termination settings after synchronizing
+ * @param {boolean} options.fix - Repair termination settings that drifted (with checkDrift)
  */
 async function syncCommand(options) {
-    const { domain, provider } = options;
-    
-    // Show sync scope based on options
-    let displayProvider = provider;
-    if (provider && (provider.toLowerCase() === '11labs' || provider.toLowerCase() === 'elevenlabs')) {
-        displayProvider = '11Labs (ElevenLabs)';
+    const { domain, provider, import: importRemote, dryRun, output = 'text', apply, checkDrift, fix } = options;
+
+    if (!OUTPUT_FORMATS.includes(output)) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Unsupported output format: ${output}`, {
+            hint: `Supported output formats: ${OUTPUT_FORMATS.join(', ')}`
+        });
+    }
+    const jsonOutput = output === 'json';
+    if (jsonOutput && checkDrift) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, 'The --check-drift option cannot be combined with --output json.');
+    }
+    // Human-readable progress goes to stdout only when it does not interfere with JSON output
+    const log = jsonOutput ? () => {} : (...args) => console.log(...args);
+
+    if (apply) {
+        await applyPlanFile(apply, jsonOutput, log);
+        return;
     }
-    
+
+    // Show sync scope based on options
+    const displayProvider = provider && (VoiceAgentProviderFactory.getProviderInfo(provider)?.name || provider);
+
     if (domain && provider) {
-        console.log(chalk.blue.bold(`Synchronizing ${displayProvider} configuration for domain ${domain}...`));
+        log(chalk.blue.bold(`Synchronizing ${displayProvider} configuration for domain ${domain}...`));
     } else if (domain) {
-        console.log(chalk.blue.bold(`Synchronizing all providers for domain ${domain}...`));
+        log(chalk.blue.bold(`Synchronizing all providers for domain ${domain}...`));
     } else if (provider) {
-        console.log(chalk.blue.bold(`Synchronizing ${displayProvider} configuration for all domains...`));
+        log(chalk.blue.bold(`Synchronizing ${displayProvider} configuration for all domains...`));
     } else {
-        console.log(chalk.blue.bold('Synchronizing local configuration with all remote service providers...'));
+        log(chalk.blue.bold('Synchronizing local configuration with all remote service providers...'));
     }
-    
-    const config = getConfig();
-    
-    // Keep track of changes
-    let totalChanges = 0;
-    
-    // Helper function to check if a provider should be synced
-    const shouldSyncProvider = (providerName) => {
-        if (!provider) return true;
-        return provider.toLowerCase() === providerName.toLowerCase();
-    };
-    
-    // Sync VAPI configuration
-    if (shouldSyncProvider('vapi') && config.vapi && config.vapi.apiKey) {
-        const changes = await syncProviderNumbers('VAPI', config.vapi, async () => {
-            const vapiService = new VapiApiService(config.vapi.apiKey, config.vapi.apiUrl);
-            return await vapiService.getPhoneNumbers();
-        }, domain);
-        totalChanges += changes;
-    } else if (shouldSyncProvider('vapi')) {
-        console.log(chalk.yellow('VAPI not configured, skipping...'));
-    }
-    
-    // Sync Retell configuration
-    if (shouldSyncProvider('retell') && config.retell && config.retell.apiKey) {
-        const changes = await syncProviderNumbers('Retell', config.retell, async () => {
-            const retellService = new RetellApiService(config.retell.apiKey, config.retell.apiUrl);
-            return await retellService.getPhoneNumbers();
-        }, domain);
-        totalChanges += changes;
-    } else if (shouldSyncProvider('retell')) {
-        console.log(chalk.yellow('Retell not configured, skipping...'));
+
+    let plan;
+    try {
+        plan = await new CloudonixVoiceConnector().sync({ domain, provider, import: importRemote, dryRun, log });
+    } catch (error) {
+        failWith(error, ERROR_CODES.API_ERROR, 'Failed to synchronize');
     }
-    
-    // Sync 11Labs configuration
-    if ((shouldSyncProvider('11labs') || shouldSyncProvider('elevenlabs')) && 
-        config.elevenlabs && config.elevenlabs.apiKey) {
-        const changes = await syncProviderNumbers('11Labs', config.elevenlabs, async () => {
-            const elevenLabsProvider = new ElevenLabsAgentProvider(config.elevenlabs.apiKey, config.elevenlabs.apiUrl);
-            return await elevenLabsProvider.getPhoneNumbers();
-        }, domain);
-        totalChanges += changes;
-    } else if (shouldSyncProvider('11labs') || shouldSyncProvider('elevenlabs')) {
-        console.log(chalk.yellow('11Labs not configured, skipping...'));
+
+    if (jsonOutput) {
+        printJson(plan);
+        return;
     }
-    
-    if (totalChanges > 0) {
-        console.log(chalk.green(`Sync complete. ${totalChanges} phone numbers removed from local configuration.`));
+
+    printPlanTable(plan.actions);
+
+    const { remove, import: imported, update } = plan.summary;
+    if (plan.actions.length === 0) {
+        log(chalk.green('Sync complete. Local configuration is already in sync with remote services.'));
+    } else if (dryRun) {
+        log(chalk.yellow(`Dry run: ${remove} to remove, ${imported} to import, ${update} to update. No changes were made.`));
+        log(chalk.yellow(`Use 'cx-vcc sync --output json --dry-run > plan.json' and 'cx-vcc sync --apply plan.json' to review and apply the plan.`));
     } else {
-        console.log(chalk.green('Sync complete. Local configuration is already in sync with remote services.'));
+        log(chalk.green(`Sync complete. ${remove} phone numbers removed, ${imported} imported and ${update} updated in local configuration.`));
     }
+
+    if (checkDrift) {
+        log();
+        // The drift check only prints its results, they are reported together with the plan
+        const drift = await detectDrift({ domain, provider, fix: fix && !dryRun });
+        emitResult({ ...plan, drift });
+        return;
+    }
+
+    emitResult(plan);
 }
 
 /**
- * Synchronize provider phone numbers
- * @param {string} providerName - The provider name (VAPI, Retell, 11Labs)
- * @param {Object} providerConfig - The provider configuration
- * @param {Function} fetchRemoteNumbers - Function to fetch remote phone numbers
- * @param {string} domainFilter - Optional domain to filter by
- * @returns {number} Number of changes made
+ * Apply a plan previously generated with 'sync --dry-run --output json'
+ * @param {string} planFile - Path to the JSON plan
+ * @param {boolean} jsonOutput - Whether to print the result as JSON
+ * @param {Function} log - Progress logger
  */
-async function syncProviderNumbers(providerName, providerConfig, fetchRemoteNumbers, domainFilter) {
-    console.log(chalk.bold(`\nSynchronizing ${providerName} phone numbers${domainFilter ? ` for domain ${domainFilter}` : ''}...`));
-    
-    // Get all domains from configuration
-    const config = getConfig();
-    const allDomains = Object.keys(config.domains || {});
-    
-    // Check if there are any phone numbers for this provider - either in the global config or in any domain
-    let hasPhoneNumbers = false;
-    
-    // Check global config
-    if (providerConfig.phoneNumbers && Object.keys(providerConfig.phoneNumbers).length > 0) {
-        hasPhoneNumbers = true;
-    }
-    
-    // Check domain-specific configs
-    if (domainFilter) {
-        // If domain filter is specified, only check that domain
-        if (config.domains[domainFilter]) {
-            const domainConfig = config.domains[domainFilter];
-            
-            // Check both possible keys for 11Labs - both 'elevenlabs' and '11labs'
-            const providerKeys = providerName.toLowerCase() === '11labs' ? ['elevenlabs', '11labs'] : [providerName.toLowerCase()];
-            
-            for (const providerKey of providerKeys) {
-                if (domainConfig[providerKey] && 
-                    domainConfig[providerKey].phoneNumbers && 
-                    Object.keys(domainConfig[providerKey].phoneNumbers).length > 0) {
-                    hasPhoneNumbers = true;
-                    break;
-                }
-            }
-        }
-    } else {
-        // Otherwise check all domains
-        for (const domain of allDomains) {
-            const domainConfig = config.domains[domain];
-            
-            // Check both possible keys for 11Labs - both 'elevenlabs' and '11labs'
-            const providerKeys = providerName.toLowerCase() === '11labs' ? ['elevenlabs', '11labs'] : [providerName.toLowerCase()];
-            
-            for (const providerKey of providerKeys) {
-                if (domainConfig[providerKey] && 
-                    domainConfig[providerKey].phoneNumbers && 
-                    Object.keys(domainConfig[providerKey].phoneNumbers).length > 0) {
-                    hasPhoneNumbers = true;
-                    break;
-                }
-            }
-            
-            if (hasPhoneNumbers) break;
-        }
-    }
-    
-    if (!hasPhoneNumbers) {
-        console.log(chalk.yellow(`No ${providerName} phone numbers in local configuration${domainFilter ? ` for domain ${domainFilter}` : ''}.`));
-        return 0;
-    }
-    
-    // Track which domain each phone belongs to
-    let phonesForDomain = {}; 
-    
-    // Get provider keys to check (handle both 'elevenlabs' and '11labs' for 11Labs)
-    const providerKeys = providerName.toLowerCase() === '11labs' ? 
-        ['elevenlabs', '11labs'] : 
-        [providerName.toLowerCase()];
-    
-    // Set to collect unique phone numbers
-    const phoneNumberSet = new Set();
-    
-    // Always add numbers from the global config first
-    if (providerConfig.phoneNumbers) {
-        Object.keys(providerConfig.phoneNumbers).forEach(number => {
-            phoneNumberSet.add(number);
-            // For global numbers, we don't have a specific domain
-            phonesForDomain[number] = 'global';
-        });
-    }
-    
-    // If we have a domain filter, only consider numbers from that domain
-    if (domainFilter) {
-        const domainConfig = config.domains[domainFilter];
-        
-        // For each potential provider key, check if it exists in the domain config
-        for (const providerKey of providerKeys) {
-            if (domainConfig[providerKey] && domainConfig[providerKey].phoneNumbers) {
-                // Add each phone number from this provider in this domain
-                Object.keys(domainConfig[providerKey].phoneNumbers).forEach(number => {
-                    phoneNumberSet.add(number);
-                    phonesForDomain[number] = domainFilter;
-                });
-            }
-        }
-    } 
-    // If no domain filter, get numbers from all domains
-    else {
-        for (const domain of allDomains) {
-            const domainConfig = config.domains[domain];
-            
-            // For each potential provider key, check all domains
-            for (const providerKey of providerKeys) {
-                if (domainConfig[providerKey] && domainConfig[providerKey].phoneNumbers) {
-                    // Add each phone number from this provider in this domain
-                    Object.keys(domainConfig[providerKey].phoneNumbers).forEach(number => {
-                        phoneNumberSet.add(number);
-                        // If we already have a domain mapping and it's not 'global', keep it
-                        if (!phonesForDomain[number] || phonesForDomain[number] === 'global') {
-                            phonesForDomain[number] = domain;
-                        }
-                    });
-                }
-            }
-        }
+async function applyPlanFile(planFile, jsonOutput, log) {
+    let plan;
+    try {
+        plan = JSON.parse(await fs.readFile(planFile, 'utf8'));
+    } catch (error) {
+        fail(ERROR_CODES.INVALID_ARGUMENT, `Failed to read sync plan ${planFile}: ${error.message}`);
     }
-    
-    // Convert the set to an array for further processing
-    const localPhoneNumbers = Array.from(phoneNumberSet);
-    
-    // If no phone numbers found for domain filter, report and exit
-    if (domainFilter && localPhoneNumbers.length === 0) {
-        console.log(chalk.yellow(`No ${providerName} phone numbers found for domain ${domainFilter}.`));
-        return 0;
+
+    if (!plan || !Array.isArray(plan.actions)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `Invalid sync plan ${planFile}: missing actions list.`);
     }
-    
-    console.log(chalk.cyan(`Found ${localPhoneNumbers.length} ${providerName} phone numbers${domainFilter ? ` for domain ${domainFilter}` : ''} in local configuration:`));
-    localPhoneNumbers.forEach(number => {
-        const domain = phonesForDomain[number] || 'unknown domain';
-        console.log(chalk.cyan(`  - ${number} (${domain})`));
-    });
-    
-    // Fetch remote phone numbers
-    const spinner = ora(`Fetching remote ${providerName} phone numbers...`).start();
-    let remotePhoneNumbers = [];
-    
+
+    log(chalk.blue.bold(`Applying sync plan ${planFile} generated at ${plan.generatedAt || 'unknown time'}...`));
+    printPlanTable(jsonOutput ? [] : plan.actions);
+
+    let applied;
     try {
-        const remoteData = await fetchRemoteNumbers();
-        
-        if (Array.isArray(remoteData)) {
-            // Extract phone numbers based on provider format
-            if (providerName === 'VAPI') {
-                remotePhoneNumbers = remoteData
-                    .filter(item => item.provider === 'byo-phone-number')
-                    .map(item => item.number);
-            } else if (providerName === 'Retell') {
-                remotePhoneNumbers = remoteData
-                    .map(item => item.phone_number || item.phoneNumber || '');
-            } else if (providerName === '11Labs') {
-                remotePhoneNumbers = remoteData
-                    .map(item => item.phone_number || item.phoneNumber || item.number || '');
-            }
-            
-            // Filter out empty values
-            remotePhoneNumbers = remotePhoneNumbers.filter(num => num);
-        }
-        
-        spinner.succeed(`Found ${remotePhoneNumbers.length} ${providerName} phone numbers in remote service${domainFilter ? ` (not filtered by domain)` : ''}.`);
-        if (remotePhoneNumbers.length > 0) {
-            console.log(chalk.green(`  Remote phone numbers:`));
-            remotePhoneNumbers.forEach(number => {
-                console.log(chalk.green(`  - ${number}`));
-            });
-        } else {
-            console.log(chalk.yellow(`  No phone numbers found in remote service.`));
-        }
+        applied = await new CloudonixVoiceConnector().applySyncPlan(plan);
     } catch (error) {
-        spinner.fail(`Failed to fetch remote ${providerName} phone numbers: ${error.message}`);
-        console.error(chalk.red(`Error details: ${error.stack}`));
-        return 0;
+        failWith(error, ERROR_CODES.COMMAND_FAILED, `Failed to apply sync plan ${planFile}`);
     }
-    
-    // Find numbers that exist locally but not remotely
-    const numbersToRemove = localPhoneNumbers.filter(number => !remotePhoneNumbers.includes(number));
-    
-    if (numbersToRemove.length === 0) {
-        console.log(chalk.green(`All ${providerName} phone numbers are in sync.`));
-        return 0;
-    }
-    
-    console.log(chalk.yellow(`Found ${numbersToRemove.length} ${providerName} phone numbers to remove from local configuration:`));
-    numbersToRemove.forEach(number => {
-        console.log(chalk.yellow(`  - ${number}`));
-    });
-    
-    // Remove numbers from local configuration
-    // Use the existing config object that was loaded earlier
-    const configKeys = providerName.toLowerCase() === '11labs' ? ['elevenlabs', '11labs'] : [providerName.toLowerCase()];
-    
-    let removedCount = 0;
-    
-    // Loop through numbers to remove
-    for (const number of numbersToRemove) {
-        const domain = phonesForDomain[number];
-        
-        if (domainFilter && domain !== domainFilter) {
-            // Skip numbers not in the filtered domain
-            continue;
-        }
-        
-        // First remove from the global provider config
-        for (const configKey of configKeys) {
-            if (config[configKey] && config[configKey].phoneNumbers && config[configKey].phoneNumbers[number]) {
-                delete config[configKey].phoneNumbers[number];
-            }
-        }
-        
-        // Then remove from the domain-specific config
-        if (domain && config.domains[domain]) {
-            const domainConfig = config.domains[domain];
-            
-            let removed = false;
-            for (const configKey of configKeys) {
-                if (domainConfig[configKey] && 
-                    domainConfig[configKey].phoneNumbers && 
-                    domainConfig[configKey].phoneNumbers[number]) {
-                    
-                    delete domainConfig[configKey].phoneNumbers[number];
-                    removed = true;
-                }
-            }
-            
-            if (removed) {
-                console.log(chalk.yellow(`  - Removed ${number} from domain ${domain}`));
-                removedCount++;
-            }
-        }
+
+    if (jsonOutput) {
+        printJson({ ...plan, applied: true, result: applied });
+        return;
     }
-    
-    // Save updated configuration if any changes were made
-    if (removedCount > 0) {
-        saveConfig(config);
+
+    log(chalk.green(`Sync plan applied. ${applied.remove} phone numbers removed, ${applied.import} imported and ${applied.update} updated in local configuration.`));
+    const skipped = plan.actions.length - (applied.remove + applied.import + applied.update);
+    if (skipped > 0) {
+        log(chalk.yellow(`${skipped} actions were skipped because the local configuration changed since the plan was generated.`));
     }
-    
-    if (removedCount > 0) {
-        console.log(chalk.green(`Removed ${removedCount} ${providerName} phone numbers${domainFilter ? ` from domain ${domainFilter}` : ''}.`));
+
+    emitResult({ ...plan, applied: true, result: applied });
+}
+
+/**
+ * Print a plan for '--output json'. With the global --json option it becomes the result of the command,
+ * stdout then only receives the JSON result object.
+ * @param {Object} value - Plan to print
+ */
+function printJson(value) {
+    if (isJsonMode()) {
+        emitResult(value);
     } else {
-        console.log(chalk.green(`No ${providerName} phone numbers needed to be removed.`));
+        console.log(JSON.stringify(value, null, 2));
+    }
+}
+
+/**
+ * Print plan actions as a colored table
+ * @param {Array<Object>} actions - Plan actions
+ */
+function printPlanTable(actions) {
+    if (actions.length === 0) {
+        return;
+    }
+
+    const actionColors = {
+        remove: chalk.red,
+        import: chalk.green,
+        update: chalk.yellow
+    };
+
+    const headers = ['PROVIDER', 'DOMAIN', 'NUMBER', 'ACTION', 'DETAILS'];
+    const rows = actions.map(action => [
+        VoiceAgentProviderFactory.getProviderInfo(action.provider)?.name || action.provider,
+        action.domain,
+        action.number,
+        action.action,
+        describeAction(action)
+    ]);
+
+    console.log(chalk.bold('\nSync plan:'));
+    printTable(headers, rows, actions.map(action => actionColors[action.action]));
+    console.log();
+}
+
+/**
+ * Describe the details of a plan action
+ * @param {Object} action - Plan action
+ * @returns {string} Human-readable details
+ */
+function describeAction(action) {
+    if (action.action === 'remove') {
+        return action.reason || '';
+    }
+    if (action.action === 'import') {
+        return `id: ${action.id || 'N/A'}, sipUri: ${action.sipUri}`;
     }
-    
-    return removedCount;
+    return Object.entries(action.changes || {})
+        .map(([field, change]) => `${field}: ${change.local || 'N/A'} -> ${change.remote}`)
+        .join(', ');
 }
 
-module.exports = syncCommand;
\ No newline at end of file
+module.exports = syncCommand;
@@ -0,0 +1,936 @@
+const { getConfig, saveConfig, saveDomainConfig, getProviderConfig } = require('../utils/config');
+const { setActiveProfile, getActiveProfile, profileExists } = require('../utils/profiles');
+const { setVaultPassphrase, vaultExists, unlockVault } = require('../utils/secrets');
+const { audited } = require('../utils/audit');
+const { SIP_TRANSPORTS, getSipHost, isSameSipHost, parseSipUri, formatSipUri } = require('../utils/sip');
+const {
+    ERROR_CODES,
+    InvalidArgumentError,
+    ValidationError,
+    NotFoundError,
+    ProviderNotConfiguredError,
+    VaultLockedError,
+    PartialFailureError,
+    toConnectorError
+} = require('../utils/errors');
+const CloudonixService = require('../services/cloudonixApi');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+const { CloudonixApiFactory } = require('../cloudonix');
+const {
+    buildSyncPlan,
+    getProviderAccounts,
+    collectLocalNumbers,
+    applyPlanActions
+} = require('./sync');
+
+// Domain of the inbound SIP URIs of Cloudonix domains, <auto alias>.<SIP domain>
+const DEFAULT_CLOUDONIX_SIP_DOMAIN = 'sip.cloudonix.net';
+
+// Trunk lookups in progress, numbers routed in parallel to the same trunk share them so the trunk is only created once.
+// A lookup is removed when it settles, later calls look the trunk up again.
+const trunkRequests = new Map();
+
+/**
+ * Programmatic API of the connector. Every method returns a promise and rejects with a ConnectorError
+ * (see src/utils/errors.js), whose code is one of ERROR_CODES.
+ *
+ * The configuration is the one the CLI uses. The profile and vault passphrase are process-wide settings,
+ * so a process should not use connectors with different profiles at the same time.
+ */
+class CloudonixVoiceConnector {
+    /**
+     * @param {Object} options - Connector options
+     * @param {string} options.profile - Profile whose configuration is used (default: CX_VCC_PROFILE or the active profile)
+     * @param {string} options.vaultPassphrase - Passphrase of the vault holding the API keys (default: CX_VCC_VAULT_PASSPHRASE)
+     */
+    constructor({ profile, vaultPassphrase } = {}) {
+        this.profile = profile || null;
+        this.vaultPassphrase = vaultPassphrase || null;
+    }
+
+    /**
+     * Verify a Cloudonix domain and store it, with its API key and inbound SIP URI, in the configuration.
+     * The trunks and phone numbers of a domain that is already configured are kept.
+     * @param {Object} params - Domain parameters
+     * @param {string} params.domain - Cloudonix domain name
+     * @param {string} params.apiKey - Cloudonix API key of the domain
+     * @param {string} params.sipDomain - Domain of the inbound SIP URI (default: the one already configured for the domain,
+     *   CX_VCC_CLOUDONIX_SIP_DOMAIN or sip.cloudonix.net)
+     * @returns {Promise<Object>} The domain: domain, updated, alias, autoAlias, inboundSipUri and tenant
+     */
+    async configureDomain({ domain, apiKey, sipDomain } = {}) {
+        const audit = { action: 'domain.configure', domain };
+        return this._run(async () => {
+            requireParams({ domain, apiKey });
+
+            const existingConfig = getConfig().domains[domain];
+            const inboundSipDomain = sipDomain || existingConfig?.sipDomain
+                || process.env.CX_VCC_CLOUDONIX_SIP_DOMAIN || DEFAULT_CLOUDONIX_SIP_DOMAIN;
+            const domainDetails = await new CloudonixService(apiKey).getDomainDetails(domain);
+            const { autoAlias, inboundSipUri } = extractDomainInfo(domainDetails, domain, inboundSipDomain);
+
+            const domainConfig = {
+                apiKey,
+                alias: domainDetails.alias || autoAlias,
+                autoAlias,
+                inboundSipUri,
+                tenant: 'self'
+            };
+            // The configuration may have been saved while waiting for Cloudonix, so read it again
+            const updatedConfig = { ...getConfig().domains[domain], ...domainConfig };
+            // Only a SIP domain other than the default one is recorded, so that reconfiguring the domain keeps it
+            if (inboundSipDomain === DEFAULT_CLOUDONIX_SIP_DOMAIN) {
+                delete updatedConfig.sipDomain;
+            } else {
+                updatedConfig.sipDomain = inboundSipDomain;
+            }
+            saveDomainConfig(domain, updatedConfig);
+
+            return {
+                domain,
+                updated: Boolean(existingConfig),
+                alias: domainConfig.alias,
+                autoAlias,
+                inboundSipUri,
+                tenant: domainConfig.tenant
+            };
+        }, audit);
+    }
+
+    /**
+     * Verify a Voice AI provider API key and store it, globally or as the domain's own provider account
+     * @param {Object} params - Provider parameters
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.apiKey - Provider API key
+     * @param {string} params.domain - Domain whose own account the key is, with domainAccount
+     * @param {boolean} params.domainAccount - Store the key for the domain only, the global key stays the fallback
+     * @param {Object} params.settings - Values of the provider's options (see IVoiceAgentProvider.describe), stored with the key
+     * @param {string} params.apiUrl - Optional base URL of the provider API, e.g. a regional endpoint or a proxy,
+     * instead of the one already configured for the account or the provider's default
+     * @returns {Promise<Object>} The provider account: provider, domain, domainAccount, apiUrl and settings
+     */
+    async configureProvider({ provider, apiKey, domain, domainAccount = false, settings = {}, apiUrl: givenApiUrl } = {}) {
+        const audit = { action: 'provider.configure', provider, domain: domainAccount ? domain : null };
+        return this._run(async () => {
+            requireParams({ provider });
+            const { id, configKeys, remoteApi } = resolveProvider(provider);
+            const configKey = configKeys[0];
+            // Providers without an API, such as SIP, are configured with their settings only
+            if (remoteApi) {
+                requireParams({ apiKey });
+            }
+            if (givenApiUrl && !remoteApi) {
+                throw new InvalidArgumentError(`The ${provider} provider has no API, it takes no API URL`);
+            }
+            if (givenApiUrl && !/^https?:\/\/[^/]/.test(givenApiUrl)) {
+                throw new InvalidArgumentError(`Invalid API URL ${givenApiUrl}: use an http:// or https:// URL`);
+            }
+
+            if (domainAccount && !domain) {
+                throw new InvalidArgumentError('A domain account requires a domain');
+            }
+            if (domainAccount && !getConfig().domains[domain]) {
+                throw domainNotFound(domain);
+            }
+
+            // Otherwise keep the API URL already configured for the account, e.g. a proxy or a mock server
+            const apiUrl = givenApiUrl || getProviderConfig(getConfig(), id, domainAccount ? domain : undefined).apiUrl;
+            const apiService = VoiceAgentProviderFactory.createProvider(id, apiKey, apiUrl, settings);
+            await apiService.verifyApiKey();
+
+            // Read the configuration after the verification, it may have been saved meanwhile
+            const config = getConfig();
+            const section = domainAccount ? config.domains[domain] : config;
+            section[configKey] = {
+                ...section[configKey],
+                ...settings,
+                ...(remoteApi && { apiKey, apiUrl: apiService.baseUrl })
+            };
+            saveConfig(config);
+
+            return {
+                provider: id,
+                domain: domainAccount ? domain : null,
+                domainAccount: Boolean(domainAccount),
+                apiUrl: remoteApi ? apiService.baseUrl : null,
+                settings
+            };
+        }, audit);
+    }
+
+    /**
+     * Get the SIP endpoint the provider's numbers are reached at, globally or for a domain
+     * @param {Object} params - Endpoint parameters
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs, bland)
+     * @param {string} params.domain - Optional domain, whose own endpoint settings apply over the global ones
+     * @returns {Promise<Object>} The endpoint: provider, domain, region, host, port, transport, regions and settings
+     */
+    async getEndpoint({ provider, domain } = {}) {
+        return this._run(async () => {
+            requireParams({ provider });
+            const info = requireSipEndpoints(provider);
+            const config = getConfig();
+            if (domain && !config.domains[domain]) {
+                throw domainNotFound(domain);
+            }
+            return describeEndpoint(info, config, domain);
+        });
+    }
+
+    /**
+     * Set the region, host, port or transport of the provider's SIP endpoint, globally or for a domain, and update the
+     * SIP URIs of the numbers it applies to. The numbers already routed keep their Cloudonix trunk until routed again.
+     * @param {Object} params - Endpoint parameters
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs, bland)
+     * @param {string} params.domain - Optional domain to set the endpoint of, instead of the global one
+     * @param {string} params.region - Region of the provider (see IVoiceAgentProvider.describe)
+     * @param {string} params.host - Host, instead of the region's one
+     * @param {number} params.port - Port, instead of the region's or transport's one
+     * @param {string} params.transport - Transport: udp, tcp or tls
+     * @param {boolean} params.reset - Remove the endpoint settings first, back to the provider's default endpoint
+     * @returns {Promise<Object>} The endpoint (see getEndpoint) and numbers, the phone numbers whose SIP URI changed
+     */
+    async configureEndpoint({ provider, domain, region, host, port, transport, reset = false } = {}) {
+        const audit = { action: 'endpoint.configure', provider, domain };
+        return this._run(async () => {
+            requireParams({ provider });
+            const info = requireSipEndpoints(provider);
+            const config = getConfig();
+            if (domain && !config.domains[domain]) {
+                throw domainNotFound(domain);
+            }
+
+            const regions = Object.keys(info.sipEndpoints);
+            if (region && !regions.includes(region)) {
+                throw new ValidationError(`Unknown ${info.name} region: ${region}`, { hint: `Available regions: ${regions.join(', ')}` });
+            }
+            const sipTransport = transport ? String(transport).toLowerCase() : undefined;
+            if (sipTransport && !SIP_TRANSPORTS.includes(sipTransport)) {
+                throw new ValidationError(`Unsupported SIP transport: ${transport}`, { hint: `Use one of ${SIP_TRANSPORTS.join(', ')}` });
+            }
+            const sipPort = port !== undefined && port !== null ? Number(port) : undefined;
+            if (sipPort !== undefined && !(Number.isInteger(sipPort) && sipPort > 0 && sipPort < 65536)) {
+                throw new ValidationError(`Invalid SIP port: ${port}`);
+            }
+
+            const configKey = info.configKeys[0];
+            const parent = domain ? config.domains[domain] : config;
+            const section = parent[configKey] || {};
+            const settings = {
+                ...(reset ? {} : section.sipEndpoint),
+                ...(region && { region }),
+                ...(host && { host: String(host).toLowerCase() }),
+                ...(sipPort && { port: sipPort }),
+                ...(sipTransport && { transport: sipTransport })
+            };
+            if (Object.keys(settings).length > 0) {
+                section.sipEndpoint = settings;
+            } else {
+                delete section.sipEndpoint;
+            }
+            parent[configKey] = section;
+
+            // The SIP URIs stored with the numbers are the ones routing uses
+            const numbers = [];
+            for (const [domainName, domainConfig] of Object.entries(config.domains || {})) {
+                if (domain ? domainName !== domain : Boolean(domainConfig[configKey]?.sipEndpoint)) {
+                    continue;
+                }
+                const apiService = VoiceAgentProviderFactory.createForDomain(info.id, config, domainName);
+                for (const key of info.configKeys) {
+                    for (const [number, phoneNumber] of Object.entries(domainConfig[key]?.phoneNumbers || {})) {
+                        const sipUri = apiService.getDefaultSipUri(number);
+                        if (phoneNumber.sipUri !== sipUri) {
+                            numbers.push({ domain: domainName, number, sipUri, routed: Boolean(phoneNumber.dnidId) });
+                            phoneNumber.sipUri = sipUri;
+                        }
+                    }
+                }
+            }
+            saveConfig(config);
+
+            return { ...describeEndpoint(info, config, domain), numbers };
+        }, audit);
+    }
+
+    /**
+     * Create the provider's SIP trunk credential toward the domain's inbound SIP URI and record it in the domain configuration.
+     * Providers without SIP trunks (Retell) need none, a placeholder is recorded.
+     * @param {Object} params - Trunk parameters
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.domain - Cloudonix domain
+     * @param {string} params.name - Trunk name
+     * @returns {Promise<Object>} The trunk: domain, provider, id, name, gateway and status
+     */
+    async createTrunk({ provider, domain, name } = {}) {
+        const audit = { action: 'trunk.create', provider, domain, getIds: trunk => ({ trunkCredentialId: trunk?.id }) };
+        return this._run(async () => {
+            requireParams({ provider, domain, name });
+            const info = resolveProvider(provider);
+            const configKey = info.configKeys[0];
+
+            const config = getConfig();
+            const domainConfig = config.domains[domain];
+            if (!domainConfig) {
+                throw domainNotFound(domain);
+            }
+            if (!domainConfig.inboundSipUri) {
+                throw new ValidationError(`Domain ${domain} does not have an inbound SIP URI configured.`, {
+                    hint: `Please reconfigure the domain: 'cx-vcc configure --domain ${domain} --apikey YOUR_API_KEY'`
+                });
+            }
+
+            let trunk;
+            if (!info.sipTrunks) {
+                trunk = { id: 'Not required', name, status: 'active' };
+            } else {
+                const apiService = VoiceAgentProviderFactory.createForDomain(info.id, config, domain);
+                trunk = await apiService.createSipTrunkConnection(name, domainConfig.inboundSipUri);
+            }
+
+            const updatedConfig = getConfig();
+            const updatedDomainConfig = updatedConfig.domains[domain];
+            updatedDomainConfig[configKey] = { ...updatedDomainConfig[configKey], trunkCredentialId: trunk.id };
+            saveConfig(updatedConfig);
+
+            return {
+                domain,
+                provider: info.id,
+                id: trunk.id,
+                name: trunk.name || name,
+                gateway: domainConfig.inboundSipUri,
+                status: trunk.status || 'active'
+            };
+        }, audit);
+    }
+
+    /**
+     * Add a phone number to a provider, bound to an agent if one is given, and store it in the domain configuration
+     * @param {Object} params - Phone number parameters
+     * @param {string} params.domain - Cloudonix domain the number belongs to
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.number - Phone number in E.164 format
+     * @param {string} params.agent - Optional agent (VAPI assistant) ID to bind the number to
+     * @param {string} params.label - Optional name/label for the number at the provider
+     * @param {boolean} params.route - Also route the number's Cloudonix DID to the provider (see routeNumber)
+     * @param {boolean} params.checkAgent - Verify that the agent exists first (default: true)
+     * @returns {Promise<Object>} The phone number: domain, provider, number, id, sipUri, agentId and route
+     */
+    async addNumber({ domain, provider, number, agent, label, route = false, checkAgent = true } = {}) {
+        const audit = {
+            action: 'number.add',
+            domain,
+            provider,
+            number,
+            ids: { agentId: agent },
+            getIds: phoneNumber => ({ id: phoneNumber?.id })
+        };
+        return this._run(async () => {
+            requireParams({ domain, provider, number });
+            const providerKey = resolveProvider(provider).id;
+
+            const config = getConfig();
+            const domainConfig = config.domains[domain];
+            if (!domainConfig) {
+                throw domainNotFound(domain);
+            }
+            if (!VoiceAgentProviderFactory.isConfigured(providerKey, getProviderConfig(config, providerKey, domain))) {
+                throw providerNotConfigured(providerKey, domain);
+            }
+
+            // Providers without an API cannot list their agents, the agent is taken as is
+            if (agent && checkAgent && resolveProvider(providerKey).remoteApi) {
+                const agentIds = await this.listAgentIds({ provider: providerKey, domain });
+                if (!agentIds.includes(agent)) {
+                    throw new ValidationError(`Agent ${agent} not found in ${provider}.`, {
+                        hint: `Use 'cx-vcc agents list --provider ${provider}' to list the available agents.`
+                    });
+                }
+            }
+
+            const phoneNumber = await provisionNumber(config, { domain, provider: providerKey, number, agent, label });
+            const result = {
+                domain,
+                provider: providerKey,
+                number,
+                id: phoneNumber.id,
+                sipUri: phoneNumber.sipUri,
+                agentId: agent || null,
+                route: null
+            };
+
+            if (route) {
+                try {
+                    result.route = await this.routeNumber({ domain, provider: providerKey, number });
+                } catch (error) {
+                    throw new PartialFailureError(`Phone number ${number} was added to ${provider}, but routing failed: ${error.message}`, {
+                        hint: `Retry the routing with 'cx-vcc route --domain ${domain} --provider ${provider} --number ${number}'.`,
+                        details: result,
+                        cause: error
+                    });
+                }
+            }
+
+            return result;
+        }, audit);
+    }
+
+    /**
+     * Create (or reuse) the Cloudonix trunk pointing at the provider's SIP URI and bind the DID to it.
+     * Running it again only updates what changed, so it can also be used to repair a route.
+     * @param {Object} params - Routing parameters
+     * @param {string} params.domain - Cloudonix domain the number belongs to
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.number - Phone number (E.164 format), added to the provider first
+     * @param {string} params.trunkName - Optional name of the Cloudonix trunk (default: cx-vcc-<provider>)
+     * @returns {Promise<Object>} The route: trunk and dnid (each with an action: created, updated or unchanged) and target
+     */
+    async routeNumber({ domain, provider, number, trunkName } = {}) {
+        const audit = {
+            action: 'number.route',
+            domain,
+            provider,
+            number,
+            getIds: route => ({ trunkId: route?.trunk.id, dnidId: route?.dnid.id })
+        };
+        return this._run(async () => {
+            requireParams({ domain, provider, number });
+            const { configKeys: numberKeys } = resolveProvider(provider);
+
+            const config = getConfig();
+            const domainConfig = config.domains[domain];
+            if (!domainConfig) {
+                throw domainNotFound(domain);
+            }
+            if (!domainConfig.apiKey) {
+                throw new ValidationError(`Domain ${domain} has no Cloudonix API key, run 'cx-vcc configure --domain ${domain}' first`);
+            }
+
+            const configKey = numberKeys.find(key => domainConfig[key]?.phoneNumbers?.[number]);
+            if (!configKey) {
+                throw new NotFoundError(ERROR_CODES.NUMBER_NOT_FOUND,
+                    `Phone number ${number} not found for ${provider} in domain ${domain}, add it with 'cx-vcc addnumber' first`);
+            }
+
+            const target = parseSipUri(domainConfig[configKey].phoneNumbers[number].sipUri);
+            if (!target.host) {
+                throw new ValidationError(`No ${provider} SIP URI stored for ${number}, run 'cx-vcc sync --domain ${domain}' to refresh the configuration`);
+            }
+
+            const cloudonixService = CloudonixApiFactory.createService(domainConfig.apiKey);
+            const name = trunkName || domainConfig[configKey].cloudonixTrunk?.name || `cx-vcc-${numberKeys[0]}`;
+            const trunkKey = JSON.stringify([domainConfig.apiKey, domain, name, target.host, target.port, target.transport]);
+            if (!trunkRequests.has(trunkKey)) {
+                const trunkRequest = ensureTrunk(cloudonixService, domain, {
+                    name,
+                    storedId: domainConfig[configKey].cloudonixTrunk?.id,
+                    target,
+                    credentials: VoiceAgentProviderFactory.createForDomain(provider, config, domain).getSipCredentials?.()
+                });
+                trunkRequests.set(trunkKey, trunkRequest);
+                // The callers of the lookup handle its rejection
+                trunkRequest.finally(() => trunkRequests.delete(trunkKey)).catch(() => {});
+            }
+            const trunk = await trunkRequests.get(trunkKey);
+            const dnid = await ensureDnid(cloudonixService, domain, number, trunk);
+
+            // Reload the configuration, it may have been saved meanwhile
+            const updatedConfig = getConfig();
+            const section = updatedConfig.domains[domain][configKey];
+            section.cloudonixTrunk = { id: trunk.id, name: trunk.name, host: getSipHost(trunk.ip) || target.host };
+            if (section.phoneNumbers?.[number]) {
+                section.phoneNumbers[number].dnidId = dnid.id;
+            }
+            saveConfig(updatedConfig);
+
+            return { trunk, dnid, target };
+        }, audit);
+    }
+
+    /**
+     * Delete a phone number at the provider, unbind its Cloudonix DID if it was routed, and remove it from the configuration
+     * @param {Object} params - Removal parameters
+     * @param {string} params.domain - Cloudonix domain the number belongs to
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.number - Phone number (E.164 format)
+     * @returns {Promise<Object>} domain, provider, number and removedRemotely (false if the provider no longer had it)
+     */
+    async removeNumber({ domain, provider, number } = {}) {
+        let phoneNumber;
+        const audit = {
+            action: 'number.remove',
+            domain,
+            provider,
+            number,
+            getIds: () => ({ id: phoneNumber?.id, dnidId: phoneNumber?.dnidId })
+        };
+        return this._run(async () => {
+            phoneNumber = await this.getNumber({ domain, provider, number });
+            const { id: providerKey, configKeys: numberKeys } = resolveProvider(provider);
+            const config = getConfig();
+            const domainConfig = config.domains[domain];
+
+            // Unbind the DID first, so Cloudonix stops sending calls to a number that is about to disappear
+            if (phoneNumber.dnidId && domainConfig.apiKey) {
+                await CloudonixApiFactory.createService(domainConfig.apiKey).deleteDnid(domain, phoneNumber.dnidId);
+            }
+
+            const removedRemotely = await VoiceAgentProviderFactory.createForDomain(providerKey, config, domain)
+                .deletePhoneNumber({ number, id: phoneNumber.id });
+
+            // Reload the configuration, it may have been saved meanwhile
+            const updatedConfig = getConfig();
+            for (const key of numberKeys) {
+                if (updatedConfig.domains[domain]?.[key]?.phoneNumbers) {
+                    delete updatedConfig.domains[domain][key].phoneNumbers[number];
+                }
+            }
+            saveConfig(updatedConfig);
+
+            return { domain, provider: providerKey, number, removedRemotely };
+        }, audit);
+    }
+
+    /**
+     * Get a phone number stored in the configuration
+     * @param {Object} params - Lookup parameters
+     * @param {string} params.domain - Cloudonix domain the number belongs to
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.number - Phone number (E.164 format)
+     * @returns {Promise<Object>} The stored details (id, sipUri, agentId, dnidId) with domain, provider and number
+     */
+    async getNumber({ domain, provider, number } = {}) {
+        return this._run(async () => {
+            requireParams({ domain, provider, number });
+            const { id: providerKey, configKeys: numberKeys } = resolveProvider(provider);
+
+            const domainConfig = getConfig().domains[domain];
+            if (!domainConfig) {
+                throw domainNotFound(domain);
+            }
+
+            // Numbers may have been stored under either key, depending on how addnumber was invoked
+            const configKey = numberKeys.find(key => domainConfig[key]?.phoneNumbers?.[number]);
+            if (!configKey) {
+                throw new NotFoundError(ERROR_CODES.NUMBER_NOT_FOUND, `Phone number ${number} not found for ${provider} in domain ${domain}.`);
+            }
+
+            return { ...domainConfig[configKey].phoneNumbers[number], domain, provider: providerKey, number };
+        });
+    }
+
+    /**
+     * List the phone numbers of the configuration, optionally compared with the ones of the provider accounts
+     * @param {Object} params - Filters
+     * @param {string} params.domain - Optional domain to list the numbers of
+     * @param {string} params.provider - Optional provider to list the numbers of
+     * @param {boolean} params.remote - Also fetch the provider accounts: each number then tells whether it exists
+     *   remotely, and remote-only numbers routed to a configured domain are listed too
+     * @returns {Promise<Array<Object>>} Numbers with provider, domain, number, id, sipUri, local and (with remote) remote
+     */
+    async listNumbers({ domain, provider, remote = false } = {}) {
+        return this._run(async () => {
+            const config = getConfig();
+            if (domain && !config.domains[domain]) {
+                throw domainNotFound(domain);
+            }
+            if (provider) {
+                resolveProvider(provider);
+            }
+
+            const numbers = [];
+            for (const info of VoiceAgentProviderFactory.listProviders()) {
+                if (provider && !info.aliases.includes(provider.toLowerCase())) {
+                    continue;
+                }
+
+                const entries = collectLocalNumbers(config, info.configKeys)
+                    .filter(entry => !domain || entry.domain === domain)
+                    .map(entry => ({
+                        provider: info.id,
+                        domain: entry.domain,
+                        number: entry.number,
+                        id: entry.id ?? null,
+                        sipUri: entry.sipUri ?? null,
+                        local: true
+                    }));
+
+                if (remote) {
+                    for (const account of getProviderAccounts(info, config)) {
+                        if (domain && !account.includes(domain)) {
+                            continue;
+                        }
+                        const apiService = VoiceAgentProviderFactory.createProvider(info.id,
+                            account.providerConfig.apiKey, account.providerConfig.apiUrl, account.providerConfig);
+                        const remoteNumbers = (await apiService.listPhoneNumbers())
+                            .filter(remoteNumber => !remoteNumber.fromLocalConfig);
+                        const accountEntries = entries.filter(entry => account.includes(entry.domain));
+
+                        accountEntries.forEach(entry => {
+                            entry.remote = remoteNumbers.some(remoteNumber => remoteNumber.number === entry.number);
+                        });
+
+                        const domainNames = Object.keys(config.domains || {}).filter(account.includes);
+                        remoteNumbers
+                            .filter(remoteNumber => !accountEntries.some(entry => entry.number === remoteNumber.number))
+                            .forEach(remoteNumber => {
+                                const domainName = domainNames.find(name =>
+                                    apiService.matchesDomain(remoteNumber, config.domains[name])) || null;
+                                if (!domain || domainName === domain) {
+                                    entries.push({
+                                        provider: info.id,
+                                        domain: domainName,
+                                        number: remoteNumber.number,
+                                        id: remoteNumber.id ?? null,
+                                        sipUri: remoteNumber.sipUri,
+                                        local: false,
+                                        remote: true
+                                    });
+                                }
+                            });
+                    }
+                }
+
+                numbers.push(...entries);
+            }
+
+            return numbers;
+        });
+    }
+
+    /**
+     * Reconcile the configuration with the provider accounts: numbers that no longer exist remotely are removed,
+     * IDs and SIP URIs that drifted are updated, and with import remote-only numbers routed to a domain are added
+     * @param {Object} params - Sync parameters
+     * @param {string} params.domain - Optional domain to limit the sync to
+     * @param {string} params.provider - Optional provider to limit the sync to
+     * @param {boolean} params.import - Import remote-only numbers routed to a configured domain
+     * @param {boolean} params.dryRun - Only compute the plan
+     * @param {Function} params.log - Optional progress logger, called like console.log
+     * @returns {Promise<Object>} The plan: actions, errors (per provider account), summary and applied
+     */
+    async sync({ domain, provider, import: importRemote = false, dryRun = false, log } = {}) {
+        return this._run(async () => {
+            if (provider) {
+                resolveProvider(provider);
+            }
+            const config = getConfig();
+            if (domain && !config.domains[domain]) {
+                throw domainNotFound(domain);
+            }
+
+            const plan = await buildSyncPlan(config, { domain, provider, importRemote }, log);
+            plan.applied = false;
+
+            if (!dryRun && plan.actions.length > 0) {
+                applyPlanActions(plan.actions);
+                plan.applied = true;
+            }
+            return plan;
+        });
+    }
+
+    /**
+     * Apply a plan returned by sync with dryRun. Actions that no longer match the configuration are skipped.
+     * @param {Object} plan - The plan
+     * @returns {Promise<Object>} Count of applied actions by type (remove, import, update)
+     */
+    async applySyncPlan(plan) {
+        return this._run(async () => {
+            if (!plan || !Array.isArray(plan.actions)) {
+                throw new ValidationError('Invalid sync plan: missing actions list.');
+            }
+            return applyPlanActions(plan.actions);
+        });
+    }
+
+    /**
+     * List the IDs of the agents (or VAPI assistants) of the provider account a domain uses
+     * @param {Object} params - Lookup parameters
+     * @param {string} params.provider - Provider name (vapi, retell, 11labs)
+     * @param {string} params.domain - Optional domain, selects the domain's own provider account if it has one
+     * @returns {Promise<Array<string>>} Agent IDs
+     */
+    async listAgentIds({ provider, domain } = {}) {
+        return this._run(async () => {
+            requireParams({ provider });
+            const { id } = resolveProvider(provider);
+            const config = getConfig();
+            if (!VoiceAgentProviderFactory.isConfigured(id, getProviderConfig(config, id, domain))) {
+                throw providerNotConfigured(id, domain);
+            }
+
+            const agents = await VoiceAgentProviderFactory.createForDomain(id, config, domain).listAgents();
+            return agents.map(agent => agent.id);
+        });
+    }
+
+    /**
+     * Select the profile and unlock the vault, then run an operation, converting its errors to ConnectorErrors
+     * @param {Function} operation - Async function doing the work
+     * @param {Object} audit - For mutating operations, the audit log entry (see recordAudit) with an optional
+     *   getIds function returning the remote IDs from the result
+     * @returns {Promise<*>} The result of the operation
+     */
+    async _run(operation, audit = null) {
+        if (this.profile) {
+            setActiveProfile(this.profile);
+        }
+        if (!profileExists(getActiveProfile())) {
+            throw new NotFoundError(ERROR_CODES.PROFILE_NOT_FOUND, `Profile ${getActiveProfile()} does not exist.`);
+        }
+        if (this.vaultPassphrase) {
+            setVaultPassphrase(this.vaultPassphrase);
+        }
+        if (vaultExists()) {
+            try {
+                unlockVault();
+            } catch (error) {
+                throw new VaultLockedError(`Failed to unlock the vault: ${error.message}`, { cause: error });
+            }
+        }
+
+        try {
+            if (!audit) {
+                return await operation();
+            }
+            const { getIds, ...entry } = audit;
+            return await audited({ ...entry, provider: VoiceAgentProviderFactory.getProviderInfo(entry.provider)?.id || entry.provider },
+                operation, getIds);
+        } catch (error) {
+            throw toConnectorError(error);
+        }
+    }
+}
+
+/**
+ * Throw an InvalidArgumentError for the first missing parameter
+ * @param {Object} params - Required parameters by name
+ */
+function requireParams(params) {
+    const missing = Object.keys(params).find(name => !params[name]);
+    if (missing) {
+        throw new InvalidArgumentError(`The ${missing} parameter is required`);
+    }
+}
+
+/**
+ * Look up a supported provider
+ * @param {string} provider - Provider name
+ * @returns {Object} The provider description (see IVoiceAgentProvider.describe)
+ * @throws {UnsupportedProviderError} If the provider is not supported
+ */
+function resolveProvider(provider) {
+    return VoiceAgentProviderFactory.resolveProvider(provider);
+}
+
+/**
+ * @param {string} domain - Domain name
+ * @returns {NotFoundError} The error for a domain that is not configured
+ */
+function domainNotFound(domain) {
+    return new NotFoundError(ERROR_CODES.DOMAIN_NOT_FOUND, `Domain ${domain} not found in configuration.`, {
+        hint: `Use 'cx-vcc configure --domain ${domain} --apikey YOUR_API_KEY' to add it.`
+    });
+}
+
+/**
+ * @param {string} provider - Provider name
+ * @param {string} domain - Domain name, if any
+ * @returns {ProviderNotConfiguredError} The error for a provider without API key
+ */
+function providerNotConfigured(provider, domain) {
+    const { remoteApi } = resolveProvider(provider);
+    return new ProviderNotConfiguredError(`${provider} is not configured${domain ? ` for domain ${domain}` : ''}.`, {
+        hint: remoteApi
+            ? `Use 'cx-vcc service --provider ${provider} --apikey YOUR_API_KEY' to configure it.`
+            : `Use 'cx-vcc service --provider ${provider}' with the provider's options to configure it, see 'cx-vcc service --help'.`
+    });
+}
+
+/**
+ * Look up a provider whose numbers are reached at SIP endpoints
+ * @param {string} provider - Provider name
+ * @returns {Object} The provider description (see IVoiceAgentProvider.describe)
+ * @throws {ValidationError} If the provider has no SIP endpoints, such as the SIP provider and its URI template
+ */
+function requireSipEndpoints(provider) {
+    const info = resolveProvider(provider);
+    if (!info.sipEndpoints || Object.keys(info.sipEndpoints).length === 0) {
+        throw new ValidationError(`${info.name} has no SIP endpoint settings.`, {
+            hint: info.remoteApi ? undefined : `The SIP URIs of ${info.name} numbers are built from its URI template, see 'cx-vcc service --help'.`
+        });
+    }
+    return info;
+}
+
+/**
+ * Describe the SIP endpoint a provider uses, globally or for a domain
+ * @param {Object} info - The provider description
+ * @param {Object} config - The full configuration
+ * @param {string} domain - Optional domain name
+ * @returns {Object} provider, domain, region, host, port, transport, uri (with a {number} placeholder), regions and settings
+ */
+function describeEndpoint(info, config, domain) {
+    const endpoint = VoiceAgentProviderFactory.createForDomain(info.id, config, domain).getSipEndpoint();
+    return {
+        provider: info.id,
+        domain: domain || null,
+        ...endpoint,
+        uri: formatSipUri('{number}', endpoint),
+        regions: Object.keys(info.sipEndpoints),
+        settings: getProviderConfig(config, info.id, domain).sipEndpoint || {}
+    };
+}
+
+/**
+ * Add a phone number to a provider and store it in the domain configuration
+ * @param {Object} config - The full configuration
+ * @param {Object} params - Provisioning parameters
+ * @param {string} params.domain - Cloudonix domain to use
+ * @param {string} params.provider - Provider ID
+ * @param {string} params.number - Phone number in E.164 format
+ * @param {string} params.agent - Optional agent ID to bind the number to
+ * @param {string} params.label - Optional name/label for the number at the provider
+ * @returns {Promise<Object>} The stored phone number details (id, sipUri)
+ */
+async function provisionNumber(config, { domain, provider, number, agent, label }) {
+    const domainConfig = config.domains[domain];
+    const { name, configKeys, remoteApi } = resolveProvider(provider);
+    const apiService = VoiceAgentProviderFactory.createForDomain(provider, config, domain);
+
+    if (apiService.requiresTrunkCredential() && !domainConfig[configKeys[0]]?.trunkCredentialId) {
+        throw new ValidationError(`Domain ${domain} has no ${name} trunk credential.`, {
+            hint: `Create one with 'cx-vcc service --provider ${provider} --name <name> --domain ${domain}'.`
+        });
+    }
+    // Numbers of providers without an API are only routed by Cloudonix, they have nothing to terminate at the domain
+    if (!apiService.requiresTrunkCredential() && remoteApi && !domainConfig.inboundSipUri) {
+        throw new ValidationError(`No inbound SIP URI found for domain ${domain}. Please configure it first.`);
+    }
+
+    const result = await apiService.addPhoneNumber(number, {
+        domain,
+        inboundSipUri: domainConfig.inboundSipUri,
+        trunkCredentialId: domainConfig[configKeys[0]]?.trunkCredentialId,
+        agentId: agent,
+        label
+    });
+
+    // Reload the configuration, concurrent provisioning may have saved it meanwhile
+    const updatedConfig = getConfig();
+    const updatedDomainConfig = updatedConfig.domains[domain];
+    const configKey = configKeys[0];
+
+    // Store the phone number information in the configuration
+    if (!updatedDomainConfig[configKey]) {
+        updatedDomainConfig[configKey] = {};
+    }
+    if (!updatedDomainConfig[configKey].phoneNumbers) {
+        updatedDomainConfig[configKey].phoneNumbers = {};
+    }
+
+    updatedDomainConfig[configKey].phoneNumbers[number] = {
+        id: result.id,
+        sipUri: result.sipUri,
+        ...(agent && { agentId: agent })
+    };
+
+    saveConfig(updatedConfig);
+
+    return updatedDomainConfig[configKey].phoneNumbers[number];
+}
+
+/**
+ * Find the domain's trunk toward the provider and make sure it points at the provider's SIP host, creating it if needed
+ * @param {Object} cloudonixService - Cloudonix API service of the domain
+ * @param {string} domain - Cloudonix domain
+ * @param {Object} params - Trunk parameters
+ * @param {string} params.name - Trunk name
+ * @param {string} params.storedId - ID of the trunk recorded in the local configuration, if any
+ * @param {Object} params.target - Provider SIP URI parts (host, port, transport)
+ * @param {Object} params.credentials - Digest credentials the provider expects (username, password), if any
+ * @returns {Promise<Object>} The trunk with the action taken
+ */
+async function ensureTrunk(cloudonixService, domain, { name, storedId, target, credentials }) {
+    const trunkData = {
+        name,
+        direction: 'public-outbound',
+        ip: target.host,
+        port: target.port,
+        transport: target.transport,
+        ...(credentials && { username: credentials.username, password: credentials.password })
+    };
+
+    const trunks = (await cloudonixService.listSipTrunks(domain)) || [];
+    const existing = trunks.find(trunk => storedId !== undefined && String(trunk.id) === String(storedId))
+        || trunks.find(trunk => trunk.name === name);
+
+    if (!existing) {
+        const created = await cloudonixService.createSipTrunk(domain, trunkData);
+        return { ...trunkData, ...created, action: 'created' };
+    }
+
+    const inSync = isSameSipHost(existing.ip, target.host)
+        && Number(existing.port || 5060) === target.port
+        && String(existing.transport || 'udp').toLowerCase() === target.transport
+        // Passwords are not returned, only a username change is detected
+        && (existing.username || null) === (credentials?.username || null);
+    if (inSync) {
+        return { ...existing, action: 'unchanged' };
+    }
+
+    const updated = await cloudonixService.updateSipTrunk(domain, existing.id, trunkData);
+    return { ...existing, ...trunkData, ...updated, action: 'updated' };
+}
+
+/**
+ * Make sure the DID is bound to the trunk, creating the DNID if needed
+ * @param {Object} cloudonixService - Cloudonix API service of the domain
+ * @param {string} domain - Cloudonix domain
+ * @param {string} number - Phone number (E.164 format)
+ * @param {Object} trunk - The trunk toward the provider
+ * @returns {Promise<Object>} The DNID with the action taken
+ */
+async function ensureDnid(cloudonixService, domain, number, trunk) {
+    const dnidData = { source: number, trunk: trunk.id };
+
+    const dnids = (await cloudonixService.listDnids(domain)) || [];
+    const existing = dnids.find(dnid => dnid.source === number);
+
+    if (!existing) {
+        const created = await cloudonixService.createDnid(domain, dnidData);
+        return { ...dnidData, ...created, action: 'created' };
+    }
+    if (String(existing.trunk) === String(trunk.id)) {
+        return { ...existing, action: 'unchanged' };
+    }
+
+    const updated = await cloudonixService.updateDnid(domain, existing.id, dnidData);
+    return { ...existing, ...dnidData, ...updated, action: 'updated' };
+}
+
+/**
+ * Extract the auto alias and inbound SIP URI from the Cloudonix domain details
+ * @param {Object} domainDetails - Domain details returned by Cloudonix
+ * @param {string} domain - Domain name
+ * @param {string} sipDomain - Domain of the inbound SIP URI (default: sip.cloudonix.net)
+ * @returns {{autoAlias: string, inboundSipUri: string}} The auto alias (the domain itself if none) and inbound SIP URI
+ */
+function extractDomainInfo(domainDetails, domain, sipDomain = DEFAULT_CLOUDONIX_SIP_DOMAIN) {
+    let autoAlias = domain;
+    let inboundSipUri = '';
+
+    if (domainDetails.aliases && Array.isArray(domainDetails.aliases)) {
+        const autoAliasObj = domainDetails.aliases.find(alias => alias.type === 'auto');
+        if (autoAliasObj && autoAliasObj.alias) {
+            autoAlias = autoAliasObj.alias;
+            inboundSipUri = `${autoAlias}.${sipDomain}`;
+        }
+    }
+
+    return { autoAlias, inboundSipUri };
+}
+
+module.exports = CloudonixVoiceConnector;
+module.exports.extractDomainInfo = extractDomainInfo;
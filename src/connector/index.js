@@ -0,0 +1,20 @@
+const CloudonixVoiceConnector = require('./CloudonixVoiceConnector');
+const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
+const errors = require('../utils/errors');
+
+// Library entry point (package.json "main"), the CLI is src/index.js
+module.exports = {
+    CloudonixVoiceConnector,
+    // Base class of the provider plugins
+    IVoiceAgentProvider,
+    ERROR_CODES: errors.ERROR_CODES,
+    ConnectorError: errors.ConnectorError,
+    InvalidArgumentError: errors.InvalidArgumentError,
+    ValidationError: errors.ValidationError,
+    NotFoundError: errors.NotFoundError,
+    UnsupportedProviderError: errors.UnsupportedProviderError,
+    ProviderNotConfiguredError: errors.ProviderNotConfiguredError,
+    VaultLockedError: errors.VaultLockedError,
+    ApiError: errors.ApiError,
+    PartialFailureError: errors.PartialFailureError
+};
@@ -0,0 +1,357 @@
+const chalk = require('chalk');
+const { getConfig, saveConfig, getProviderConfig } = require('../utils/config');
+const { recordAudit } = require('../utils/audit');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+
+/**
+ * Compute the actions that reconcile the local configuration with the remote service providers
+ * @param {Object} config - The full configuration
+ * @param {Object} options - Sync options
+ * @param {string} options.domain - Optional domain to limit the sync to
+ * @param {string} options.provider - Optional provider to limit the sync to
+ * @param {boolean} options.importRemote - Plan imports of remote-only numbers routed to a configured domain
+ * @param {Function} log - Progress logger
+ * @returns {Promise<Object>} The plan: generatedAt, domain, provider, import, actions, errors and summary
+ */
+async function buildSyncPlan(config, { domain, provider, importRemote }, log = () => {}) {
+    const plan = {
+        generatedAt: new Date().toISOString(),
+        domain: domain || null,
+        provider: provider || null,
+        import: Boolean(importRemote),
+        actions: [],
+        errors: []
+    };
+
+    for (const syncProvider of VoiceAgentProviderFactory.listProviders()) {
+        if (provider && !syncProvider.aliases.includes(provider.toLowerCase())) {
+            continue;
+        }
+        // Numbers of providers without an API only exist in the configuration, there is nothing to compare them with
+        if (!syncProvider.remoteApi) {
+            continue;
+        }
+
+        const accounts = getProviderAccounts(syncProvider, config)
+            .filter(account => !domain || account.includes(domain));
+        if (accounts.length === 0) {
+            log(chalk.yellow(`${syncProvider.name} not configured, skipping...`));
+            continue;
+        }
+
+        for (const account of accounts) {
+            const { actions, error } = await planProviderSync(syncProvider, account, config, domain, importRemote, log);
+            plan.actions.push(...actions);
+            if (error) {
+                plan.errors.push({ provider: syncProvider.id, ...(account.domains ? { domains: account.domains } : {}), message: error });
+            }
+        }
+    }
+
+    plan.summary = summarizeActions(plan.actions);
+    return plan;
+}
+
+/**
+ * Group the domains by the provider account they use: domains with their own account (sharing the same key)
+ * form one group, all other domains use the global account
+ * @param {Object} syncProvider - The provider description (see IVoiceAgentProvider.describe)
+ * @param {Object} config - The full configuration
+ * @returns {Array<Object>} Accounts with providerConfig, domains (null for the global account) and includes(domainName)
+ */
+function getProviderAccounts(syncProvider, config) {
+    const configKey = syncProvider.configKeys[0];
+    const domainAccounts = new Map();
+
+    Object.entries(config.domains || {}).forEach(([domainName, domainConfig]) => {
+        const apiKey = domainConfig?.[configKey]?.apiKey;
+        if (!apiKey) {
+            return;
+        }
+        if (!domainAccounts.has(apiKey)) {
+            domainAccounts.set(apiKey, { providerConfig: getProviderConfig(config, configKey, domainName), domains: [] });
+        }
+        domainAccounts.get(apiKey).domains.push(domainName);
+    });
+
+    const accountDomains = new Set(Array.from(domainAccounts.values()).flatMap(account => account.domains));
+    const accounts = Array.from(domainAccounts.values()).map(account => ({
+        ...account,
+        includes: (domainName) => account.domains.includes(domainName)
+    }));
+
+    if (config[configKey]?.apiKey) {
+        accounts.unshift({
+            providerConfig: config[configKey],
+            domains: null,
+            includes: (domainName) => !accountDomains.has(domainName)
+        });
+    }
+
+    return accounts;
+}
+
+/**
+ * Compute the reconciliation actions for a single provider account
+ * @param {Object} syncProvider - The provider description (see IVoiceAgentProvider.describe)
+ * @param {Object} account - Provider account from getProviderAccounts
+ * @param {Object} config - The full configuration
+ * @param {string} domainFilter - Optional domain to filter by
+ * @param {boolean} importRemote - Whether to plan imports of remote-only numbers
+ * @param {Function} log - Progress logger
+ * @returns {Promise<{actions: Array, error: string|null}>} Planned actions and an optional fetch error
+ */
+async function planProviderSync(syncProvider, account, config, domainFilter, importRemote, log) {
+    const { name: providerName } = syncProvider;
+    const accountLabel = account.domains ? ` (account of ${account.domains.join(', ')})` : '';
+    log(chalk.bold(`\nSynchronizing ${providerName} phone numbers${domainFilter ? ` for domain ${domainFilter}` : ''}${accountLabel}...`));
+
+    const allLocalNumbers = collectLocalNumbers(config, syncProvider.configKeys);
+    const localNumbers = allLocalNumbers
+        .filter(entry => account.includes(entry.domain))
+        .filter(entry => !domainFilter || entry.domain === domainFilter);
+
+    if (localNumbers.length === 0) {
+        log(chalk.yellow(`No ${providerName} phone numbers in local configuration${domainFilter ? ` for domain ${domainFilter}` : ''}.`));
+        if (!importRemote) {
+            return { actions: [], error: null };
+        }
+    } else {
+        log(chalk.cyan(`Found ${localNumbers.length} ${providerName} phone numbers${domainFilter ? ` for domain ${domainFilter}` : ''} in local configuration:`));
+        localNumbers.forEach(entry => {
+            log(chalk.cyan(`  - ${entry.number} (${entry.domain})`));
+        });
+    }
+
+    // Fetch remote phone numbers
+    log(chalk.cyan(`Fetching remote ${providerName} phone numbers...`));
+    const apiService = VoiceAgentProviderFactory.createProvider(syncProvider.id,
+        account.providerConfig.apiKey, account.providerConfig.apiUrl, account.providerConfig);
+    let remoteNumbers = [];
+
+    try {
+        remoteNumbers = await apiService.listPhoneNumbers();
+
+        log(chalk.green(`✔ Found ${remoteNumbers.length} ${providerName} phone numbers in remote service${domainFilter ? ` (not filtered by domain)` : ''}.`));
+        if (remoteNumbers.length > 0) {
+            log(chalk.green(`  Remote phone numbers:`));
+            remoteNumbers.forEach(remoteNumber => {
+                log(chalk.green(`  - ${remoteNumber.number}`));
+            });
+        } else {
+            log(chalk.yellow(`  No phone numbers found in remote service.`));
+        }
+    } catch (error) {
+        log(chalk.red(`✖ Failed to fetch remote ${providerName} phone numbers: ${error.message}`));
+        log(chalk.red(`Error details: ${error.stack}`));
+        return { actions: [], error: error.message };
+    }
+
+    const remoteByNumber = new Map(remoteNumbers.map(remoteNumber => [remoteNumber.number, remoteNumber]));
+    const actions = [];
+
+    // Numbers that exist locally but not remotely are removed, the ones that exist in both are checked for drift
+    for (const entry of localNumbers) {
+        const remoteNumber = remoteByNumber.get(entry.number);
+
+        if (!remoteNumber) {
+            actions.push({
+                action: 'remove',
+                provider: syncProvider.id,
+                domain: entry.domain,
+                number: entry.number,
+                reason: 'Not found in remote service'
+            });
+            continue;
+        }
+
+        // Numbers synthesized from the local configuration carry no remote state to compare against
+        if (remoteNumber.fromLocalConfig) {
+            continue;
+        }
+
+        const changes = {};
+        if (remoteNumber.id && String(entry.id) !== String(remoteNumber.id)) {
+            changes.id = { local: entry.id ?? null, remote: remoteNumber.id };
+        }
+        const sipUri = getDomainSipUri(syncProvider, config, entry.domain, remoteNumber);
+        if (entry.sipUri !== sipUri) {
+            changes.sipUri = { local: entry.sipUri ?? null, remote: sipUri };
+        }
+
+        if (Object.keys(changes).length > 0) {
+            actions.push({
+                action: 'update',
+                provider: syncProvider.id,
+                domain: entry.domain,
+                number: entry.number,
+                changes
+            });
+        }
+    }
+
+    if (importRemote) {
+        const knownNumbers = new Set(allLocalNumbers.map(entry => entry.number));
+        const domainNames = (domainFilter ? [domainFilter] : Object.keys(config.domains || {})).filter(account.includes);
+
+        for (const remoteNumber of remoteNumbers) {
+            if (remoteNumber.fromLocalConfig || knownNumbers.has(remoteNumber.number)) {
+                continue;
+            }
+
+            const domainName = domainNames.find(name =>
+                config.domains[name] && apiService.matchesDomain(remoteNumber, config.domains[name]));
+            if (!domainName) {
+                continue;
+            }
+
+            actions.push({
+                action: 'import',
+                provider: syncProvider.id,
+                domain: domainName,
+                number: remoteNumber.number,
+                id: remoteNumber.id ?? null,
+                sipUri: getDomainSipUri(syncProvider, config, domainName, remoteNumber)
+            });
+        }
+    }
+
+    if (actions.length === 0) {
+        log(chalk.green(`All ${providerName} phone numbers are in sync.`));
+    }
+
+    return { actions, error: null };
+}
+
+/**
+ * Get the SIP URI of a remote number for its domain: a domain with its own SIP endpoint (see 'cx-vcc endpoint')
+ * reaches the provider there rather than at the endpoint of the account the number was listed with
+ * @param {Object} syncProvider - The provider description (see IVoiceAgentProvider.describe)
+ * @param {Object} config - The full configuration
+ * @param {string} domainName - Domain of the number
+ * @param {Object} remoteNumber - Normalized remote phone number
+ * @returns {string} The SIP URI
+ */
+function getDomainSipUri(syncProvider, config, domainName, remoteNumber) {
+    if (!config.domains?.[domainName]?.[syncProvider.configKeys[0]]?.sipEndpoint) {
+        return remoteNumber.sipUri;
+    }
+    return VoiceAgentProviderFactory.createForDomain(syncProvider.id, config, domainName).getDefaultSipUri(remoteNumber.number);
+}
+
+/**
+ * Collect the phone numbers stored locally for a provider, in the domains
+ * @param {Object} config - The full configuration
+ * @param {Array<string>} configKeys - Keys the provider's phone numbers may be stored under
+ * @returns {Array<Object>} Entries with number, domain, id and sipUri
+ */
+function collectLocalNumbers(config, configKeys) {
+    const entries = new Map();
+
+    for (const [domainName, domainConfig] of Object.entries(config.domains || {})) {
+        for (const configKey of configKeys) {
+            Object.entries(domainConfig?.[configKey]?.phoneNumbers || {}).forEach(([number, details]) => {
+                entries.set(number, {
+                    number,
+                    domain: domainName,
+                    id: details?.id,
+                    sipUri: details?.sipUri
+                });
+            });
+        }
+    }
+
+    return Array.from(entries.values());
+}
+
+/**
+ * Apply reconciliation actions to the local configuration, recording each applied action in the audit log
+ * @param {Array<Object>} actions - Plan actions
+ * @returns {Object} Count of applied actions by type
+ */
+function applyPlanActions(actions) {
+    const config = getConfig();
+    const applied = { remove: 0, import: 0, update: 0 };
+    const appliedActions = [];
+
+    for (const action of actions) {
+        const syncProvider = VoiceAgentProviderFactory.getProviderInfo(action.provider);
+        if (!syncProvider) {
+            continue;
+        }
+        const domainConfig = config.domains[action.domain];
+        // Sections of the domain that may hold the number
+        const sections = syncProvider.configKeys
+            .map(configKey => domainConfig?.[configKey])
+            .filter(section => section?.phoneNumbers?.[action.number]);
+
+        if (action.action === 'remove') {
+            if (sections.length > 0) {
+                applied.remove++;
+                appliedActions.push({ ...action, provider: syncProvider.id, id: sections[0].phoneNumbers[action.number].id });
+            }
+            sections.forEach(section => delete section.phoneNumbers[action.number]);
+        } else if (action.action === 'update') {
+            sections.forEach(section => {
+                Object.entries(action.changes || {}).forEach(([field, change]) => {
+                    section.phoneNumbers[action.number][field] = change.remote;
+                });
+            });
+            if (sections.length > 0) {
+                applied.update++;
+                appliedActions.push({ ...action, provider: syncProvider.id, id: sections[0].phoneNumbers[action.number].id });
+            }
+        } else if (action.action === 'import') {
+            if (!domainConfig || sections.length > 0) {
+                continue;
+            }
+            const configKey = syncProvider.configKeys[0];
+            if (!domainConfig[configKey]) {
+                domainConfig[configKey] = {};
+            }
+            if (!domainConfig[configKey].phoneNumbers) {
+                domainConfig[configKey].phoneNumbers = {};
+            }
+            domainConfig[configKey].phoneNumbers[action.number] = {
+                id: action.id,
+                sipUri: action.sipUri
+            };
+            applied.import++;
+            appliedActions.push({ ...action, provider: syncProvider.id });
+        }
+    }
+
+    if (appliedActions.length > 0) {
+        saveConfig(config);
+    }
+    appliedActions.forEach(action => recordAudit({
+        action: `sync.${action.action}`,
+        domain: action.domain,
+        provider: action.provider,
+        number: action.number,
+        ids: { id: action.id },
+        ...(action.changes && { details: { changes: action.changes } })
+    }));
+
+    return applied;
+}
+
+/**
+ * Count plan actions by type
+ * @param {Array<Object>} actions - Plan actions
+ * @returns {Object} Count of actions by type
+ */
+function summarizeActions(actions) {
+    return actions.reduce((summary, action) => {
+        summary[action.action] = (summary[action.action] || 0) + 1;
+        return summary;
+    }, { remove: 0, import: 0, update: 0 });
+}
+
+module.exports = {
+    buildSyncPlan,
+    getProviderAccounts,
+    collectLocalNumbers,
+    applyPlanActions,
+    summarizeActions
+};
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const pkg = require('../package.json');
 require('dotenv').config();
 
@@ -9,20 +9,119 @@ const configureCommand = require('./commands/configure');
 const deleteCommand = require('./commands/delete');
 const serviceCommand = require('./commands/service');
 const addNumberCommand = require('./commands/addnumber');
+const removeNumberCommand = require('./commands/removenumber');
+const routeCommand = require('./commands/route');
+const endpointCommand = require('./commands/endpoint');
 const displayCommand = require('./commands/display');
 const syncCommand = require('./commands/sync');
+const doctorCommand = require('./commands/doctor');
+const applyCommand = require('./commands/apply');
+const auditCommand = require('./commands/audit');
+const {
+    configValidateCommand,
+    configHistoryCommand,
+    configDiffCommand,
+    configRollbackCommand
+} = require('./commands/config');
+const { agentsListCommand, agentsShowCommand } = require('./commands/agents');
+const { secretsMigrateCommand } = require('./commands/secrets');
+const {
+    profileListCommand,
+    profileCreateCommand,
+    profileUseCommand,
+    profileDeleteCommand
+} = require('./commands/profile');
 
 // Import utilities
 const { setDebugMode } = require('./utils/debug');
+const { LOG_LEVELS, LOG_FORMATS, setLogOptions } = require('./utils/logger');
+const { setTraceFile } = require('./utils/trace');
+const { setSingleBackup } = require('./utils/backups');
+const { ensureVaultUnlocked, isPlaintextAllowed } = require('./utils/secrets');
+const { assertConfigSupported } = require('./utils/config');
+const { setActiveProfile, getActiveProfile, profileExists } = require('./utils/profiles');
+const { setOutputOptions, fail, failWith, ERROR_CODES } = require('./utils/output');
+const VoiceAgentProviderFactory = require('./services/VoiceAgentProviderFactory');
+
+// Provider plugins are listed in the profile's configuration and add options to the commands,
+// so select the profile before the commands are defined (the preAction hook selects it again)
+const profileArg = process.argv.find((arg, index) => process.argv[index - 1] === '--profile' || arg.startsWith('--profile='));
+setActiveProfile(profileArg?.replace(/^--profile=/, ''));
+const SUPPORTED_PROVIDERS = VoiceAgentProviderFactory.getSupportedProviders().join(', ');
 
 program
     .name('cx-vcc')
     .description('Cloudonix Voice AI Connector - Setup SIP trunks between Cloudonix and Voice AI providers')
     .version(pkg.version)
-    .hook('preAction', (thisCommand, actionCommand) => {
-      // Set debug mode based on the global flag
+    .option('--profile <name>', 'Use the configuration of a named profile (default: CX_VCC_PROFILE or the active profile)')
+    .option('--json', 'Print a structured JSON result (or error) on stdout, human-readable output goes to stderr')
+    .option('-y, --yes', 'Answer yes to confirmation prompts, required to confirm when not running in a terminal')
+    .option('--debug', 'Enable debug mode for detailed logging, the same as --log-level debug')
+    .addOption(new Option('--log-level <level>', 'Least severe log messages shown on stderr').choices(LOG_LEVELS).env('CX_VCC_LOG_LEVEL'))
+    .addOption(new Option('--log-format <format>', 'Format of the log messages').choices(LOG_FORMATS).env('CX_VCC_LOG_FORMAT'))
+    .option('--trace <file>', 'Write the HTTP requests and responses, credentials redacted, to a HAR file')
+    .configureOutput({
+      // Usage errors are reported before the preAction hook runs, so check for --json here
+      outputError: (message, write) => {
+        if (process.argv.includes('--json')) {
+          setOutputOptions({ json: true });
+          fail(ERROR_CODES.INVALID_ARGUMENT, message.replace(/^error: /, '').trim());
+        }
+        write(message);
+      }
+    })
+    .hook('preAction', async (thisCommand, actionCommand) => {
+      // Select the output mode first, so that even the errors below are reported in JSON
       const options = thisCommand.opts();
-      setDebugMode(options.debug || false);
+      const commandPath = [actionCommand.parent, actionCommand]
+        .filter(command => command && command !== thisCommand)
+        .map(command => command.name());
+      setOutputOptions({ json: options.json, yes: options.yes, command: commandPath.join(' ') });
+
+      // Set the log options, then debug mode from the global flag or the command's own one
+      setLogOptions({ level: options.logLevel, format: options.logFormat });
+      if (options.debug || actionCommand.opts().debug) {
+        setDebugMode(true);
+      }
+      if (options.trace) {
+        try {
+          setTraceFile(options.trace);
+        } catch (error) {
+          fail(ERROR_CODES.INVALID_ARGUMENT, `Cannot write the trace file ${options.trace}: ${error.message}`);
+        }
+      }
+
+      // Back up the configuration once, before the command changes it
+      setSingleBackup(true);
+
+      // Select the profile before anything reads the configuration, profile management works without one
+      setActiveProfile(options.profile);
+      if (actionCommand.parent?.name() !== 'profile' && !profileExists(getActiveProfile())) {
+        fail(ERROR_CODES.PROFILE_NOT_FOUND, `Profile ${getActiveProfile()} does not exist.`, {
+          hint: `Use 'cx-vcc profile create ${getActiveProfile()}' to create it, or 'cx-vcc profile list' to list the available profiles.`
+        });
+      }
+
+      // The config commands inspect and restore configurations this release cannot use, the other commands stop
+      if (!['config', 'profile'].includes(actionCommand.parent?.name())) {
+        try {
+          assertConfigSupported();
+        } catch (error) {
+          failWith(error, ERROR_CODES.VALIDATION_FAILED, 'Cannot use the configuration', {
+            hint: `${error.hint} Use 'cx-vcc config history' to list the backups of the configuration.`
+          });
+        }
+      }
+
+      // API keys stored in the vault are decrypted when the configuration is read, so unlock it up front.
+      // The commands taking API keys create the vault in a terminal, asking for a new passphrase, the other runs
+      // fail when a new key is saved without a passphrase (see protectConfigSecrets).
+      const storesApiKeys = ['configure', 'service', 'apply'].includes(actionCommand.name());
+      try {
+        await ensureVaultUnlocked({ create: storesApiKeys && process.stdin.isTTY && !isPlaintextAllowed() });
+      } catch (error) {
+        failWith(error, ERROR_CODES.VAULT_LOCKED, 'Failed to unlock the vault');
+      }
     });
 
 // Configure command
@@ -31,6 +130,7 @@ program
     .description('Configure a new Cloudonix domain')
     .requiredOption('-d, --domain <domain>', 'Cloudonix domain name')
     .requiredOption('-a, --apikey <apikey>', 'Cloudonix API key')
+    .option('--sip-domain <domain>', 'Domain of the inbound SIP URI, <auto alias>.<domain> (default: CX_VCC_CLOUDONIX_SIP_DOMAIN or sip.cloudonix.net)')
     .option('--debug', 'Enable debug mode for detailed logging')
     .action(configureCommand);
 
@@ -39,30 +139,86 @@ program
     .command('delete')
     .description('Delete a Cloudonix domain configuration')
     .requiredOption('-d, --domain <domain>', 'Cloudonix domain name to delete')
+    .option('--cascade', 'Also destroy the phone numbers, trunk credentials and Cloudonix trunks created for the domain')
     .option('--debug', 'Enable debug mode for detailed logging')
     .action(deleteCommand);
 
 // Service command
-program
+const serviceCmd = program
     .command('service')
     .description('Configure a Voice AI service provider')
-    .requiredOption('-p, --provider <provider>', 'Service provider name (currently supports: vapi, retell, 11labs)')
-    .requiredOption('-a, --apikey <apikey>', 'API key for the service provider')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .option('-a, --apikey <apikey>', 'API key for the service provider (required unless the provider has no API, such as sip)')
+    .option('--api-url <url>', 'Base URL of the service provider API, e.g. a regional endpoint or a proxy (default: the configured or public API)')
     .option('-n, --name <n>', 'Name for the SIP trunk (if creating a trunk)')
     .option('-d, --domain <domain>', 'Cloudonix domain to use for SIP trunk (only required when creating a trunk)')
+    .option('--domain-account', 'Store the API key as the domain\'s own provider account instead of the global one (requires --domain)')
     .option('--debug', 'Enable debug mode for detailed logging')
     .action(serviceCommand);
 
+// Settings of the providers, such as the options of provider plugins
+VoiceAgentProviderFactory.listProviders().forEach(info => {
+    info.options.forEach(option => {
+        const flag = new Option(option.flags, `${option.description} (${info.name})`);
+        // Providers may share an option, it is only added once
+        if (!serviceCmd.options.some(existing => existing.long === flag.long)) {
+            serviceCmd.addOption(flag);
+        }
+    });
+});
+
 // Add Number command
 program
     .command('addnumber')
     .description('Add a phone number to a Voice AI provider')
-    .requiredOption('-d, --domain <domain>', 'Cloudonix domain to use')
-    .requiredOption('-p, --provider <provider>', 'Service provider name (currently supports: vapi, retell, 11labs)')
-    .requiredOption('-n, --number <number>', 'Phone number to add (E.164 format mandatory)')
+    .option('-d, --domain <domain>', 'Cloudonix domain to use (default for --file rows without a domain)')
+    .option('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .option('-n, --number <number>', 'Phone number to add (E.164 format mandatory)')
+    .option('--agent <id>', 'Agent (VAPI assistant) ID to assign to the phone number')
+    .option('--label <label>', 'Name/label for the phone number at the provider')
+    .option('-f, --file <file>', 'Add every number listed in a CSV or YAML manifest (columns: number, domain, provider, agent, label)')
+    .option('--results <file>', 'Where to write the per-number results of --file (default: <file>.results.<ext>)')
+    .option('--concurrency <n>', 'Maximum number of numbers provisioned in parallel with --file', '4')
+    .option('--route', 'Also route the number on the Cloudonix domain to the provider (see the route command)')
     .option('--debug', 'Enable debug mode for detailed logging')
     .action(addNumberCommand);
 
+// Remove Number command
+program
+    .command('removenumber')
+    .description('Remove a phone number from a Voice AI provider')
+    .requiredOption('-d, --domain <domain>', 'Cloudonix domain the number belongs to')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .requiredOption('-n, --number <number>', 'Phone number to remove (E.164 format mandatory)')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(removeNumberCommand);
+
+// Route command
+program
+    .command('route')
+    .description('Route a phone number from its Cloudonix domain to the Voice AI provider it was added to')
+    .requiredOption('-d, --domain <domain>', 'Cloudonix domain the number belongs to')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .requiredOption('-n, --number <number>', 'Phone number to route (E.164 format mandatory)')
+    .option('--trunk-name <name>', 'Name of the Cloudonix trunk toward the provider (default: cx-vcc-<provider>)')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(routeCommand);
+
+// Endpoint command
+program
+    .command('endpoint')
+    .description('Show or set the SIP endpoint (region, host, port, transport) the numbers of a Voice AI provider are reached at')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .option('-d, --domain <domain>', 'Set the endpoint of this Cloudonix domain only, instead of the global one')
+    .option('--region <region>', 'Region of the provider, e.g. us or eu')
+    .option('--host <host>', 'SIP host, instead of the region\'s one')
+    .option('--port <port>', 'SIP port, instead of the region\'s or transport\'s one')
+    .option('--transport <transport>', 'SIP transport: udp, tcp or tls')
+    .option('--tls', 'Shortcut for --transport tls (port 5061 unless --port is given)')
+    .option('--reset', 'Go back to the provider\'s default endpoint (the other options then apply over it)')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(endpointCommand);
+
 // Display command
 program
     .command('display')
@@ -78,9 +234,133 @@ program
     .description('Synchronize local configuration with remote service providers')
     .option('-d, --domain <domain>', 'Limit sync to a specific Cloudonix domain')
     .option('-p, --provider <provider>', 'Limit sync to a specific service provider (vapi, retell, 11labs)')
+    .option('-i, --import', 'Import remote phone numbers routed to a configured domain into local configuration')
+    .option('--dry-run', 'Compute and display the reconciliation plan without changing local configuration')
+    .option('-o, --output <format>', 'Output format for the reconciliation plan (text, json)', 'text')
+    .option('--apply <file>', 'Apply a reconciliation plan previously generated with --dry-run --output json')
+    .option('--check-drift', 'Also check that provider termination settings point at the Cloudonix domains')
+    .option('--fix', 'Repair provider termination settings that drifted (with --check-drift)')
     .option('--debug', 'Enable debug mode for detailed logging')
     .action(syncCommand);
 
+// Doctor command
+program
+    .command('doctor')
+    .description('Detect drift between Cloudonix inbound SIP URIs and provider termination settings')
+    .option('-d, --domain <domain>', 'Limit the check to a specific Cloudonix domain')
+    .option('-p, --provider <provider>', 'Limit the check to a specific service provider (vapi, retell, 11labs)')
+    .option('--fix', 'Update drifted provider records to the domain\'s current inbound SIP URI')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(doctorCommand);
+
+// Apply command
+program
+    .command('apply')
+    .description('Converge the configuration and the service providers to a desired-state manifest')
+    .requiredOption('-f, --file <file>', 'Path to the manifest (e.g. cx-vcc.yaml)')
+    .option('--dry-run', 'Only show the plan, without making any changes')
+    .option('--auto-approve', 'Apply the plan without asking for confirmation')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(applyCommand);
+
+// Agents command
+const agentsCommand = program
+    .command('agents')
+    .description('List and inspect the agents configured in a Voice AI provider');
+
+agentsCommand
+    .command('list')
+    .description('List the agents (VAPI assistants) of a Voice AI provider')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .option('-d, --domain <domain>', 'Use the provider account of this Cloudonix domain if it has its own')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(agentsListCommand);
+
+agentsCommand
+    .command('show')
+    .description('Show the details of a Voice AI provider agent')
+    .requiredOption('-p, --provider <provider>', `Service provider name (currently supports: ${SUPPORTED_PROVIDERS})`)
+    .requiredOption('--id <id>', 'Agent (VAPI assistant) ID')
+    .option('-d, --domain <domain>', 'Use the provider account of this Cloudonix domain if it has its own')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(agentsShowCommand);
+
+// Audit command
+program
+    .command('audit')
+    .description('List the recorded provisioning operations, from the audit log')
+    .option('--since <date>', 'Only the operations from this date or duration back from now (e.g. 2025-06-01, 12h or 7d)')
+    .option('--until <date>', 'Only the operations before this date or duration back from now')
+    .option('-d, --domain <domain>', 'Only the operations of this Cloudonix domain')
+    .option('-n, --number <number>', 'Only the operations of this phone number')
+    .option('-p, --provider <provider>', 'Only the operations of this provider')
+    .option('--action <action>', 'Only the operations of this action (e.g. number.add) or group (e.g. number)')
+    .option('--limit <count>', 'Only the most recent operations, at most this many')
+    .option('--all-profiles', 'Include the operations of every profile, not only the active one\'s')
+    .action(auditCommand);
+
+// Secrets command
+const secretsCommand = program
+    .command('secrets')
+    .description('Manage how the Cloudonix and provider API keys are stored');
+
+secretsCommand
+    .command('migrate')
+    .description('Move the plaintext API keys of the configuration into the encrypted vault')
+    .option('--debug', 'Enable debug mode for detailed logging')
+    .action(secretsMigrateCommand);
+
+// Profile command
+const profileCommand = program
+    .command('profile')
+    .description('Manage named profiles, each with its own domains and provider API keys');
+
+profileCommand
+    .command('list')
+    .description('List the profiles')
+    .action(profileListCommand);
+
+profileCommand
+    .command('create <name>')
+    .description('Create an empty profile')
+    .action(profileCreateCommand);
+
+profileCommand
+    .command('use <name>')
+    .description('Switch the active profile')
+    .action(profileUseCommand);
+
+profileCommand
+    .command('delete <name>')
+    .description('Delete a profile with its configuration and vault')
+    .action(profileDeleteCommand);
+
+// Config command
+const configCommand = program
+    .command('config')
+    .description('Validate the configuration, and review and restore its backups');
+
+configCommand
+    .command('validate')
+    .description('Validate the configuration file against its schema, listing the migrations its layout needs')
+    .option('-f, --file <file>', 'Configuration file to validate instead of the active profile\'s one')
+    .action(configValidateCommand);
+
+configCommand
+    .command('history')
+    .description('List the backups of the configuration, the most recent first')
+    .action(configHistoryCommand);
+
+configCommand
+    .command('diff <n> [m]')
+    .description('Show the changes from backup n to backup m, or to the current configuration')
+    .action(configDiffCommand);
+
+configCommand
+    .command('rollback <n>')
+    .description('Restore backup n of the configuration and its vault, backing up the current one first')
+    .action(configRollbackCommand);
+
 program.parse(process.argv);
 
 // Display help if no arguments provided
@@ -44,6 +44,83 @@ class ICloudonixApi {
     throw new Error("Method not implemented");
   }
 
+  /**
+   * List the SIP trunks of a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @returns {Promise<Array>} The domain's SIP trunks
+   * @throws {Error} If listing the SIP trunks fails
+   */
+  async listSipTrunks(domainName) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update a SIP trunk in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} trunkId - The SIP trunk ID
+   * @param {Object} trunkData - The SIP trunk fields to update
+   * @returns {Promise<Object>} The updated trunk details
+   * @throws {Error} If updating the SIP trunk fails
+   */
+  async updateSipTrunk(domainName, trunkId, trunkData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a SIP trunk from a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} trunkId - The SIP trunk ID
+   * @returns {Promise<boolean>} True if the trunk was deleted, false if it did not exist
+   * @throws {Error} If deleting the SIP trunk fails
+   */
+  async deleteSipTrunk(domainName, trunkId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * List the DNIDs (inbound numbers) of a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @returns {Promise<Array>} The domain's DNIDs
+   * @throws {Error} If listing the DNIDs fails
+   */
+  async listDnids(domainName) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a DNID (inbound number) in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {Object} dnidData - The DNID configuration data
+   * @returns {Promise<Object>} The created DNID
+   * @throws {Error} If creating the DNID fails
+   */
+  async createDnid(domainName, dnidData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update a DNID (inbound number) in a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} dnidId - The DNID ID
+   * @param {Object} dnidData - The DNID fields to update
+   * @returns {Promise<Object>} The updated DNID
+   * @throws {Error} If updating the DNID fails
+   */
+  async updateDnid(domainName, dnidId, dnidData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a DNID (inbound number) from a Cloudonix domain
+   * @param {string} domainName - The domain name
+   * @param {string} dnidId - The DNID ID
+   * @returns {Promise<boolean>} True if the DNID was deleted, false if it did not exist
+   * @throws {Error} If deleting the DNID fails
+   */
+  async deleteDnid(domainName, dnidId) {
+    throw new Error("Method not implemented");
+  }
+
   /**
    * Get tenant details from Cloudonix
    * @param {string} tenantId - The tenant ID
@@ -1,17 +1,62 @@
+const { isSameSipHost, formatSipUri, resolveSipEndpoint } = require('../utils/sip');
+
 /**
  * Interface for Voice Agent Providers
- * This interface defines the standard methods that all voice agent provider implementations must support
+ * This interface defines the standard methods that all voice agent provider implementations must support.
+ * The commands only use providers through VoiceAgentProviderFactory, so adding a provider means adding
+ * one class implementing this interface and registering it in the factory, or exporting it from a plugin
+ * (an npm package named cx-vcc-provider-* or a module listed in the 'plugins' section of the configuration).
+ *
+ * Phone numbers are exchanged in a normalized shape:
+ * { number, id, sipUri, agentId, label, credentialId, terminationUri, status, createdAt, fromLocalConfig }
+ * - id: the ID the provider identifies the number with, stored in the configuration
+ * - sipUri: the provider's SIP URI for the number, where Cloudonix sends its calls
+ * - terminationUri: where the provider sends outbound calls, the domain's inbound SIP URI when set up by cx-vcc
+ * - fromLocalConfig: the record was synthesized from the local configuration, it says nothing about the remote state
+ *
+ * Agents are normalized to { id, name, voice, model }.
  */
 class IVoiceAgentProvider {
   /**
    * Create a new instance of a voice agent provider
    * @param {string} apiKey - The API key for the service
    * @param {string} baseUrl - The base URL for the API (optional)
+   * @param {Object} settings - The provider's configuration section, with the values of its options (optional)
    */
-  constructor(apiKey, baseUrl) {
+  constructor(apiKey, baseUrl, settings) {
     if (this.constructor === IVoiceAgentProvider) {
       throw new Error("Cannot instantiate interface directly");
     }
+    this.settings = settings || {};
+  }
+
+  /**
+   * Describe the provider. Implementations must override this static method.
+   * - id: key of the provider in the configuration and in the plans (e.g. 'elevenlabs')
+   * - name: display name (e.g. '11Labs')
+   * - aliases: names accepted for the provider on the command line, the first one is the documented one
+   * - configKeys: keys the provider's phone numbers may be stored under, the first one is used for new entries
+   * - defaultApiUrl: base URL of the API when none is configured
+   * - sipTrunks: whether the provider has SIP trunk connections (see createSipTrunkConnection)
+   * - options: optional settings added to the service command, each { flags, description, secret } (e.g. '--region <region>'),
+   *   stored in the provider's configuration section under the camel-cased option name (--acme-region as acmeRegion)
+   *   and passed to the constructor with the rest of the section; secret values are masked when displayed
+   * - remoteApi: optional, false for providers without an API (nothing to verify, list, synchronize or check remotely)
+   * - sipEndpoints: optional, the SIP endpoints of the provider by region ({host, port, transport}, port and transport optional),
+   *   the first one being the default; see getSipEndpoint
+   * @returns {{id: string, name: string, aliases: Array<string>, configKeys: Array<string>, defaultApiUrl: string, sipTrunks: boolean, options: Array<Object>, remoteApi: boolean, sipEndpoints: Object}}
+   */
+  static describe() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Check whether a provider configuration section is enough to use the provider
+   * @param {Object} providerConfig - The provider configuration (see getProviderConfig)
+   * @returns {boolean} True if the provider is configured, by default when it has an API key
+   */
+  static isConfigured(providerConfig) {
+    return Boolean(providerConfig?.apiKey);
   }
 
   /**
@@ -32,6 +77,15 @@ class IVoiceAgentProvider {
     throw new Error("Method not implemented");
   }
 
+  /**
+   * List the phone numbers that can be routed from Cloudonix, in the normalized shape
+   * @returns {Promise<Array<Object>>} Normalized phone numbers
+   * @throws {Error} If fetching phone numbers fails
+   */
+  async listPhoneNumbers() {
+    throw new Error("Method not implemented");
+  }
+
   /**
    * Get detailed information for a specific phone number
    * @param {string} id - The ID of the phone number
@@ -42,6 +96,105 @@ class IVoiceAgentProvider {
     throw new Error("Method not implemented");
   }
 
+  /**
+   * Add a phone number to the provider, terminated at a Cloudonix domain
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} options - Options
+   * @param {string} options.domain - The Cloudonix domain the number belongs to
+   * @param {string} options.inboundSipUri - The domain's inbound SIP URI
+   * @param {string} options.trunkCredentialId - The domain's trunk credential, for providers that require one
+   * @param {string} options.agentId - Optional ID of the agent to assign to the number
+   * @param {string} options.label - Optional label, defaults to "[domain] number"
+   * @returns {Promise<Object>} The added phone number, normalized
+   * @throws {Error} If adding the phone number fails
+   */
+  async addPhoneNumber(phoneNumber, options) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Assign an agent to a phone number
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} The provider's response
+   * @throws {Error} If updating the phone number fails
+   */
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a phone number from the provider
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @returns {Promise<boolean>} True if deleted, false if the number no longer exists remotely
+   * @throws {Error} If deleting the phone number fails
+   */
+  async deletePhoneNumber(phoneNumber) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Get the provider's SIP URI for a phone number, where Cloudonix sends the number's calls
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Get the SIP endpoint the provider's numbers are reached at: the region, host, port and transport configured
+   * with 'cx-vcc endpoint' (the sipEndpoint setting) applied over the provider's sipEndpoints
+   * @returns {{region: string, host: string, port: number|null, transport: string|null}} The endpoint
+   */
+  getSipEndpoint() {
+    return resolveSipEndpoint(this.constructor.describe().sipEndpoints, this.settings.sipEndpoint);
+  }
+
+  /**
+   * Build the SIP URI of a phone number at the provider's SIP endpoint
+   * @param {string} user - User part of the URI, the phone number as the provider expects it
+   * @returns {string} The SIP URI
+   */
+  formatSipUri(user) {
+    return formatSipUri(user, this.getSipEndpoint());
+  }
+
+  /**
+   * Get the provider-specific fields shown for a phone number by 'display --remote', after the normalized ones
+   * @param {Object} phoneNumber - Normalized phone number, as returned by listPhoneNumbers
+   * @returns {Array<Array<string>>} [label, value] pairs
+   */
+  getPhoneNumberDisplayFields(phoneNumber) {
+    return [];
+  }
+
+  /**
+   * Get the credentials Cloudonix must authenticate with when sending calls to the provider's SIP URIs
+   * @returns {{username: string, password: string}|null} Digest credentials, or null if the provider needs none
+   */
+  getSipCredentials() {
+    return null;
+  }
+
+  /**
+   * Check whether phone numbers must be attached to a SIP trunk credential created for their domain first
+   * @returns {boolean} True if a trunk credential is required
+   */
+  requiresTrunkCredential() {
+    return false;
+  }
+
+  /**
+   * Check whether a phone number of the provider terminates at a Cloudonix domain
+   * @param {Object} phoneNumber - Normalized phone number
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {boolean} True if the number belongs to the domain
+   */
+  matchesDomain(phoneNumber, domainConfig) {
+    return isSameSipHost(phoneNumber.terminationUri, domainConfig.inboundSipUri);
+  }
+
   /**
    * Create a SIP trunk connection
    * @param {string} name - Name for the SIP trunk
@@ -54,16 +207,65 @@ class IVoiceAgentProvider {
   }
 
   /**
-   * Add a BYO (Bring Your Own) phone number to the service
-   * @param {string} name - Name for the phone number
-   * @param {string} phoneNumber - The phone number in E.164 format
-   * @param {string} credentialId - The credential ID to use for this number
-   * @returns {Promise<Object>} The added phone number details
-   * @throws {Error} If adding the phone number fails
+   * Get a SIP trunk connection as stored at the provider
+   * @param {string} id - The ID of the SIP trunk connection
+   * @returns {Promise<Object|null>} The connection (id, name, gateways), or null if the provider does not store trunks
+   * @throws {Error} If fetching the SIP trunk fails
+   */
+  async getSipTrunkConnection(id) {
+    return null;
+  }
+
+  /**
+   * Point a SIP trunk connection at a new inbound SIP URI
+   * @param {string} id - The ID of the SIP trunk connection
+   * @param {string} inboundSipUri - The SIP URI for inbound calls
+   * @returns {Promise<Object>} The updated SIP trunk connection
+   * @throws {Error} If updating the SIP trunk fails
+   */
+  async updateSipTrunkConnection(id, inboundSipUri) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Delete a SIP trunk connection
+   * @param {string} id - The ID of the SIP trunk connection
+   * @returns {Promise<boolean>} True if deleted, false if it no longer exists remotely
+   * @throws {Error} If deleting the SIP trunk fails
+   */
+  async deleteSipTrunkConnection(id) {
+    return false;
+  }
+
+  /**
+   * List the agents configured in the provider, in the normalized shape
+   * @returns {Promise<Array<Object>>} Normalized agents
+   * @throws {Error} If fetching agents fails
    */
-  async addPhoneNumber(name, phoneNumber, credentialId) {
+  async listAgents() {
     throw new Error("Method not implemented");
   }
+
+  /**
+   * Get an agent, in the normalized shape
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Normalized agent
+   * @throws {Error} If fetching the agent fails
+   */
+  async getAgent(agentId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Build the checks of the provider resources that must point at a domain's inbound SIP URI (see the doctor command).
+   * Each check has resource, expected, fetch(), getActual(details), isInSync(details) and repair().
+   * @param {string} domain - The Cloudonix domain
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {Array<Object>} Check definitions
+   */
+  getDriftChecks(domain, domainConfig) {
+    return [];
+  }
 }
 
-module.exports = IVoiceAgentProvider;
\ No newline at end of file
+module.exports = IVoiceAgentProvider;
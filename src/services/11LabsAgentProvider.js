@@ -1,6 +1,7 @@
-const { ElevenLabsClient } = require('elevenlabs');
+const { createHttpClient } = require('../utils/http');
 const { logApiError, debugLog } = require('../utils/debug');
-const { getConfig, saveConfig } = require('../utils/config');
+const { isSameSipHost } = require('../utils/sip');
+const { ValidationError } = require('../utils/errors');
 const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
 
 /**
@@ -8,38 +9,48 @@ const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
  * @implements {IVoiceAgentProvider}
  */
 class ElevenLabsAgentProvider extends IVoiceAgentProvider {
+  /**
+   * Describe the provider
+   * @returns {Object} The provider description, see IVoiceAgentProvider.describe
+   */
+  static describe() {
+    return {
+      id: 'elevenlabs',
+      name: '11Labs',
+      aliases: ['11labs', 'elevenlabs'],
+      // The legacy '11labs' key is merged into 'elevenlabs' by the version 1 configuration migration
+      configKeys: ['elevenlabs'],
+      defaultApiUrl: 'https://api.elevenlabs.io',
+      sipTrunks: false,
+      sipEndpoints: {
+        us: { host: 'sip.rtc.elevenlabs.io', port: 5060, transport: 'tcp' },
+        // EU data residency workspaces
+        eu: { host: 'sip.rtc.eu.residency.elevenlabs.io', port: 5060, transport: 'tcp' }
+      }
+    };
+  }
+
   /**
    * Create a new 11Labs agent provider instance
    * @param {string} apiKey - The 11Labs API key
-   * @param {string} baseUrl - The base URL for the 11Labs API (ignored when using official SDK)
+   * @param {string} baseUrl - The base URL for the 11Labs API, e.g. of an EU data residency workspace
+   * @param {Object} settings - The provider configuration, e.g. its SIP endpoint (see getSipEndpoint)
    */
-  constructor(apiKey, baseUrl = 'https://api.elevenlabs.io') {
-    super();
+  constructor(apiKey, baseUrl = 'https://api.elevenlabs.io', settings = {}) {
+    super(apiKey, baseUrl, settings);
     this.apiKey = apiKey;
     // Make sure baseUrl doesn't end with a slash to avoid path issues
     this.baseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
-    
-    // Create a client using the elevenlabs package
-    // The official SDK handles the base URL automatically
-    this.client = new ElevenLabsClient({
-      apiKey: this.apiKey
-    });
 
-    this._updateConfig();
-  }
-
-  /**
-   * Update the global configuration with 11Labs API details
-   * @private
-   */
-  _updateConfig() {
-    const config = getConfig();
-    config.elevenlabs = {
-      ...config.elevenlabs,
-      apiKey: this.apiKey,
-      apiUrl: this.baseUrl
-    };
-    saveConfig(config);
+    this.client = createHttpClient({
+      name: 'elevenlabs',
+      baseURL: this.baseUrl,
+      headers: {
+        'Xi-Api-Key': this.apiKey,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
   }
 
   /**
@@ -57,84 +68,9 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
    * @param {any} data - The data to log
    */
   _logDebug(message, data) {
-    if (process.argv.includes('--debug')) {
-      console.log(`\n=== 11Labs API ${message} ===`);
-      if (data) {
-        console.log(JSON.stringify(data, null, 2));
-      }
-      console.log('===========================\n');
-    }
+    debugLog(`11Labs API ${message}`, data ?? null);
   }
   
-  /**
-   * Set up axios debug interceptors when --debug flag is used
-   * @private
-   * @param {Object} axios - The axios instance to configure
-   */
-  _setupAxiosDebug(axios) {
-    if (process.argv.includes('--debug')) {
-      // Add request interceptor for debug logging
-      axios.interceptors.request.use(request => {
-        console.log('\n=== 11Labs Axios Request ===');
-        console.log('URL:', request.method.toUpperCase(), request.url);
-        console.log('Headers:', JSON.stringify(request.headers, null, 2));
-        if (request.data) {
-          console.log('Data:', JSON.stringify(request.data, null, 2));
-        }
-        console.log('============================\n');
-        return request;
-      });
-
-      // Add response interceptor for debug logging
-      axios.interceptors.response.use(
-        response => {
-          console.log('\n=== 11Labs Axios Response ===');
-          console.log('Status:', response.status, response.statusText);
-          console.log('Headers:', JSON.stringify(response.headers, null, 2));
-          
-          // More detailed analysis of the response data
-          if (response.data) {
-            console.log('Data:', JSON.stringify(response.data, null, 2));
-            console.log('Data Type:', typeof response.data);
-            
-            // If it's an object, list all top-level keys
-            if (typeof response.data === 'object' && response.data !== null && !Array.isArray(response.data)) {
-              console.log('Available Keys:', Object.keys(response.data));
-            }
-            
-            // If it's an array, show the length and sample of first item
-            if (Array.isArray(response.data)) {
-              console.log('Array Length:', response.data.length);
-              if (response.data.length > 0) {
-                console.log('First Item Sample:', JSON.stringify(response.data[0], null, 2));
-              }
-            }
-          } else {
-            console.log('Data: Empty or null response data');
-          }
-          console.log('=============================\n');
-          return response;
-        }, 
-        error => {
-          console.log('\n=== 11Labs Axios Error ===');
-          console.log('Message:', error.message);
-          if (error.response) {
-            console.log('Status:', error.response.status, error.response.statusText);
-            console.log('Headers:', JSON.stringify(error.response.headers, null, 2));
-            if (error.response.data) {
-              console.log('Error Data:', JSON.stringify(error.response.data, null, 2));
-            }
-          } else if (error.request) {
-            console.log('Request was made but no response received');
-            console.log('Request:', error.request);
-          }
-          console.log('==========================\n');
-          return Promise.reject(error);
-        }
-      );
-    }
-  }
-
   /**
    * Verify that the API key is valid
    * @returns {Promise<boolean>} True if the API key is valid
@@ -142,12 +78,10 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
    */
   async verifyApiKey() {
     try {
-      // Use user endpoint to verify API key
-      const user = await this.client.user.get();
-      this._logDebug('User Info', user);
+      await this.client.get('/v1/user');
       return true;
     } catch (error) {
-      if (error.statusCode === 401) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
         throw new Error('Invalid 11Labs API key: Authentication failed');
       }
       this._handleError(error, 'Failed to verify 11Labs API key');
@@ -161,34 +95,7 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
    */
   async getPhoneNumbers() {
     try {
-      const axios = require('axios');
-      const baseUrl = this.baseUrl || 'https://api.elevenlabs.io/v1';
-      
-      this._logDebug('Get Phone Numbers Request', {
-        endpoint: '/v1/convai/phone-numbers/',
-        method: 'GET',
-        headers: {
-          'Xi-Api-Key': '********' // Masking API key for security
-        }
-      });
-      
-      // Set up axios debug interceptors
-      this._setupAxiosDebug(axios);
-      
-      // Use direct axios call with Xi-Api-Key header
-      const response = await axios.get(`${baseUrl}/v1/convai/phone-numbers/`, {
-        headers: {
-          'Xi-Api-Key': this.apiKey,
-          'Accept': 'application/json'
-        }
-      });
-      
-      // Log the raw response first for debugging
-      this._logDebug('Get Phone Numbers Raw Response', {
-        status: response.status,
-        statusText: response.statusText,
-        data: response.data
-      });
+      const response = await this.client.get('/v1/convai/phone-numbers/');
       
       // Check if response.data is an array directly (some APIs return array at top level)
       let phoneNumbers = [];
@@ -212,106 +119,23 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
         phoneNumbers = response.data.items;
       }
       
-      this._logDebug('Get Phone Numbers Processed Response', {
-        phoneNumbersCount: phoneNumbers.length,
-        data: phoneNumbers
-      });
-      
-      // If API returns data, return it
-      if (phoneNumbers.length > 0) {
-        return phoneNumbers;
-      }
-      
-      // If no phone numbers from API, try to get them from the local config
-      this._logDebug('No phone numbers from API, checking local config');
-      const { getConfig } = require('../utils/config');
-      const config = getConfig();
-      
-      // Log the relevant parts of config for debugging
-      if (process.argv.includes('--debug')) {
-        console.log('\n=== Local Configuration Check ===');
-        console.log('Has elevenlabs config:', !!config.elevenlabs);
-        if (config.elevenlabs) {
-          console.log('Has phoneNumbers:', !!config.elevenlabs.phoneNumbers);
-          console.log('Phone Numbers Keys:', config.elevenlabs.phoneNumbers ? Object.keys(config.elevenlabs.phoneNumbers) : 'None');
-        }
-        console.log('================================\n');
-      }
-      
-      // Convert local config phone numbers to a format similar to the API response
-      if (config.elevenlabs && config.elevenlabs.phoneNumbers) {
-        const phoneNumbersKeys = Object.keys(config.elevenlabs.phoneNumbers);
-        
-        if (phoneNumbersKeys.length > 0) {
-          const localNumbers = Object.entries(config.elevenlabs.phoneNumbers).map(([number, details]) => ({
-            phone_number: number,
-            phone_number_id: details.id,
-            label: `[Local Config] ${number}`,
-            termination_uri: details.sipUri || null,
-            status: 'active', // Assume active since it's in the config
-            created_at: new Date().toISOString(), // Just use current date as we don't have this info
-            source: 'local_config'
-          }));
-          
-          this._logDebug('Phone Numbers from Local Config', {
-            count: localNumbers.length,
-            data: localNumbers
-          });
-          
-          return localNumbers;
-        }
-        
-        this._logDebug('No phone numbers in local config');
-      } else {
-        this._logDebug('No elevenlabs config or missing phoneNumbers section');
-      }
-      
-      // If no data from API or local config, return empty array
-      return [];
+      return phoneNumbers;
     } catch (error) {
-      // Log error details for debugging
-      this._logDebug('Get Phone Numbers Error', {
-        message: error.message,
-        response: error.response ? {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data
-        } : 'No response'
-      });
-      
-      // Final fallback - return local numbers if we have them
-      try {
-        const { getConfig } = require('../utils/config');
-        const config = getConfig();
-        
-        if (config.elevenlabs && config.elevenlabs.phoneNumbers) {
-          const localNumbers = Object.entries(config.elevenlabs.phoneNumbers).map(([number, details]) => ({
-            phone_number: number,
-            phone_number_id: details.id,
-            label: `[Local Config] ${number}`,
-            termination_uri: details.sipUri || null,
-            source: 'local_config_fallback'
-          }));
-          
-          this._logDebug('Fallback: Phone Numbers from Local Config', {
-            data: localNumbers
-          });
-          
-          if (localNumbers.length > 0) {
-            return localNumbers;
-          }
-        }
-      } catch (configError) {
-        this._logDebug('Failed to get local config', {
-          error: configError.message
-        });
-      }
-      
-      // If all else fails, return empty array rather than throwing an error
-      return [];
+      this._handleError(error, 'Failed to fetch 11Labs phone numbers');
     }
   }
 
+  /**
+   * List the phone numbers of 11Labs
+   * @returns {Promise<Array<Object>>} Normalized phone numbers
+   */
+  async listPhoneNumbers() {
+    const phoneNumbers = await this.getPhoneNumbers();
+    return (phoneNumbers || [])
+      .filter(phoneNumber => phoneNumber.phone_number || phoneNumber.phoneNumber || phoneNumber.number)
+      .map(phoneNumber => this._normalizePhoneNumber(phoneNumber));
+  }
+
   /**
    * Get detailed information for a specific phone number
    * @param {string} id - The ID of the phone number
@@ -320,84 +144,13 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
    */
   async getPhoneNumberDetails(id) {
     try {
-      const axios = require('axios');
-      const baseUrl = this.baseUrl || 'https://api.elevenlabs.io/v1';
-      
-      this._logDebug('Get Phone Number Details Request', {
-        endpoint: `/v1/convai/phone-numbers/${id}`,
-        method: 'GET',
-        headers: {
-          'Xi-Api-Key': '********' // Masking API key for security
-        }
-      });
-      
-      // Set up axios debug interceptors
-      this._setupAxiosDebug(axios);
-      
-      // Use direct axios call with Xi-Api-Key header
-      const response = await axios.get(`${baseUrl}/v1/convai/phone-numbers/${id}`, {
-        headers: {
-          'Xi-Api-Key': this.apiKey,
-          'Accept': 'application/json'
-        }
-      });
-      
-      const result = response.data;
-      
-      this._logDebug('Get Phone Number Details Response', {
-        status: response.status,
-        statusText: response.statusText,
-        data: result
-      });
-      
-      return result;
+      const response = await this.client.get(`/v1/convai/phone-numbers/${id}`);
+
+      return response.data;
     } catch (error) {
-      // Log error details for debugging
-      this._logDebug('Get Phone Number Details Error', {
-        id,
-        message: error.message,
-        response: error.response ? {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data
-        } : 'No response'
-      });
-      
       // Handle case where the endpoint returns 404
       if (error.response?.status === 404) {
-        // Try to get details from local config
-        try {
-          const { getConfig } = require('../utils/config');
-          const config = getConfig();
-          
-          if (config.elevenlabs && config.elevenlabs.phoneNumbers) {
-            // Find the phone number in the local config that matches this ID
-            const localNumber = Object.entries(config.elevenlabs.phoneNumbers)
-              .find(([_, details]) => details.id === id);
-            
-            if (localNumber) {
-              const [number, details] = localNumber;
-              this._logDebug('Phone Number Details from Local Config', {
-                number,
-                details
-              });
-              
-              return {
-                phone_number_id: id,
-                phone_number: number,
-                label: `[Local Config] ${number}`,
-                termination_uri: details.sipUri || null,
-                source: 'local_config'
-              };
-            }
-          }
-        } catch (configError) {
-          this._logDebug('Failed to get local config', {
-            error: configError.message
-          });
-        }
-        
-        // If we can't find it in local config, return basic info
+        // Return basic info, the drift checks treat it as a number that no longer exists
         return { id, phone_number: id };
       }
       
@@ -407,70 +160,49 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
   }
 
   /**
-   * Create a SIP trunk connection in 11Labs
-   * @param {string} name - Name for the SIP trunk
-   * @param {string} inboundSipUri - The SIP URI for inbound calls
-   * @returns {Promise<Object>} The created SIP trunk connection
-   * @throws {Error} If creating the SIP trunk fails
+   * Get the 11Labs SIP URI of a phone number, at the configured SIP endpoint
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    const formattedNumber = phoneNumber.startsWith('+') ? phoneNumber.substring(1) : phoneNumber;
+    return this.formatSipUri(formattedNumber);
+  }
+
+  /**
+   * 11Labs has no SIP trunk connections, numbers are added with their termination URI instead
+   * @param {string} name - Name for the trunk
+   * @param {string} inboundSipUri - The inbound SIP URI
+   * @throws {Error} With information that this operation is not supported
    */
   async createSipTrunkConnection(name, inboundSipUri) {
-    try {
-      // TODO: Implement when 11Labs supports SIP trunk creation
-      // For now, return a dummy object as stub implementation
-      this._logDebug('Create SIP Trunk Connection', { name, inboundSipUri });
-      return { name, inboundSipUri, id: `trunk-${Date.now()}` };
-    } catch (error) {
-      this._handleError(error, 'Failed to create 11Labs SIP trunk connection');
-    }
+    throw new Error('11Labs does not support direct SIP trunk creation. Use addPhoneNumber instead.');
   }
 
   /**
-   * Add a phone number to 11Labs
-   * @param {string} name - Name for the phone number
+   * Add a SIP trunk phone number to 11Labs, terminated at the domain's inbound SIP URI
    * @param {string} phoneNumber - The phone number in E.164 format
-   * @param {string} domainOrCredentialId - The domain name or credential ID to use for this number
-   * @returns {Promise<Object>} The added phone number details
+   * @param {Object} options - Options, see IVoiceAgentProvider.addPhoneNumber
+   * @returns {Promise<Object>} The added phone number, normalized
    * @throws {Error} If adding the phone number fails
    */
-  async addPhoneNumber(name, phoneNumber, domainOrCredentialId) {
+  async addPhoneNumber(phoneNumber, { domain, inboundSipUri, agentId, label } = {}) {
     try {
       // ElevenLabs requires specific format for phone numbers
       // Make sure the number is in E.164 format
       if (!phoneNumber.startsWith('+')) {
         phoneNumber = `+${phoneNumber}`;
       }
-      
+
+      if (!inboundSipUri) {
+        throw new Error(`Domain ${domain} does not have an inbound SIP URI configured`);
+      }
+
       // For ElevenLabs, we need to use their API to register the phone number
       // Using the ConvAI phone numbers API endpoint for SIP trunk phone numbers
       // /v1/convai/phone-numbers/create
-      
-      // Get the domain configuration to access inboundSipUri
-      const { getConfig } = require('../utils/config');
-      const config = getConfig();
-      
-      // Try to find the domain config if domainOrCredentialId is a domain name
-      let terminationUri;
-      if (typeof domainOrCredentialId === 'string' && config.domains && config.domains[domainOrCredentialId]) {
-        const domainConfig = config.domains[domainOrCredentialId];
-        if (!domainConfig.inboundSipUri) {
-          throw new Error(`Domain ${domainOrCredentialId} does not have an inbound SIP URI configured`);
-        }
-        terminationUri = `sip:${domainConfig.inboundSipUri}:5060`;
-      } else {
-        // Use the provided credential ID directly if not a domain or domain not found
-        terminationUri = `sip:${domainOrCredentialId}:5060`;
-      }
-      
-      // Format the label to include both domain name and phone number
-      let formattedLabel = name;
-      
-      // If we have a domain name in domainOrCredentialId, include it in the label
-      if (typeof domainOrCredentialId === 'string' && config.domains && config.domains[domainOrCredentialId]) {
-        formattedLabel = `[${domainOrCredentialId}] ${phoneNumber}`;
-      } else {
-        // If no domain, use a generic format with just the phone number
-        formattedLabel = `[Cloudonix] ${phoneNumber}`;
-      }
+      const terminationUri = `sip:${inboundSipUri}:5060`;
+      const formattedLabel = label || `[${domain}] ${phoneNumber}`;
       
       // Create the request payload with the correct termination URI and formatted label
       const requestPayload = {
@@ -479,83 +211,35 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
         termination_uri: terminationUri,
         provider: "sip_trunk"
       };
-      
-      // Log the request
-      this._logDebug('Add Phone Number Request', {
-        endpoint: '/v1/convai/phone-numbers/create',
-        method: 'POST',
-        headers: {
-          'Xi-Api-Key': '********' // Masking API key for security
-        },
-        payload: requestPayload
-      });
-      
-      // Use direct axios call with Xi-Api-Key header
-      const axios = require('axios');
-      const baseUrl = this.baseUrl || 'https://api.elevenlabs.io/v1';
-      
-      // Set up axios debug interceptors
-      this._setupAxiosDebug(axios);
-      
-      const response = await axios.post(`${baseUrl}/v1/convai/phone-numbers/create`, 
-        requestPayload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Xi-Api-Key': this.apiKey
+
+      const response = await this.client.post('/v1/convai/phone-numbers/create', requestPayload);
+
+      const result = response.data;
+
+      // The create endpoint does not take an agent, so assign it to the new number right away
+      if (agentId && result.phone_number_id) {
+        try {
+          await this.updatePhoneNumber(result.phone_number_id, { agent_id: agentId });
+        } catch (bindError) {
+          // Remove the number again, so that adding it can be retried
+          try {
+            await this.deletePhoneNumber({ number: phoneNumber, id: result.phone_number_id });
+          } catch (deleteError) {
+            throw new Error(`Agent ${agentId} could not be assigned (${bindError.message}), and the number left in 11Labs `
+              + `with phone_number_id ${result.phone_number_id} could not be removed (${deleteError.message})`);
           }
+          throw new Error(`Agent ${agentId} could not be assigned (${bindError.message}), the number was removed from 11Labs`);
         }
-      );
-      
-      const result = response.data;
-      
-      // Log the response
-      this._logDebug('Add Phone Number Response', {
-        status: response.status,
-        statusText: response.statusText,
-        data: result
-      });
+        result.agent_id = agentId;
+      }
       
-      // Return a standardized response that matches our interface with the correct properties
-      // The 11Labs API response structure for phone number creation includes:
-      // - phone_number_id: the unique identifier for the phone number
-      // - phone_number: the phone number in E.164 format
-      // - label: the name/label associated with the phone number
-      // - termination_uri: the SIP URI for call termination
-      // - status: the status of the phone number (e.g., "active")
-      // - created_at: timestamp of creation
-      return {
-        // Standard internal properties
-        id: result.phone_number_id || `phone-${Date.now()}`,
-        
-        // Exact properties from 11Labs API
-        phone_number_id: result.phone_number_id,
-        phone_number: result.phone_number || phoneNumber,
-        label: result.label || formattedLabel,
-        termination_uri: result.termination_uri,
-        status: result.status,
-        created_at: result.created_at,
-        
-        // Additional mapped properties for compatibility
-        name: result.label || formattedLabel,
-        phoneNumber: result.phone_number || phoneNumber,
-        credentialId: domainOrCredentialId,
-        
-        // Include any additional fields from the ElevenLabs response
+      return this._normalizePhoneNumber({
+        phone_number: phoneNumber,
+        label: formattedLabel,
+        termination_uri: terminationUri,
         ...result
-      };
-    } catch (error) {
-      // Log the error details for debugging
-      this._logDebug('Add Phone Number Error', {
-        message: error.message,
-        response: error.response ? {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data
-        } : 'No response'
       });
-      
+    } catch (error) {
       // Special handling for common errors
       if (error.response?.status === 400) {
         const errorMessage = error.response.data?.detail || error.response.data?.message || 'Invalid request parameters';
@@ -571,6 +255,60 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
     }
   }
 
+  /**
+   * Update a phone number in 11Labs
+   * @param {string} id - The phone_number_id of the number to update
+   * @param {Object} updates - The fields to update (e.g. termination_uri)
+   * @returns {Promise<Object>} The updated phone number details
+   * @throws {Error} If updating the phone number fails
+   */
+  async updatePhoneNumber(id, updates) {
+    try {
+      const response = await this.client.patch(`/v1/convai/phone-numbers/${id}`, updates, { idempotent: true });
+
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update 11Labs phone number with ID: ${id}`);
+    }
+  }
+
+  /**
+   * Assign an agent to a phone number
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} The updated phone number details
+   * @throws {Error} If updating the phone number fails
+   */
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    return this.updatePhoneNumber(phoneNumber.id, { agent_id: agentId });
+  }
+
+  /**
+   * Delete a phone number from 11Labs
+   * @param {Object} phoneNumber - The phone number: number and id (the phone_number_id)
+   * @returns {Promise<boolean>} True if deleted, false if the number no longer exists remotely
+   * @throws {Error} If deleting the phone number fails
+   */
+  async deletePhoneNumber({ number, id }) {
+    if (!id) {
+      throw new ValidationError(`No 11Labs phone number ID stored for ${number}.`, {
+        hint: `Run 'cx-vcc sync' to refresh the configuration.`
+      });
+    }
+
+    try {
+      await this.client.delete(`/v1/convai/phone-numbers/${id}`);
+
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        this._logDebug('Phone number not found, assuming it was already deleted', { id });
+        return false;
+      }
+      this._handleError(error, `Failed to delete 11Labs phone number with ID: ${id}`);
+    }
+  }
+
   /**
    * Handle API errors in a consistent manner
    * @private
@@ -581,11 +319,7 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
   _handleError(error, message) {
     let errorMessage = message;
 
-    if (error.statusCode) {
-      // ElevenLabs SDK error format
-      errorMessage += error.message ? `: ${error.message}` : `: Status ${error.statusCode}`;
-    } else if (error.response) {
-      // Axios error format (fallback)
+    if (error.response) {
       const { status, data } = error.response;
       
       // Get a descriptive error message from the response data
@@ -608,42 +342,151 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
       errorMessage += error.message ? `: ${error.message}` : '';
     }
 
-    // Log detailed error in debug mode
-    if (process.argv.includes('--debug')) {
-      console.error('\n=== 11Labs API Error ===');
-      console.error(errorMessage);
-      
-      // Log more structured error information
-      console.error('Error details:');
-      if (error.response) {
-        console.error(`Status: ${error.response.status} ${error.response.statusText}`);
-        console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-        console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      } else if (error.request) {
-        console.error('No response received');
-        console.error('Request:', error.request);
-      } else {
-        console.error('Error:', error.message);
-      }
-      console.error('Stack trace:', error.stack);
-      console.error('========================\n');
-    }
-
     // Log error for tracking
     logApiError(error, '11LabsAgentProvider.js', this._getLineNumber());
 
     throw new Error(errorMessage);
   }
 
+  /**
+   * Get the conversational AI agents configured in 11Labs
+   * @returns {Promise<Array>} Array of agent objects
+   * @throws {Error} If fetching agents fails
+   */
+  async getAgents() {
+    try {
+      const response = await this.client.get('/v1/convai/agents');
+
+      return Array.isArray(response.data) ? response.data : (response.data?.agents || []);
+    } catch (error) {
+      this._handleError(error, 'Failed to retrieve 11Labs agents');
+    }
+  }
+
+  /**
+   * Get detailed information about a specific conversational AI agent
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Detailed agent information
+   * @throws {Error} If fetching agent details fails
+   */
+  async getAgentDetails(agentId) {
+    try {
+      const response = await this.client.get(`/v1/convai/agents/${agentId}`);
+
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to retrieve 11Labs agent details for: ${agentId}`);
+    }
+  }
+
+  /**
+   * List the conversational AI agents configured in 11Labs, in the normalized agent shape
+   * @returns {Promise<Array<Object>>} Normalized agents
+   * @throws {Error} If fetching agents fails
+   */
+  async listAgents() {
+    const agents = await this.getAgents();
+    return (agents || []).map(agent => this._normalizeAgent(agent));
+  }
+
+  /**
+   * Get a conversational AI agent, in the normalized agent shape
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Normalized agent
+   * @throws {Error} If fetching the agent fails
+   */
+  async getAgent(agentId) {
+    const agent = this._normalizeAgent(await this.getAgentDetails(agentId));
+
+    // Agent details only carry the voice ID, resolve it to the voice name when possible
+    if (agent.voice) {
+      try {
+        const voices = await this.getVoices();
+        const voice = (voices?.voices || []).find(entry => (entry.voice_id || entry.voiceId) === agent.voice);
+        if (voice?.name) {
+          agent.voice = `${voice.name} (${agent.voice})`;
+        }
+      } catch (error) {
+        // Keep the voice ID if the voices cannot be retrieved
+      }
+    }
+    return agent;
+  }
+
+  /**
+   * Build the checks of the termination URI of each SIP trunk number
+   * @param {string} domain - The Cloudonix domain
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {Array<Object>} Check definitions
+   */
+  getDriftChecks(domain, domainConfig) {
+    const phoneNumbers = domainConfig.elevenlabs?.phoneNumbers || {};
+    const getTerminationUri = (phoneNumber) => phoneNumber.termination_uri || phoneNumber.provider_config?.address;
+
+    return Object.entries(phoneNumbers)
+      .filter(([, details]) => details?.id)
+      .map(([number, details]) => ({
+        resource: number,
+        expected: domainConfig.inboundSipUri,
+        // A 404 is answered with a record holding only the ID
+        fetch: async () => {
+          const phoneNumber = await this.getPhoneNumberDetails(details.id);
+          return phoneNumber && phoneNumber.phone_number !== details.id ? phoneNumber : null;
+        },
+        getActual: getTerminationUri,
+        isInSync: (phoneNumber) => isSameSipHost(getTerminationUri(phoneNumber), domainConfig.inboundSipUri),
+        repair: () => this.updatePhoneNumber(details.id, {
+          termination_uri: `sip:${domainConfig.inboundSipUri}:5060`
+        })
+      }));
+  }
+
+  /**
+   * Normalize an 11Labs phone number
+   * @private
+   * @param {Object} phoneNumber - The phone number as returned by 11Labs
+   * @returns {Object} Normalized phone number
+   */
+  _normalizePhoneNumber(phoneNumber) {
+    const number = phoneNumber.phone_number || phoneNumber.phoneNumber || phoneNumber.number;
+    return {
+      number,
+      id: phoneNumber.phone_number_id || phoneNumber.id,
+      sipUri: this.getDefaultSipUri(number),
+      agentId: phoneNumber.assigned_agent?.agent_id || phoneNumber.agent_id || null,
+      label: phoneNumber.label || null,
+      credentialId: null,
+      terminationUri: phoneNumber.termination_uri || phoneNumber.terminationUri || phoneNumber.provider_config?.address || null,
+      status: phoneNumber.status || null,
+      createdAt: phoneNumber.created_at || null,
+      fromLocalConfig: false
+    };
+  }
+
+  /**
+   * Normalize an 11Labs conversational AI agent
+   * @private
+   * @param {Object} agent - The agent as returned by 11Labs (list entry or details)
+   * @returns {Object} Normalized agent
+   */
+  _normalizeAgent(agent) {
+    const conversationConfig = agent.conversation_config || {};
+    return {
+      id: agent.agent_id,
+      name: agent.name,
+      voice: conversationConfig.tts?.voice_id || null,
+      model: conversationConfig.agent?.prompt?.llm || null
+    };
+  }
+
   /**
    * Get information about available voices
-   * @returns {Promise<Array>} Array of available voices
+   * @returns {Promise<Object>} The available voices, under voices
    */
   async getVoices() {
     try {
-      const voices = await this.client.voices.getAll();
-      this._logDebug('Voices', voices);
-      return voices;
+      const response = await this.client.get('/v1/voices');
+      return response.data;
     } catch (error) {
       this._handleError(error, 'Failed to retrieve 11Labs voices');
     }
@@ -655,9 +498,8 @@ class ElevenLabsAgentProvider extends IVoiceAgentProvider {
    */
   async getModels() {
     try {
-      const models = await this.client.models.getAll();
-      this._logDebug('Models', models);
-      return models;
+      const response = await this.client.get('/v1/models');
+      return response.data;
     } catch (error) {
       this._handleError(error, 'Failed to retrieve 11Labs models');
     }
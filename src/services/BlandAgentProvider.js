@@ -0,0 +1,337 @@
+const { createHttpClient } = require('../utils/http');
+const { debugLog } = require('../utils/debug');
+const { isSameSipHost } = require('../utils/sip');
+const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
+
+/**
+ * Bland AI Voice Agent Provider implementation
+ * Bland has no SIP trunk connections: BYO SIP numbers are imported one by one with their termination URI,
+ * and calls are answered by the conversational pathway bound to the number, Bland's equivalent of an agent.
+ * @implements {IVoiceAgentProvider}
+ */
+class BlandAgentProvider extends IVoiceAgentProvider {
+  /**
+   * Describe the provider
+   * @returns {Object} The provider description, see IVoiceAgentProvider.describe
+   */
+  static describe() {
+    return {
+      id: 'bland',
+      name: 'Bland',
+      aliases: ['bland'],
+      configKeys: ['bland'],
+      defaultApiUrl: 'https://api.bland.ai',
+      sipTrunks: false,
+      sipEndpoints: {
+        us: { host: 'sip.bland.ai' }
+      }
+    };
+  }
+
+  /**
+   * Create a new Bland agent provider instance
+   * @param {string} apiKey - The Bland API key
+   * @param {string} baseUrl - The base URL for the Bland API
+   * @param {Object} settings - The provider configuration, e.g. its SIP endpoint (see getSipEndpoint)
+   */
+  constructor(apiKey, baseUrl = 'https://api.bland.ai', settings = {}) {
+    super(apiKey, baseUrl, settings);
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+
+    this.client = createHttpClient({
+      name: 'bland',
+      baseURL: this.baseUrl,
+      headers: {
+        // Bland expects the bare API key, without a scheme
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Verify that the API key is valid
+   * @returns {Promise<boolean>} True if the API key is valid
+   * @throws {Error} If the API key is invalid or verification fails
+   */
+  async verifyApiKey() {
+    try {
+      await this.client.get('/v1/me');
+      return true;
+    } catch (error) {
+      if (error.response && [401, 403].includes(error.response.status)) {
+        throw new Error('Invalid Bland API key: Authentication failed');
+      }
+      this._handleError(error, 'Failed to verify Bland API key');
+    }
+  }
+
+  /**
+   * Get all inbound phone numbers of the Bland account
+   * @returns {Promise<Array>} Array of phone number objects
+   * @throws {Error} If fetching phone numbers fails
+   */
+  async getPhoneNumbers() {
+    try {
+      const response = await this.client.get('/v1/inbound');
+      return response.data?.inbound_numbers || [];
+    } catch (error) {
+      this._handleError(error, 'Failed to retrieve Bland phone numbers');
+    }
+  }
+
+  /**
+   * List the BYO SIP phone numbers of Bland, the ones Cloudonix can route to
+   * @returns {Promise<Array<Object>>} Normalized phone numbers
+   * @throws {Error} If fetching phone numbers fails
+   */
+  async listPhoneNumbers() {
+    const phoneNumbers = await this.getPhoneNumbers();
+    // Numbers bought from Bland have no termination URI, they are not routed through Cloudonix
+    return (Array.isArray(phoneNumbers) ? phoneNumbers : [])
+      .filter(phoneNumber => phoneNumber.phone_number && phoneNumber.termination_uri)
+      .map(phoneNumber => this._normalizePhoneNumber(phoneNumber));
+  }
+
+  /**
+   * Get detailed information for a specific phone number
+   * @param {string} phoneNumber - The phone number in E.164 format, Bland's identifier for numbers
+   * @returns {Promise<Object>} Detailed phone number information
+   * @throws {Error} If fetching phone number details fails
+   */
+  async getPhoneNumberDetails(phoneNumber) {
+    try {
+      const response = await this.client.get(`/v1/inbound/${encodeURIComponent(phoneNumber)}`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to retrieve Bland phone number details for: ${phoneNumber}`);
+    }
+  }
+
+  /**
+   * Update the settings of a phone number
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} updates - The fields to update
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
+   */
+  async updatePhoneNumber(phoneNumber, updates) {
+    try {
+      // Updates set fields to given values, sending them twice does no harm
+      const response = await this.client.post(`/v1/inbound/${encodeURIComponent(phoneNumber)}`, updates, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update Bland phone number ${phoneNumber}`);
+    }
+  }
+
+  /**
+   * Bland has no SIP trunk connections, numbers are imported with their termination URI instead
+   * @param {string} name - Name for the trunk
+   * @param {string} inboundSipUri - The inbound SIP URI
+   * @throws {Error} With information that this operation is not supported
+   */
+  async createSipTrunkConnection(name, inboundSipUri) {
+    throw new Error('Bland does not support direct SIP trunk creation. Use addPhoneNumber instead.');
+  }
+
+  /**
+   * Import a BYO SIP phone number to Bland, terminated at the domain's inbound SIP URI
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} options - Options, see IVoiceAgentProvider.addPhoneNumber
+   * @returns {Promise<Object>} The imported phone number, normalized
+   * @throws {Error} If importing the phone number fails
+   */
+  async addPhoneNumber(phoneNumber, { domain, inboundSipUri, agentId, label } = {}) {
+    if (!inboundSipUri) {
+      throw new Error(`Domain ${domain} not found or missing inbound SIP URI`);
+    }
+
+    try {
+      const response = await this.client.post('/v1/inbound/sip', {
+        phone_number: phoneNumber,
+        termination_uri: inboundSipUri,
+        name: label || `[${domain}] ${phoneNumber}`,
+        ...(agentId && { pathway_id: agentId })
+      });
+      return this._normalizePhoneNumber({
+        phone_number: phoneNumber,
+        termination_uri: inboundSipUri,
+        pathway_id: agentId,
+        ...response.data
+      });
+    } catch (error) {
+      this._handleError(error, 'Failed to import phone number to Bland');
+    }
+  }
+
+  /**
+   * Bind a conversational pathway to a phone number
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The pathway ID
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
+   */
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    return this.updatePhoneNumber(phoneNumber.number, { pathway_id: agentId });
+  }
+
+  /**
+   * Delete a phone number from Bland
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @returns {Promise<boolean>} True if deleted, false if the number no longer exists remotely
+   * @throws {Error} If deleting the phone number fails
+   */
+  async deletePhoneNumber({ number }) {
+    try {
+      await this.client.delete(`/v1/inbound/${encodeURIComponent(number)}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        debugLog(`Bland phone number ${number} not found, assuming it was already deleted`);
+        return false;
+      }
+      this._handleError(error, `Failed to delete Bland phone number ${number}`);
+    }
+  }
+
+  /**
+   * Get the Bland SIP URI of a phone number, at the configured SIP endpoint
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    return this.formatSipUri(phoneNumber);
+  }
+
+  /**
+   * Get the conversational pathways of the Bland account
+   * @returns {Promise<Array>} Array of pathway objects
+   * @throws {Error} If fetching pathways fails
+   */
+  async getPathways() {
+    try {
+      const response = await this.client.get('/v1/convo_pathway');
+      return Array.isArray(response.data) ? response.data : response.data?.pathways || [];
+    } catch (error) {
+      this._handleError(error, 'Failed to retrieve Bland pathways');
+    }
+  }
+
+  /**
+   * Get detailed information about a conversational pathway
+   * @param {string} pathwayId - The pathway ID
+   * @returns {Promise<Object>} Detailed pathway information
+   * @throws {Error} If fetching the pathway fails
+   */
+  async getPathwayDetails(pathwayId) {
+    try {
+      const response = await this.client.get(`/v1/convo_pathway/${encodeURIComponent(pathwayId)}`);
+      return { id: pathwayId, ...response.data };
+    } catch (error) {
+      this._handleError(error, `Failed to retrieve Bland pathway details for: ${pathwayId}`);
+    }
+  }
+
+  /**
+   * List the conversational pathways of Bland, in the normalized agent shape
+   * @returns {Promise<Array<Object>>} Normalized agents
+   * @throws {Error} If fetching pathways fails
+   */
+  async listAgents() {
+    return ((await this.getPathways()) || []).map(pathway => this._normalizeAgent(pathway));
+  }
+
+  /**
+   * Get a conversational pathway, in the normalized agent shape
+   * @param {string} agentId - The pathway ID
+   * @returns {Promise<Object>} Normalized agent
+   * @throws {Error} If fetching the pathway fails
+   */
+  async getAgent(agentId) {
+    return this._normalizeAgent(await this.getPathwayDetails(agentId));
+  }
+
+  /**
+   * Build the checks of the termination URI of each imported number
+   * @param {string} domain - The Cloudonix domain
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {Array<Object>} Check definitions
+   */
+  getDriftChecks(domain, domainConfig) {
+    return Object.keys(domainConfig.bland?.phoneNumbers || {}).map(number => ({
+      resource: number,
+      expected: domainConfig.inboundSipUri,
+      fetch: () => this.getPhoneNumberDetails(number),
+      getActual: (phoneNumber) => phoneNumber.termination_uri,
+      isInSync: (phoneNumber) => isSameSipHost(phoneNumber.termination_uri, domainConfig.inboundSipUri),
+      repair: () => this.updatePhoneNumber(number, { termination_uri: domainConfig.inboundSipUri })
+    }));
+  }
+
+  /**
+   * Normalize a Bland phone number
+   * @private
+   * @param {Object} phoneNumber - The phone number as returned by Bland
+   * @returns {Object} Normalized phone number
+   */
+  _normalizePhoneNumber(phoneNumber) {
+    const number = phoneNumber.phone_number;
+    return {
+      number,
+      // Bland identifies numbers by the E.164 number itself
+      id: phoneNumber.id || number,
+      sipUri: this.getDefaultSipUri(number),
+      agentId: phoneNumber.pathway_id || null,
+      label: phoneNumber.name || null,
+      credentialId: null,
+      terminationUri: phoneNumber.termination_uri || null,
+      status: phoneNumber.status || null,
+      createdAt: phoneNumber.created_at || null,
+      fromLocalConfig: false
+    };
+  }
+
+  /**
+   * Normalize a Bland conversational pathway
+   * @private
+   * @param {Object} pathway - The pathway as returned by Bland
+   * @returns {Object} Normalized agent
+   */
+  _normalizeAgent(pathway) {
+    return {
+      id: pathway.id || pathway.pathway_id,
+      name: pathway.name || null,
+      // Voices and models are set per node of a pathway, not for the whole pathway
+      voice: null,
+      model: null
+    };
+  }
+
+  /**
+   * Handle API errors in a consistent manner
+   * @private
+   * @param {Error} error - The error object from the API request
+   * @param {string} message - The base error message
+   * @throws {Error} A formatted error with details
+   */
+  _handleError(error, message) {
+    let errorMessage = message;
+
+    if (error.response) {
+      const { status, data } = error.response;
+      // Bland reports errors either as a message or as a list of errors
+      const detail = data?.message || data?.error || data?.errors?.[0]?.message || data?.errors?.[0];
+      errorMessage += detail && typeof detail === 'string' ? `: ${detail}` : `: Status ${status}`;
+    } else if (error.request) {
+      errorMessage += ': No response received from server';
+    } else {
+      errorMessage += `: ${error.message}`;
+    }
+
+    throw new Error(errorMessage);
+  }
+}
+
+module.exports = BlandAgentProvider;
@@ -1,6 +1,6 @@
-const { Retell } = require('retell-sdk');
+const { createHttpClient } = require('../utils/http');
 const { logApiError, debugLog } = require('../utils/debug');
-const { getConfig, saveConfig } = require('../utils/config');
+const { isSameSipHost } = require('../utils/sip');
 const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
 
 /**
@@ -8,37 +8,43 @@ const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
  * @implements {IVoiceAgentProvider}
  */
 class RetellAgentProvider extends IVoiceAgentProvider {
+  /**
+   * Describe the provider
+   * @returns {Object} The provider description, see IVoiceAgentProvider.describe
+   */
+  static describe() {
+    return {
+      id: 'retell',
+      name: 'Retell',
+      aliases: ['retell'],
+      configKeys: ['retell'],
+      defaultApiUrl: 'https://api.retellai.com',
+      sipTrunks: false,
+      sipEndpoints: {
+        us: { host: '5t4n6j0wnrl.sip.livekit.cloud', port: 5060, transport: 'tcp' }
+      }
+    };
+  }
+
   /**
    * Create a new Retell agent provider instance
    * @param {string} apiKey - The Retell API key
    * @param {string} baseUrl - The base URL for the Retell API
+   * @param {Object} settings - The provider configuration, e.g. its SIP endpoint (see getSipEndpoint)
    */
-  constructor(apiKey, baseUrl = 'https://api.retellai.com') {
-    super();
+  constructor(apiKey, baseUrl = 'https://api.retellai.com', settings = {}) {
+    super(apiKey, baseUrl, settings);
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
 
-    // Create Retell SDK client
-    this.client = new Retell({
-      apiKey: this.apiKey,
-      basePath: this.baseUrl
+    this.client = createHttpClient({
+      name: 'retell',
+      baseURL: this.baseUrl,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      }
     });
-
-    this._updateConfig();
-  }
-
-  /**
-   * Update the global configuration with Retell API details
-   * @private
-   */
-  _updateConfig() {
-    const config = getConfig();
-    config.retell = {
-      ...config.retell,
-      apiKey: this.apiKey,
-      apiUrl: this.baseUrl
-    };
-    saveConfig(config);
   }
 
   /**
@@ -49,22 +55,6 @@ class RetellAgentProvider extends IVoiceAgentProvider {
     return new Error().stack.split('\n')[2].match(/:(\d+):/)[1];
   }
 
-  /**
-   * Log debug information
-   * @private
-   * @param {string} message - The debug message
-   * @param {any} data - The data to log
-   */
-  _logDebug(message, data) {
-    if (process.argv.includes('--debug')) {
-      console.log(`\n=== Retell API ${message} ===`);
-      if (data) {
-        console.log(JSON.stringify(data, null, 2));
-      }
-      console.log('===========================\n');
-    }
-  }
-
   /**
    * Verify that the API key is valid
    * @returns {Promise<boolean>} True if the API key is valid
@@ -72,17 +62,12 @@ class RetellAgentProvider extends IVoiceAgentProvider {
    */
   async verifyApiKey() {
     try {
-      // List agents to verify API key is valid
-      await this.client.agents.listAgents();
+      await this.client.get('/list-agents');
       return true;
     } catch (error) {
-      if (error.status === 403 || error.status === 401) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
         throw new Error('Invalid Retell API key: Authentication failed');
       }
-      if (error.status !== 403 && error.status !== 401) {
-        debugLog('Warning: Retell API returned a non-authorization error, assuming API key is valid');
-        return true;
-      }
       this._handleError(error, 'Failed to verify Retell API key');
     }
   }
@@ -94,107 +79,248 @@ class RetellAgentProvider extends IVoiceAgentProvider {
    */
   async getPhoneNumbers() {
     try {
-      const response = await this.client.phoneNumbers.listPhoneNumbers();
-      this._logDebug('Phone Numbers Response', response);
-      return response;
+      const response = await this.client.get('/list-phone-numbers');
+      return response.data;
     } catch (error) {
       this._handleError(error, 'Failed to retrieve Retell phone numbers');
     }
   }
 
+  /**
+   * List the phone numbers of Retell
+   * @returns {Promise<Array<Object>>} Normalized phone numbers
+   * @throws {Error} If fetching phone numbers fails
+   */
+  async listPhoneNumbers() {
+    const phoneNumbers = await this.getPhoneNumbers();
+    return (Array.isArray(phoneNumbers) ? phoneNumbers : [])
+      .filter(phoneNumber => phoneNumber.phone_number || phoneNumber.phoneNumber)
+      .map(phoneNumber => this._normalizePhoneNumber(phoneNumber));
+  }
+
   /**
    * Get detailed information for a specific phone number
-   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {string} phoneNumber - The phone number in E.164 format, Retell's identifier for numbers
    * @returns {Promise<Object>} Detailed phone number information
    * @throws {Error} If fetching phone number details fails
    */
   async getPhoneNumberDetails(phoneNumber) {
     try {
-      // Ensure the phone number has the '+' prefix
-      const formattedNumber = phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}`;
-      const response = await this.client.phoneNumbers.getPhoneNumber({
-        phoneNumber: formattedNumber
-      });
-      this._logDebug('Phone Number Details', response);
-      return response;
+      const response = await this.client.get(`/get-phone-number/${encodeURIComponent(phoneNumber)}`);
+      return response.data;
     } catch (error) {
       this._handleError(error, `Failed to retrieve Retell phone number details for: ${phoneNumber}`);
     }
   }
 
   /**
-   * Create a SIP trunk connection in Retell (not directly supported)
+   * Update a phone number
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} updates - The fields to update
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
+   */
+  async updatePhoneNumber(phoneNumber, updates) {
+    try {
+      const response = await this.client.patch(`/update-phone-number/${encodeURIComponent(phoneNumber)}`, updates, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update Retell phone number ${phoneNumber}`);
+    }
+  }
+
+  /**
+   * Retell has no SIP trunk connections, numbers are imported with their termination URI instead
    * @param {string} name - Name for the trunk
    * @param {string} inboundSipUri - The inbound SIP URI
-   * @returns {Promise<Object>} The result (note: Retell doesn't directly support SIP trunk creation)
    * @throws {Error} With information that this operation is not supported
    */
   async createSipTrunkConnection(name, inboundSipUri) {
-    throw new Error('Retell does not support direct SIP trunk creation. Use importPhoneNumber instead.');
+    throw new Error('Retell does not support direct SIP trunk creation. Use addPhoneNumber instead.');
   }
 
   /**
-   * Add a phone number to Retell
-   * @param {string} name - Name for the phone number (unused in Retell)
+   * Import a phone number to Retell, terminated at the domain's inbound SIP URI
    * @param {string} phoneNumber - The phone number in E.164 format
-   * @param {string} domainName - The Cloudonix domain name to use for this number
-   * @returns {Promise<Object>} The imported phone number details
+   * @param {Object} options - Options, see IVoiceAgentProvider.addPhoneNumber
+   * @returns {Promise<Object>} The imported phone number, normalized
    * @throws {Error} If importing the phone number fails
    */
-  async addPhoneNumber(name, phoneNumber, domainName) {
-    return this.importPhoneNumber(phoneNumber, domainName);
+  async addPhoneNumber(phoneNumber, { domain, inboundSipUri, agentId, label } = {}) {
+    if (!inboundSipUri) {
+      throw new Error(`Domain ${domain} not found or missing inbound SIP URI`);
+    }
+
+    try {
+      const response = await this.client.post('/import-phone-number', {
+        phone_number: phoneNumber,
+        termination_uri: inboundSipUri,
+        ...(agentId && { inbound_agent_id: agentId, outbound_agent_id: agentId }),
+        ...(label && { nickname: label })
+      });
+      return this._normalizePhoneNumber({ phone_number: phoneNumber, ...response.data });
+    } catch (error) {
+      this._handleError(error, 'Failed to import phone number to Retell');
+    }
   }
 
   /**
-   * Import a phone number to Retell
-   * @param {string} phoneNumber - The phone number in E.164 format
-   * @param {string} domainName - The Cloudonix domain name to use for termination
-   * @returns {Promise<Object>} The imported phone number details
-   * @throws {Error} If importing the phone number fails
+   * Assign an agent to the inbound and outbound calls of a phone number
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
    */
-  async importPhoneNumber(phoneNumber, domainName) {
-    try {
-      const config = getConfig();
-      const domainConfig = config.domains[domainName];
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    return this.updatePhoneNumber(phoneNumber.number, {
+      inbound_agent_id: agentId,
+      outbound_agent_id: agentId
+    });
+  }
 
-      if (!domainConfig?.inboundSipUri) {
-        throw new Error(`Domain ${domainName} not found or missing inbound SIP URI`);
+  /**
+   * Delete a phone number from Retell
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @returns {Promise<boolean>} True if deleted, false if the number no longer exists remotely
+   * @throws {Error} If deleting the phone number fails
+   */
+  async deletePhoneNumber({ number }) {
+    try {
+      // Retell identifies phone numbers by the E.164 number itself
+      await this.client.delete(`/delete-phone-number/${encodeURIComponent(number)}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        debugLog(`Retell phone number ${number} not found, assuming it was already deleted`);
+        return false;
       }
+      this._handleError(error, `Failed to delete Retell phone number ${number}`);
+    }
+  }
 
-      const response = await this.client.phoneNumbers.importPhoneNumber({
-        phoneNumber,
-        terminationUri: domainConfig.inboundSipUri
-      });
+  /**
+   * Get the Retell SIP URI of a phone number, at the configured SIP endpoint
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    return this.formatSipUri(phoneNumber);
+  }
 
-      this._updatePhoneNumberConfig(config, phoneNumber, domainName, response.lastModificationTimestamp);
-      this._logDebug('Import Phone Number Response', response);
-      
-      return response;
+  /**
+   * Get a list of agents configured in Retell
+   * @returns {Promise<Array>} Array of agent objects
+   * @throws {Error} If fetching agents fails
+   */
+  async getAgents() {
+    try {
+      const response = await this.client.get('/list-agents');
+      return response.data;
     } catch (error) {
-      this._handleError(error, 'Failed to import phone number to Retell');
+      this._handleError(error, 'Failed to retrieve Retell agents');
     }
   }
 
   /**
-   * Update the configuration with the new phone number
-   * @private
-   * @param {Object} config - The current configuration
-   * @param {string} phoneNumber - The phone number
-   * @param {string} domainName - The domain name
-   * @param {string} id - The ID from Retell
+   * Get detailed information about a specific agent
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Detailed agent information
+   * @throws {Error} If fetching agent details fails
    */
-  _updatePhoneNumberConfig(config, phoneNumber, domainName, id) {
-    if (!config.retell) {
-      config.retell = { phoneNumbers: {} };
-    } else if (!config.retell.phoneNumbers) {
-      config.retell.phoneNumbers = {};
+  async getAgentDetails(agentId) {
+    try {
+      const response = await this.client.get(`/get-agent/${encodeURIComponent(agentId)}`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to retrieve Retell agent details for: ${agentId}`);
     }
+  }
+
+  /**
+   * List the agents configured in Retell, in the normalized agent shape
+   * @returns {Promise<Array<Object>>} Normalized agents
+   * @throws {Error} If fetching agents fails
+   */
+  async listAgents() {
+    // Retell lists every published version of an agent, keep the latest one
+    const latestAgents = new Map();
+    ((await this.getAgents()) || []).forEach(agent => {
+      const current = latestAgents.get(agent.agent_id);
+      if (!current || (agent.version || 0) > (current.version || 0)) {
+        latestAgents.set(agent.agent_id, agent);
+      }
+    });
+
+    return Array.from(latestAgents.values()).map(agent => this._normalizeAgent(agent));
+  }
+
+  /**
+   * Get an agent, in the normalized agent shape
+   * @param {string} agentId - The agent ID
+   * @returns {Promise<Object>} Normalized agent
+   * @throws {Error} If fetching the agent fails
+   */
+  async getAgent(agentId) {
+    return this._normalizeAgent(await this.getAgentDetails(agentId));
+  }
 
-    config.retell.phoneNumbers[phoneNumber] = { id, domainName };
-    config.retell.apiKey = this.apiKey;
-    config.retell.apiUrl = this.baseUrl;
+  /**
+   * Build the checks of the termination URI of each imported number
+   * @param {string} domain - The Cloudonix domain
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {Array<Object>} Check definitions
+   */
+  getDriftChecks(domain, domainConfig) {
+    return Object.keys(domainConfig.retell?.phoneNumbers || {}).map(number => ({
+      resource: number,
+      expected: domainConfig.inboundSipUri,
+      fetch: () => this.getPhoneNumberDetails(number),
+      getActual: (phoneNumber) => phoneNumber.termination_uri,
+      isInSync: (phoneNumber) => isSameSipHost(phoneNumber.termination_uri, domainConfig.inboundSipUri),
+      repair: () => this.updatePhoneNumber(number, { termination_uri: domainConfig.inboundSipUri })
+    }));
+  }
+
+  /**
+   * Normalize a Retell phone number
+   * @private
+   * @param {Object} phoneNumber - The phone number as returned by Retell
+   * @returns {Object} Normalized phone number
+   */
+  _normalizePhoneNumber(phoneNumber) {
+    const number = phoneNumber.phone_number || phoneNumber.phoneNumber;
+    const lastModified = phoneNumber.last_modification_timestamp || phoneNumber.lastModificationTimestamp;
+    return {
+      number,
+      // Retell has no number IDs, the configuration has always stored the last modification timestamp
+      id: lastModified,
+      sipUri: this.getDefaultSipUri(number),
+      agentId: phoneNumber.inbound_agent_id || phoneNumber.outbound_agent_id || null,
+      label: phoneNumber.nickname || null,
+      credentialId: null,
+      terminationUri: phoneNumber.termination_uri || phoneNumber.terminationUri || null,
+      status: null,
+      // Retell only reports when a number was last modified
+      createdAt: null,
+      fromLocalConfig: false
+    };
+  }
 
-    saveConfig(config);
+  /**
+   * Normalize a Retell agent
+   * @private
+   * @param {Object} agent - The agent as returned by Retell
+   * @returns {Object} Normalized agent
+   */
+  _normalizeAgent(agent) {
+    const responseEngine = agent.response_engine || {};
+    return {
+      id: agent.agent_id,
+      name: agent.agent_name,
+      voice: agent.voice_id,
+      model: [responseEngine.type, responseEngine.llm_id || responseEngine.conversation_flow_id]
+        .filter(Boolean).join('/') || null
+    };
   }
 
   /**
@@ -207,27 +333,15 @@ class RetellAgentProvider extends IVoiceAgentProvider {
   _handleError(error, message) {
     let errorMessage = message;
 
-    // Log detailed error in debug mode
-    if (process.argv.includes('--debug')) {
-      console.error('\n=== Retell API Error ===');
-      console.error(message);
-      console.error(error);
-      console.error('========================\n');
-    }
-
     // Format error message based on error type
-    if (error.status) {
-      // SDK error format
-      const data = error.body || {};
-      errorMessage += data.error || data.message 
-        ? `: ${data.error || data.message}`
-        : `: Status ${error.status}`;
-    } else if (error.response) {
-      // Axios error format (fallback)
+    if (error.response) {
+      // Axios error format
       const { status, data } = error.response;
-      errorMessage += data?.error || data?.message 
+      errorMessage += data?.error || data?.message
         ? `: ${data.error || data.message}`
         : `: Status ${status}`;
+    } else if (error.request) {
+      errorMessage += ': No response received from server';
     } else {
       // Generic error
       errorMessage += error.message ? `: ${error.message}` : '';
@@ -238,39 +352,6 @@ class RetellAgentProvider extends IVoiceAgentProvider {
 
     throw new Error(errorMessage);
   }
-
-  /**
-   * Get a list of agents configured in Retell
-   * @returns {Promise<Array>} Array of agent objects
-   * @throws {Error} If fetching agents fails
-   */
-  async getAgents() {
-    try {
-      const response = await this.client.agents.listAgents();
-      this._logDebug('Agents Response', response);
-      return response;
-    } catch (error) {
-      this._handleError(error, 'Failed to retrieve Retell agents');
-    }
-  }
-
-  /**
-   * Get detailed information about a specific agent
-   * @param {string} agentId - The agent ID
-   * @returns {Promise<Object>} Detailed agent information
-   * @throws {Error} If fetching agent details fails
-   */
-  async getAgentDetails(agentId) {
-    try {
-      const response = await this.client.agents.getAgent({
-        agentId
-      });
-      this._logDebug('Agent Details', response);
-      return response;
-    } catch (error) {
-      this._handleError(error, `Failed to retrieve Retell agent details for: ${agentId}`);
-    }
-  }
 }
 
-module.exports = RetellAgentProvider;
\ No newline at end of file
+module.exports = RetellAgentProvider;
@@ -0,0 +1,219 @@
+const { ValidationError } = require('../utils/errors');
+const { SIP_TRANSPORTS } = require('../utils/sip');
+const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
+
+/**
+ * Generic SIP Voice Agent Provider implementation, for self-hosted agents (e.g. LiveKit SIP) that accept SIP calls
+ * but have no API to manage phone numbers. Nothing is called remotely: the SIP URI of a number is built from the
+ * configured URI template and stored in the configuration, and Cloudonix routing is generated from it.
+ * @implements {IVoiceAgentProvider}
+ */
+class SipAgentProvider extends IVoiceAgentProvider {
+  /**
+   * Describe the provider
+   * @returns {Object} The provider description, see IVoiceAgentProvider.describe
+   */
+  static describe() {
+    return {
+      id: 'sip',
+      name: 'SIP',
+      aliases: ['sip', 'livekit'],
+      configKeys: ['sip'],
+      defaultApiUrl: null,
+      sipTrunks: false,
+      remoteApi: false,
+      options: [
+        { flags: '--uri-template <template>', description: 'SIP URI of the agents, with {number}, {digits}, {domain} and {agent} placeholders' },
+        { flags: '--transport <transport>', description: 'SIP transport to reach the agents: udp, tcp or tls' },
+        { flags: '--username <username>', description: 'Digest authentication username' },
+        { flags: '--password <password>', description: 'Digest authentication password', secret: true }
+      ]
+    };
+  }
+
+  /**
+   * The provider is configured once it has a URI template, it has no API key
+   * @param {Object} providerConfig - The provider configuration
+   * @returns {boolean} True if a URI template is configured
+   */
+  static isConfigured(providerConfig) {
+    return Boolean(providerConfig?.uriTemplate);
+  }
+
+  /**
+   * Create a new SIP agent provider instance
+   * @param {string} apiKey - Unused, the provider has no API
+   * @param {string} baseUrl - Unused, the provider has no API
+   * @param {Object} settings - The provider configuration: uriTemplate, transport, username and password
+   */
+  constructor(apiKey, baseUrl, settings = {}) {
+    super(apiKey, baseUrl, settings);
+    this.uriTemplate = settings.uriTemplate || '';
+    this.transport = String(settings.transport || 'udp').toLowerCase();
+    this.username = settings.username || '';
+    this.password = settings.password || '';
+  }
+
+  /**
+   * Validate the settings, there is no API key to verify
+   * @returns {Promise<boolean>} True if the settings are valid
+   * @throws {ValidationError} If the URI template or transport is invalid
+   */
+  async verifyApiKey() {
+    if (!this.uriTemplate) {
+      throw new ValidationError('A SIP URI template is required', {
+        hint: "Pass --uri-template, e.g. 'sip:{number}@agents.example.com:5060'"
+      });
+    }
+    if (!SIP_TRANSPORTS.includes(this.transport)) {
+      throw new ValidationError(`Unsupported SIP transport: ${this.transport}`, { hint: `Use one of ${SIP_TRANSPORTS.join(', ')}` });
+    }
+    if (Boolean(this.username) !== Boolean(this.password)) {
+      throw new ValidationError('Digest authentication needs both a username and a password');
+    }
+    return true;
+  }
+
+  /**
+   * The provider has no API, there are no remote phone numbers
+   * @returns {Promise<Array>} An empty array
+   */
+  async getPhoneNumbers() {
+    return [];
+  }
+
+  /**
+   * The provider has no API, there are no remote phone numbers
+   * @returns {Promise<Array<Object>>} An empty array
+   */
+  async listPhoneNumbers() {
+    return [];
+  }
+
+  /**
+   * Register a phone number: build its SIP URI from the template, nothing is sent anywhere
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} options - Options, see IVoiceAgentProvider.addPhoneNumber
+   * @returns {Promise<Object>} The phone number, normalized
+   * @throws {ValidationError} If the template needs an agent and none was given
+   */
+  async addPhoneNumber(phoneNumber, { domain, agentId, label } = {}) {
+    if (this.uriTemplate.includes('{agent}') && !agentId) {
+      throw new ValidationError(`The SIP URI template ${this.uriTemplate} needs an agent`, { hint: 'Pass the agent with --agent' });
+    }
+
+    return {
+      number: phoneNumber,
+      // Numbers have no ID outside the configuration
+      id: phoneNumber,
+      sipUri: this._buildSipUri(phoneNumber, { domain, agentId }),
+      agentId: agentId || null,
+      label: label || null,
+      credentialId: null,
+      terminationUri: null,
+      status: null,
+      createdAt: null,
+      fromLocalConfig: true
+    };
+  }
+
+  /**
+   * The agent is part of the SIP URI, changing it means adding the number again
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The agent ID
+   * @throws {Error} With information that this operation is not supported
+   */
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    throw new Error('SIP numbers cannot change agent, remove the number and add it again with --agent');
+  }
+
+  /**
+   * Nothing to delete remotely, the number only exists in the configuration
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @returns {Promise<boolean>} Always true
+   */
+  async deletePhoneNumber(phoneNumber) {
+    return true;
+  }
+
+  /**
+   * Get the SIP URI of a phone number, from the template without domain or agent
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    return this._buildSipUri(phoneNumber, {});
+  }
+
+  /**
+   * Get the digest credentials of the agents, if configured
+   * @returns {{username: string, password: string}|null} The credentials
+   */
+  getSipCredentials() {
+    return this.username ? { username: this.username, password: this.password } : null;
+  }
+
+  /**
+   * Show the transport and authentication the number is reached with
+   * @param {Object} phoneNumber - Normalized phone number
+   * @returns {Array<Array<string>>} [label, value] pairs
+   */
+  getPhoneNumberDisplayFields(phoneNumber) {
+    return [
+      ['Transport', this.transport.toUpperCase()],
+      ['Authentication', this.username ? `digest (${this.username})` : 'none']
+    ];
+  }
+
+  /**
+   * Self-hosted agents have no SIP trunk connections
+   * @param {string} name - Name for the trunk
+   * @param {string} inboundSipUri - The inbound SIP URI
+   * @throws {Error} With information that this operation is not supported
+   */
+  async createSipTrunkConnection(name, inboundSipUri) {
+    throw new Error('The SIP provider has no SIP trunk connections, numbers are routed to their SIP URI.');
+  }
+
+  /**
+   * The provider has no API, agents are not listed
+   * @throws {Error} With information that this operation is not supported
+   */
+  async listAgents() {
+    throw new Error('The SIP provider has no API to list agents');
+  }
+
+  /**
+   * The provider has no API, agents cannot be fetched
+   * @param {string} agentId - The agent ID
+   * @throws {Error} With information that this operation is not supported
+   */
+  async getAgent(agentId) {
+    throw new Error('The SIP provider has no API to fetch agents');
+  }
+
+  /**
+   * Fill the URI template for a phone number
+   * @private
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {Object} values - Placeholder values: domain and agentId
+   * @returns {string} The SIP URI, with the transport parameter unless UDP
+   */
+  _buildSipUri(phoneNumber, { domain, agentId }) {
+    let uri = this.uriTemplate
+      .replace(/\{number\}/g, phoneNumber)
+      .replace(/\{digits\}/g, phoneNumber.replace(/^\+/, ''))
+      .replace(/\{domain\}/g, domain || '')
+      .replace(/\{agent\}/g, agentId || '');
+
+    if (!/^sips?:/i.test(uri)) {
+      uri = `sip:${uri}`;
+    }
+    if (!/;transport=/i.test(uri) && this.transport !== 'udp') {
+      uri += `;transport=${this.transport}`;
+    }
+    return uri;
+  }
+}
+
+module.exports = SipAgentProvider;
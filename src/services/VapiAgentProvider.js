@@ -1,5 +1,7 @@
-const axios = require('axios');
-const { logApiRequest, logApiResponse, logApiError, debugLog } = require('../utils/debug');
+const { createHttpClient } = require('../utils/http');
+const { debugLog } = require('../utils/debug');
+const { isSameSipHost } = require('../utils/sip');
+const { ValidationError } = require('../utils/errors');
 const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
 
 /**
@@ -7,94 +9,43 @@ const IVoiceAgentProvider = require('../interfaces/IVoiceAgentProvider');
  * @implements {IVoiceAgentProvider}
  */
 class VapiAgentProvider extends IVoiceAgentProvider {
+  /**
+   * Describe the provider
+   * @returns {Object} The provider description, see IVoiceAgentProvider.describe
+   */
+  static describe() {
+    return {
+      id: 'vapi',
+      name: 'VAPI',
+      aliases: ['vapi'],
+      configKeys: ['vapi'],
+      defaultApiUrl: 'https://api.vapi.ai',
+      sipTrunks: true,
+      sipEndpoints: {
+        us: { host: 'sip.vapi.ai' }
+      }
+    };
+  }
+
   /**
    * Create a new VAPI agent provider instance
    * @param {string} apiKey - The VAPI API key
    * @param {string} baseUrl - The base URL for the VAPI API
+   * @param {Object} settings - The provider configuration, e.g. its SIP endpoint (see getSipEndpoint)
    */
-  constructor(apiKey, baseUrl = 'https://api.vapi.ai') {
-    super();
+  constructor(apiKey, baseUrl = 'https://api.vapi.ai', settings = {}) {
+    super(apiKey, baseUrl, settings);
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
 
-    this.client = axios.create({
+    this.client = createHttpClient({
+      name: 'vapi',
       baseURL: this.baseUrl,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       }
     });
-
-    this._setupInterceptors();
-  }
-
-  /**
-   * Set up request and response interceptors for logging
-   * @private
-   */
-  _setupInterceptors() {
-    this.client.interceptors.request.use(
-      (config) => {
-        logApiRequest(config.method.toUpperCase(), `${config.baseURL}${config.url}`, config.data);
-        if (process.argv.includes('--debug')) {
-          console.log('\n=== VAPI API Request ===');
-          console.log(`${config.method.toUpperCase()} ${config.url}`);
-          console.log('Headers:', JSON.stringify(config.headers, null, 2));
-          console.log('Request Data:', JSON.stringify(config.data, null, 2));
-          console.log('========================\n');
-        }
-        return config;
-      },
-      (error) => {
-        logApiError(error, 'VapiAgentProvider.js', this._getLineNumber());
-        if (process.argv.includes('--debug')) {
-          console.error('\n=== VAPI API Request Error ===');
-          console.error(error);
-          console.error('================================\n');
-        }
-        return Promise.reject(error);
-      }
-    );
-
-    this.client.interceptors.response.use(
-      (response) => {
-        logApiResponse(response);
-        if (process.argv.includes('--debug')) {
-          console.log('\n=== VAPI API Response ===');
-          console.log(`Status: ${response.status} ${response.statusText}`);
-          console.log('Headers:', JSON.stringify(response.headers, null, 2));
-          console.log('Response Data:', JSON.stringify(response.data, null, 2));
-          console.log('==========================\n');
-        }
-        return response;
-      },
-      (error) => {
-        logApiError(error, 'VapiAgentProvider.js', this._getLineNumber());
-        if (process.argv.includes('--debug')) {
-          console.error('\n=== VAPI API Error Response ===');
-          if (error.response) {
-            console.error(`Status: ${error.response.status} ${error.response.statusText}`);
-            console.error('Headers:', JSON.stringify(error.response.headers, null, 2));
-            console.error('Error Data:', JSON.stringify(error.response.data, null, 2));
-          } else if (error.request) {
-            console.error('No response received');
-            console.error('Request:', error.request);
-          } else {
-            console.error('Error:', error.message);
-          }
-          console.error('================================\n');
-        }
-        return Promise.reject(error);
-      }
-    );
-  }
-
-  /**
-   * Get the current line number for better error reporting
-   * @private
-   */
-  _getLineNumber() {
-    return new Error().stack.split('\n')[2].match(/:(\d+):/)[1];
   }
 
   /**
@@ -107,17 +58,62 @@ class VapiAgentProvider extends IVoiceAgentProvider {
       await this.client.get('/assistant');
       return true;
     } catch (error) {
-      if (error.response?.status === 403) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
         throw new Error('Invalid VAPI API key: Authentication failed');
       }
-      if (error.response?.status !== 403) {
-        debugLog('Warning: VAPI API returned a non-403 error, assuming API key is valid');
-        return true;
-      }
       this._handleError(error, 'Failed to verify VAPI API key');
     }
   }
 
+  /**
+   * Get all assistants configured in VAPI
+   * @returns {Promise<Array>} Array of assistant objects
+   * @throws {Error} If fetching assistants fails
+   */
+  async getAssistants() {
+    try {
+      const response = await this.client.get('/assistant');
+      return response.data;
+    } catch (error) {
+      this._handleError(error, 'Failed to retrieve VAPI assistants');
+    }
+  }
+
+  /**
+   * Get detailed information for a specific assistant
+   * @param {string} id - The ID of the assistant
+   * @returns {Promise<Object>} Detailed assistant information
+   * @throws {Error} If fetching assistant details fails
+   */
+  async getAssistantDetails(id) {
+    try {
+      const response = await this.client.get(`/assistant/${id}`);
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to retrieve VAPI assistant details for ID: ${id}`);
+    }
+  }
+
+  /**
+   * List the assistants configured in VAPI, in the normalized agent shape
+   * @returns {Promise<Array<Object>>} Normalized agents
+   * @throws {Error} If fetching assistants fails
+   */
+  async listAgents() {
+    const assistants = await this.getAssistants();
+    return (assistants || []).map(assistant => this._normalizeAssistant(assistant));
+  }
+
+  /**
+   * Get an assistant, in the normalized agent shape
+   * @param {string} agentId - The assistant ID
+   * @returns {Promise<Object>} Normalized agent
+   * @throws {Error} If fetching the assistant fails
+   */
+  async getAgent(agentId) {
+    return this._normalizeAssistant(await this.getAssistantDetails(agentId));
+  }
+
   /**
    * Get all phone numbers configured in VAPI
    * @returns {Promise<Array>} Array of phone number objects
@@ -132,6 +128,18 @@ class VapiAgentProvider extends IVoiceAgentProvider {
     }
   }
 
+  /**
+   * List the BYO phone numbers of VAPI, the only ones Cloudonix can route to
+   * @returns {Promise<Array<Object>>} Normalized phone numbers
+   * @throws {Error} If fetching phone numbers fails
+   */
+  async listPhoneNumbers() {
+    const phoneNumbers = await this.getPhoneNumbers();
+    return (Array.isArray(phoneNumbers) ? phoneNumbers : [])
+      .filter(phoneNumber => phoneNumber.provider === 'byo-phone-number' && phoneNumber.number)
+      .map(phoneNumber => this._normalizePhoneNumber(phoneNumber));
+  }
+
   /**
    * Get detailed information for a specific phone number
    * @param {string} id - The ID of the phone number
@@ -183,28 +191,242 @@ class VapiAgentProvider extends IVoiceAgentProvider {
   }
 
   /**
-   * Add a BYO phone number to VAPI
-   * @param {string} name - Name for the phone number
+   * Get a SIP trunk connection (BYO SIP trunk credential) of VAPI
+   * @param {string} id - The ID of the credential
+   * @returns {Promise<Object>} The connection: id, name and the hosts of its gateways
+   * @throws {Error} If fetching the credential fails
+   */
+  async getSipTrunkConnection(id) {
+    const credential = await this.getCredentialDetails(id);
+    return {
+      id: credential?.id || id,
+      name: credential?.name || null,
+      gateways: (credential?.gateways || []).map(gateway => gateway.ip)
+    };
+  }
+
+  /**
+   * Point a SIP trunk connection at a new inbound SIP URI
+   * @param {string} id - The ID of the credential
+   * @param {string} inboundSipUri - The SIP URI for inbound calls
+   * @returns {Promise<Object>} The updated credential
+   * @throws {Error} If updating the credential fails
+   */
+  async updateSipTrunkConnection(id, inboundSipUri) {
+    try {
+      const response = await this.client.patch(`/credential/${id}`, {
+        gateways: [{ ip: inboundSipUri }]
+      }, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update VAPI SIP trunk connection for ID: ${id}`);
+    }
+  }
+
+  /**
+   * Delete a SIP trunk connection
+   * @param {string} id - The ID of the credential
+   * @returns {Promise<boolean>} True if deleted, false if it no longer exists remotely
+   * @throws {Error} If deleting the credential fails
+   */
+  async deleteSipTrunkConnection(id) {
+    try {
+      await this.client.delete(`/credential/${id}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        debugLog(`VAPI credential ${id} not found, assuming it was already deleted`);
+        return false;
+      }
+      this._handleError(error, `Failed to delete VAPI SIP trunk connection for ID: ${id}`);
+    }
+  }
+
+  /**
+   * VAPI numbers reach Cloudonix through the BYO SIP trunk credential of their domain
+   * @returns {boolean} True
+   */
+  requiresTrunkCredential() {
+    return true;
+  }
+
+  /**
+   * Add a BYO phone number to VAPI, attached to the domain's trunk credential
    * @param {string} phoneNumber - The phone number in E.164 format
-   * @param {string} credentialId - The credential ID to use for this number
-   * @returns {Promise<Object>} The added phone number details
+   * @param {Object} options - Options, see IVoiceAgentProvider.addPhoneNumber
+   * @returns {Promise<Object>} The added phone number, normalized
    * @throws {Error} If adding the phone number fails
    */
-  async addPhoneNumber(name, phoneNumber, credentialId) {
+  async addPhoneNumber(phoneNumber, { domain, trunkCredentialId, agentId, label } = {}) {
+    if (!trunkCredentialId) {
+      throw new Error(`Domain ${domain} has no VAPI trunk credential`);
+    }
+
     try {
       const response = await this.client.post('/phone-number', {
         provider: 'byo-phone-number',
-        name: `Cloudonix ${phoneNumber}`,
+        // Format the name in the same pattern as other providers
+        name: label || `[${domain}] ${phoneNumber}`,
         number: phoneNumber,
         numberE164CheckEnabled: false,
-        credentialId
+        credentialId: trunkCredentialId,
+        ...(agentId && { assistantId: agentId })
       });
-      return response.data;
+      return this._normalizePhoneNumber({ number: phoneNumber, ...response.data });
     } catch (error) {
       this._handleError(error, 'Failed to add BYO phone number');
     }
   }
 
+  /**
+   * Update a phone number
+   * @param {string} id - The ID of the phone number
+   * @param {Object} updates - The fields to update
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
+   */
+  async updatePhoneNumber(id, updates) {
+    try {
+      const response = await this.client.patch(`/phone-number/${id}`, updates, { idempotent: true });
+      return response.data;
+    } catch (error) {
+      this._handleError(error, `Failed to update VAPI phone number for ID: ${id}`);
+    }
+  }
+
+  /**
+   * Assign an assistant to a phone number
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @param {string} agentId - The assistant ID
+   * @returns {Promise<Object>} The updated phone number
+   * @throws {Error} If updating the phone number fails
+   */
+  async setPhoneNumberAgent(phoneNumber, agentId) {
+    return this.updatePhoneNumber(phoneNumber.id, { assistantId: agentId });
+  }
+
+  /**
+   * Delete a phone number from VAPI
+   * @param {Object} phoneNumber - The phone number: number and id
+   * @returns {Promise<boolean>} True if deleted, false if the number no longer exists remotely
+   * @throws {Error} If deleting the phone number fails
+   */
+  async deletePhoneNumber({ number, id }) {
+    if (!id) {
+      throw new ValidationError(`No VAPI phone number ID stored for ${number}.`, {
+        hint: `Run 'cx-vcc sync' to refresh the configuration.`
+      });
+    }
+
+    try {
+      await this.client.delete(`/phone-number/${id}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        debugLog(`VAPI phone number ${id} not found, assuming it was already deleted`);
+        return false;
+      }
+      this._handleError(error, `Failed to delete VAPI phone number with ID: ${id}`);
+    }
+  }
+
+  /**
+   * Get the VAPI SIP URI of a phone number, at the configured SIP endpoint
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @returns {string} The SIP URI
+   */
+  getDefaultSipUri(phoneNumber) {
+    return this.formatSipUri(phoneNumber);
+  }
+
+  /**
+   * VAPI numbers belong to the domain whose trunk credential they use
+   * @param {Object} phoneNumber - Normalized phone number
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {boolean} True if the number belongs to the domain
+   */
+  matchesDomain(phoneNumber, domainConfig) {
+    const trunkCredentialId = domainConfig.vapi?.trunkCredentialId;
+    return Boolean(trunkCredentialId) && phoneNumber.credentialId === trunkCredentialId;
+  }
+
+  /**
+   * Build the checks of the BYO SIP trunk credential gateways and of the credential each number uses
+   * @param {string} domain - The Cloudonix domain
+   * @param {Object} domainConfig - The domain configuration
+   * @returns {Array<Object>} Check definitions
+   */
+  getDriftChecks(domain, domainConfig) {
+    const trunkCredentialId = domainConfig.vapi?.trunkCredentialId;
+    if (!trunkCredentialId) {
+      return [];
+    }
+
+    const checks = [{
+      resource: `credential ${trunkCredentialId}`,
+      expected: domainConfig.inboundSipUri,
+      fetch: () => this.getCredentialDetails(trunkCredentialId),
+      getActual: (credential) => (credential.gateways || []).map(gateway => gateway.ip).join(', '),
+      isInSync: (credential) => (credential.gateways || [])
+        .some(gateway => isSameSipHost(gateway.ip, domainConfig.inboundSipUri)),
+      repair: () => this.updateSipTrunkConnection(trunkCredentialId, domainConfig.inboundSipUri)
+    }];
+
+    Object.entries(domainConfig.vapi.phoneNumbers || {}).forEach(([number, details]) => {
+      if (!details?.id) {
+        return;
+      }
+      checks.push({
+        resource: number,
+        expected: domainConfig.inboundSipUri && `credential ${trunkCredentialId}`,
+        fetch: () => this.getPhoneNumberDetails(details.id),
+        getActual: (phoneNumber) => phoneNumber.credentialId && `credential ${phoneNumber.credentialId}`,
+        isInSync: (phoneNumber) => phoneNumber.credentialId === trunkCredentialId,
+        repair: () => this.updatePhoneNumber(details.id, { credentialId: trunkCredentialId })
+      });
+    });
+
+    return checks;
+  }
+
+  /**
+   * Normalize a VAPI phone number
+   * @private
+   * @param {Object} phoneNumber - The phone number as returned by VAPI
+   * @returns {Object} Normalized phone number
+   */
+  _normalizePhoneNumber(phoneNumber) {
+    return {
+      number: phoneNumber.number,
+      id: phoneNumber.id,
+      sipUri: this.getDefaultSipUri(phoneNumber.number),
+      agentId: phoneNumber.assistantId || null,
+      label: phoneNumber.name || null,
+      credentialId: phoneNumber.credentialId || null,
+      terminationUri: null,
+      status: phoneNumber.status || null,
+      createdAt: phoneNumber.createdAt || null,
+      fromLocalConfig: false
+    };
+  }
+
+  /**
+   * Normalize a VAPI assistant
+   * @private
+   * @param {Object} assistant - The assistant as returned by VAPI
+   * @returns {Object} Normalized agent
+   */
+  _normalizeAssistant(assistant) {
+    const voice = assistant.voice;
+    const model = assistant.model;
+    return {
+      id: assistant.id,
+      name: assistant.name,
+      voice: voice ? [voice.provider, voice.voiceId].filter(Boolean).join('/') : null,
+      model: model ? [model.provider, model.model].filter(Boolean).join('/') : null
+    };
+  }
+
   /**
    * Handle API errors in a consistent manner
    * @private
@@ -230,4 +452,4 @@ class VapiAgentProvider extends IVoiceAgentProvider {
   }
 }
 
-module.exports = VapiAgentProvider;
\ No newline at end of file
+module.exports = VapiAgentProvider;
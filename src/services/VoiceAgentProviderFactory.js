@@ -1,6 +1,78 @@
+const chalk = require('chalk');
+const { getProviderConfig } = require('../utils/config');
+const { UnsupportedProviderError } = require('../utils/errors');
+const { loadProviderPlugins } = require('../utils/plugins');
 const VapiAgentProvider = require('./VapiAgentProvider');
 const RetellAgentProvider = require('./RetellAgentProvider');
 const ElevenLabsAgentProvider = require('./11LabsAgentProvider');
+const BlandAgentProvider = require('./BlandAgentProvider');
+const SipAgentProvider = require('./SipAgentProvider');
+
+/**
+ * Built-in provider classes in the order they are listed and processed, before the plugins.
+ * Adding a provider means implementing IVoiceAgentProvider and registering the class here, or publishing it as a plugin.
+ */
+const PROVIDER_CLASSES = [
+  VapiAgentProvider,
+  RetellAgentProvider,
+  ElevenLabsAgentProvider,
+  BlandAgentProvider,
+  SipAgentProvider
+];
+
+// Top-level keys of the configuration that no provider may use
+const RESERVED_CONFIG_KEYS = ['version', 'domains', 'plugins', 'http'];
+
+// Built-in and plugin provider classes, loaded on first use
+let providerClasses = null;
+
+/**
+ * Get the provider classes, loading the plugins the first time.
+ * A plugin whose ID, aliases or config keys are already used by another provider is skipped.
+ * @returns {Array<Function>} Provider classes
+ */
+function getProviderClasses() {
+  if (providerClasses) {
+    return providerClasses;
+  }
+
+  providerClasses = [...PROVIDER_CLASSES];
+  const usedNames = new Set([...RESERVED_CONFIG_KEYS, ...PROVIDER_CLASSES.flatMap(ProviderClass => getNames(ProviderClass.describe()))]);
+  for (const { source, ProviderClass } of loadProviderPlugins()) {
+    const names = getNames(ProviderClass.describe());
+    const conflicts = names.filter(name => usedNames.has(name));
+    if (conflicts.length > 0) {
+      console.error(chalk.yellow(`Skipping provider plugin ${source}: ${conflicts.join(', ')} already used by another provider`));
+      continue;
+    }
+    names.forEach(name => usedNames.add(name));
+    providerClasses.push(ProviderClass);
+  }
+  return providerClasses;
+}
+
+/**
+ * Get the names a provider claims: its ID, aliases and config keys
+ * @param {Object} info - Provider description
+ * @returns {Array<string>} Unique names
+ */
+function getNames(info) {
+  return [...new Set([info.id, ...info.aliases, ...info.configKeys])];
+}
+
+/**
+ * Describe a provider class, with the defaults of the optional fields
+ * @param {Function} ProviderClass - Provider class
+ * @returns {Object} Provider description (see IVoiceAgentProvider.describe)
+ */
+function describeProvider(ProviderClass) {
+  return {
+    options: [],
+    remoteApi: true,
+    plugin: !PROVIDER_CLASSES.includes(ProviderClass),
+    ...ProviderClass.describe()
+  };
+}
 
 /**
  * Factory for creating voice agent provider instances
@@ -8,26 +80,96 @@ const ElevenLabsAgentProvider = require('./11LabsAgentProvider');
 class VoiceAgentProviderFactory {
   /**
    * Create a voice agent provider instance based on the provider name
-   * @param {string} provider - The provider name (e.g., 'vapi', 'retell', '11labs')
+   * @param {string} provider - The provider name or alias (e.g., 'vapi', 'retell', '11labs')
    * @param {string} apiKey - The API key for the provider
    * @param {string} apiUrl - Optional custom API URL
+   * @param {Object} settings - Optional provider configuration section, holding the settings of the provider's options
    * @returns {IVoiceAgentProvider} An instance of the requested provider
-   * @throws {Error} If the provider is not supported
-   */
-  static createProvider(provider, apiKey, apiUrl) {
-    const providerName = provider.toLowerCase();
-    
-    switch (providerName) {
-      case 'vapi':
-        return new VapiAgentProvider(apiKey, apiUrl);
-      case 'retell':
-        return new RetellAgentProvider(apiKey, apiUrl);
-      case '11labs':
-      case 'elevenlabs':
-        return new ElevenLabsAgentProvider(apiKey, apiUrl);
-      default:
-        throw new Error(`Unsupported voice agent provider: ${provider}`);
+   * @throws {UnsupportedProviderError} If the provider is not supported
+   */
+  static createProvider(provider, apiKey, apiUrl, settings = {}) {
+    const ProviderClass = VoiceAgentProviderFactory.getProviderClass(provider);
+    if (!ProviderClass) {
+      throw VoiceAgentProviderFactory.unsupportedProvider(provider);
     }
+    return new ProviderClass(apiKey, apiUrl || undefined, settings);
+  }
+
+  /**
+   * Create a provider instance for the account a domain uses: its own account if it has one, the global one otherwise
+   * @param {string} provider - The provider name or alias
+   * @param {Object} config - The full configuration
+   * @param {string} domainName - Optional domain name
+   * @returns {IVoiceAgentProvider} An instance of the requested provider
+   * @throws {UnsupportedProviderError} If the provider is not supported
+   */
+  static createForDomain(provider, config, domainName) {
+    const info = VoiceAgentProviderFactory.resolveProvider(provider);
+    const providerConfig = getProviderConfig(config, info.id, domainName);
+    return VoiceAgentProviderFactory.createProvider(info.id, providerConfig.apiKey, providerConfig.apiUrl, providerConfig);
+  }
+
+  /**
+   * Get the class implementing a provider
+   * @param {string} provider - The provider name or alias
+   * @returns {Function|null} The provider class, or null if the provider is not supported
+   */
+  static getProviderClass(provider) {
+    const providerName = String(provider || '').toLowerCase();
+    return getProviderClasses().find(ProviderClass => {
+      const info = ProviderClass.describe();
+      return info.id === providerName || info.aliases.includes(providerName);
+    }) || null;
+  }
+
+  /**
+   * Get the description of a provider (see IVoiceAgentProvider.describe)
+   * @param {string} provider - The provider name or alias
+   * @returns {Object|null} The provider description, or null if the provider is not supported
+   */
+  static getProviderInfo(provider) {
+    const ProviderClass = VoiceAgentProviderFactory.getProviderClass(provider);
+    return ProviderClass ? describeProvider(ProviderClass) : null;
+  }
+
+  /**
+   * Get the description of a provider, failing if it is not supported
+   * @param {string} provider - The provider name or alias
+   * @returns {Object} The provider description
+   * @throws {UnsupportedProviderError} If the provider is not supported
+   */
+  static resolveProvider(provider) {
+    const info = VoiceAgentProviderFactory.getProviderInfo(provider);
+    if (!info) {
+      throw VoiceAgentProviderFactory.unsupportedProvider(provider);
+    }
+    return info;
+  }
+
+  /**
+   * Check whether a provider is configured, see IVoiceAgentProvider.isConfigured
+   * @param {string} provider - The provider name or alias
+   * @param {Object} providerConfig - The provider configuration (see getProviderConfig)
+   * @returns {boolean} True if the provider is configured
+   * @throws {UnsupportedProviderError} If the provider is not supported
+   */
+  static isConfigured(provider, providerConfig) {
+    const ProviderClass = VoiceAgentProviderFactory.getProviderClass(provider);
+    if (!ProviderClass) {
+      throw VoiceAgentProviderFactory.unsupportedProvider(provider);
+    }
+    // Plugins built against an older interface may not implement it
+    return typeof ProviderClass.isConfigured === 'function'
+      ? ProviderClass.isConfigured(providerConfig)
+      : Boolean(providerConfig?.apiKey);
+  }
+
+  /**
+   * Describe all supported providers, in the order they are processed
+   * @returns {Array<Object>} Provider descriptions
+   */
+  static listProviders() {
+    return getProviderClasses().map(describeProvider);
   }
 
   /**
@@ -35,8 +177,19 @@ class VoiceAgentProviderFactory {
    * @returns {Array<string>} Array of supported provider names
    */
   static getSupportedProviders() {
-    return ['vapi', 'retell', '11labs'];
+    return VoiceAgentProviderFactory.listProviders().map(info => info.aliases[0]);
+  }
+
+  /**
+   * Build the error for an unsupported provider, listing the supported ones
+   * @param {string} provider - The provider name
+   * @returns {UnsupportedProviderError} The error
+   */
+  static unsupportedProvider(provider) {
+    return new UnsupportedProviderError(provider, {
+      hint: `Currently supported providers: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')}`
+    });
   }
 }
 
-module.exports = VoiceAgentProviderFactory;
\ No newline at end of file
+module.exports = VoiceAgentProviderFactory;
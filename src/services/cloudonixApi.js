@@ -1,42 +1,18 @@
-const axios = require('axios');
-const { logApiRequest, logApiResponse, logApiError } = require('../utils/debug');
+const { createHttpClient } = require('../utils/http');
 
 class CloudonixApiService {
   constructor(apiKey, baseUrl = 'https://api.cloudonix.io') {
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
 
-    this.client = axios.create({
+    this.client = createHttpClient({
+      name: 'cloudonix',
       baseURL: this.baseUrl,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       }
     });
-
-    // Add request interceptor for debugging
-    this.client.interceptors.request.use(
-        (config) => {
-          logApiRequest(config.method.toUpperCase(), `${config.baseURL}${config.url}`, config.data);
-          return config;
-        },
-        (error) => {
-          logApiError(error, 'cloudonixApi.js', new Error().stack.split('\n')[1].match(/:(\d+):/)[1]);
-          return Promise.reject(error);
-        }
-    );
-
-    // Add response interceptor for debugging
-    this.client.interceptors.response.use(
-        (response) => {
-          logApiResponse(response);
-          return response;
-        },
-        (error) => {
-          logApiError(error, 'cloudonixApi.js', new Error().stack.split('\n')[1].match(/:(\d+):/)[1]);
-          return Promise.reject(error);
-        }
-    );
   }
 
   /**
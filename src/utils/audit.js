@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+const { DEFAULT_PROFILE, getActiveProfile, getProfileDir } = require('./profiles');
+
+/**
+ * Get the audit log, shared by all the profiles: ~/.cx-vcc/audit.log
+ * @returns {string} Path of the audit log
+ */
+function getAuditFile() {
+    return path.join(getProfileDir(DEFAULT_PROFILE), 'audit.log');
+}
+
+/**
+ * Get the name of the user running the process, for the audit records
+ * @returns {string|null} User name
+ */
+function getUserName() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        // No password database entry, e.g. in some containers
+        return process.env.USER || null;
+    }
+}
+
+/**
+ * Append a record of a mutating operation to the audit log, one JSON object per line.
+ * Failing to write the audit log is reported as a warning, it never fails the operation.
+ * @param {Object} entry - The operation
+ * @param {string} entry.action - What was done, e.g. 'number.add' or 'trunk.create'
+ * @param {string} entry.domain - Cloudonix domain, if any
+ * @param {string} entry.provider - Provider ID, if any
+ * @param {string} entry.number - Phone number, if any
+ * @param {Object} entry.ids - Remote IDs of the created, updated or deleted resources
+ * @param {string} entry.outcome - success or failure
+ * @param {string} entry.error - Error message of a failure
+ * @param {Object} entry.details - Any other details
+ * @returns {Object} The record
+ */
+function recordAudit({ action, domain, provider, number, ids, outcome = 'success', error, details } = {}) {
+    const record = {
+        timestamp: new Date().toISOString(),
+        profile: getActiveProfile(),
+        user: getUserName(),
+        action,
+        domain: domain || null,
+        provider: provider || null,
+        number: number || null,
+        ids: Object.fromEntries(Object.entries(ids || {}).filter(([, id]) => id !== undefined && id !== null)),
+        outcome,
+        ...(error && { error }),
+        ...(details && { details })
+    };
+
+    try {
+        fs.ensureDirSync(path.dirname(getAuditFile()), { mode: 0o700 });
+        fs.appendFileSync(getAuditFile(), `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    } catch (writeError) {
+        logger.warn(`Failed to write the audit log: ${writeError.message}`);
+    }
+    logger.log(outcome === 'failure' ? 'warn' : 'info', `${action} ${outcome}${error ? `: ${error}` : ''}`, {
+        domain: record.domain,
+        provider: record.provider,
+        number: record.number,
+        ids: record.ids
+    });
+    return record;
+}
+
+/**
+ * Run a mutating operation and record it in the audit log, with its outcome
+ * @param {Object} entry - The operation, see recordAudit
+ * @param {Function} operation - Async function doing the work
+ * @param {Function} getIds - Optional function returning the remote IDs from the operation's result,
+ *   called without a result when the operation failed
+ * @returns {Promise<*>} The result of the operation
+ */
+async function audited(entry, operation, getIds = () => ({})) {
+    let result;
+    try {
+        result = await operation();
+    } catch (error) {
+        recordAudit({ ...entry, ids: { ...entry.ids, ...getIds() }, outcome: 'failure', error: error.message });
+        throw error;
+    }
+    recordAudit({ ...entry, ids: { ...entry.ids, ...getIds(result) } });
+    return result;
+}
+
+/**
+ * Parse a date filter of the audit log: an ISO date or date-time, or a duration back from now such as 30m, 12h or 7d
+ * @param {string} value - The filter
+ * @returns {Date} The date
+ * @throws {Error} If the value is not a date or duration
+ */
+function parseAuditDate(value) {
+    const duration = String(value).match(/^(\d+)([mhd])$/);
+    if (duration) {
+        const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[duration[2]];
+        return new Date(Date.now() - Number(duration[1]) * unit);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date ${value}, use an ISO date such as 2025-06-01 or a duration such as 7d`);
+    }
+    return date;
+}
+
+/**
+ * Read the audit log, oldest first. Lines that are not valid JSON (e.g. cut by a crash) are skipped.
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.since - Only the records from this date, see parseAuditDate
+ * @param {string} filters.until - Only the records before this date, see parseAuditDate
+ * @param {string} filters.domain - Only the records of this domain
+ * @param {string} filters.number - Only the records of this phone number, with or without its leading +
+ * @param {string} filters.provider - Only the records of this provider ID
+ * @param {string} filters.action - Only the records of this action, or of this action group with e.g. 'number'
+ * @param {string} filters.profile - Only the records of this profile
+ * @param {number} filters.limit - Only the most recent records, at most this many
+ * @returns {Array<Object>} The records
+ * @throws {Error} If a date filter is invalid
+ */
+function readAudit({ since, until, domain, number, provider, action, profile, limit } = {}) {
+    const sinceDate = since ? parseAuditDate(since) : null;
+    const untilDate = until ? parseAuditDate(until) : null;
+    if (!fs.existsSync(getAuditFile())) {
+        return [];
+    }
+
+    const records = fs.readFileSync(getAuditFile(), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(record => record
+            && (!sinceDate || new Date(record.timestamp) >= sinceDate)
+            && (!untilDate || new Date(record.timestamp) < untilDate)
+            && (!domain || record.domain === domain)
+            && (!number || String(record.number).replace(/^\+/, '') === String(number).replace(/^\+/, ''))
+            && (!provider || record.provider === provider)
+            && (!action || record.action === action || String(record.action).startsWith(`${action}.`))
+            && (!profile || record.profile === profile));
+
+    return limit ? records.slice(-limit) : records;
+}
+
+module.exports = {
+    getAuditFile,
+    recordAudit,
+    audited,
+    readAudit
+};
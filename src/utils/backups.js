@@ -0,0 +1,169 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getProfileDir } = require('./profiles');
+const { getVaultFile, writeFileAtomic } = require('./secrets');
+
+const DEFAULT_BACKUP_COUNT = 20;
+const BACKUP_COUNT_ENV = 'CX_VCC_CONFIG_BACKUPS';
+const BACKUP_NAME_PATTERN = /^config-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(-\d+)?\.yaml$/;
+
+// Whether a single backup is made per process, and the backup directories of the profiles already backed up.
+// A CLI command saving the configuration several times (e.g. a bulk addnumber) then keeps a single backup,
+// of the configuration before it ran.
+let singleBackup = false;
+const backedUpDirs = new Set();
+
+/**
+ * Make a single backup per process and profile, for processes running one command, instead of one per save
+ * @param {boolean} enabled - Whether a single backup is made
+ */
+function setSingleBackup(enabled) {
+    singleBackup = enabled;
+}
+
+/**
+ * Get the backup directory of the active profile, e.g. ~/.cx-vcc/backups
+ * @returns {string} Directory path
+ */
+function getBackupDir() {
+    return path.join(getProfileDir(), 'backups');
+}
+
+/**
+ * Get the number of backups kept, from CX_VCC_CONFIG_BACKUPS (0 disables the backups)
+ * @returns {number} Number of backups
+ */
+function getBackupCount() {
+    const count = Number(process.env[BACKUP_COUNT_ENV]);
+    return process.env[BACKUP_COUNT_ENV] !== undefined && Number.isInteger(count) && count >= 0
+        ? count
+        : DEFAULT_BACKUP_COUNT;
+}
+
+/**
+ * List the backups of the active profile, the most recent first and numbered from 1
+ * @returns {Array<Object>} Backups with their number, name, time, file and vaultFile (null if the vault was not backed up)
+ */
+function listBackups() {
+    if (!fs.existsSync(getBackupDir())) {
+        return [];
+    }
+    return fs.readdirSync(getBackupDir())
+        .filter(name => BACKUP_NAME_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map((name, index) => {
+            const [, date, hours, minutes, seconds, milliseconds] = name.match(BACKUP_NAME_PATTERN);
+            const vaultFile = path.join(getBackupDir(), name.replace(/\.yaml$/, '.vault.json'));
+            return {
+                number: index + 1,
+                name,
+                time: new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`),
+                file: path.join(getBackupDir(), name),
+                vaultFile: fs.existsSync(vaultFile) ? vaultFile : null
+            };
+        });
+}
+
+/**
+ * Get a backup of the active profile by its number in listBackups
+ * @param {number|string} number - Backup number, 1 is the most recent
+ * @returns {Object} The backup
+ * @throws {Error} If there is no such backup
+ */
+function getBackup(number) {
+    const backups = listBackups();
+    const backup = backups[Number(number) - 1];
+    if (!backup || !/^\d+$/.test(String(number))) {
+        throw new Error(backups.length
+            ? `No configuration backup ${number}, use a number from 1 to ${backups.length}`
+            : 'There is no configuration backup yet');
+    }
+    return backup;
+}
+
+/**
+ * Check whether two files have the same content, a missing file only matches a missing file
+ * @param {string|null} first - Path to the first file
+ * @param {string|null} second - Path to the second file
+ * @returns {boolean} True if the contents are the same
+ */
+function sameContent(first, second) {
+    const read = file => (file && fs.existsSync(file) ? fs.readFileSync(file) : null);
+    const [firstContent, secondContent] = [read(first), read(second)];
+    return firstContent === secondContent || Boolean(firstContent && secondContent && firstContent.equals(secondContent));
+}
+
+/**
+ * Save a copy of the configuration file of the active profile, and of its vault, before they are overwritten.
+ * None is made when nothing changed since the most recent one, or with setSingleBackup when this process already
+ * made one, and the oldest backups are removed beyond CX_VCC_CONFIG_BACKUPS (20 by default).
+ * @param {string} configFile - Path to the configuration file
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Make a backup even if this process already made one
+ * @returns {Object|null} The backup, or null if none was made
+ */
+function backupConfig(configFile, { force = false } = {}) {
+    const count = getBackupCount();
+    if (count === 0 || !fs.existsSync(configFile) || (singleBackup && backedUpDirs.has(getBackupDir()) && !force)) {
+        return null;
+    }
+    backedUpDirs.add(getBackupDir());
+
+    const vaultFile = fs.existsSync(getVaultFile()) ? getVaultFile() : null;
+    const [latest] = listBackups();
+    if (latest && sameContent(latest.file, configFile) && sameContent(latest.vaultFile, vaultFile)) {
+        return null;
+    }
+
+    fs.ensureDirSync(getBackupDir(), { mode: 0o700 });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let name = `config-${stamp}.yaml`;
+    for (let suffix = 1; fs.existsSync(path.join(getBackupDir(), name)); suffix++) {
+        name = `config-${stamp}-${suffix}.yaml`;
+    }
+    writeFileAtomic(path.join(getBackupDir(), name), fs.readFileSync(configFile, 'utf8'));
+    if (vaultFile) {
+        writeFileAtomic(path.join(getBackupDir(), name.replace(/\.yaml$/, '.vault.json')), fs.readFileSync(vaultFile, 'utf8'));
+    }
+
+    // Rotate
+    for (const backup of listBackups().slice(count)) {
+        fs.removeSync(backup.file);
+        if (backup.vaultFile) {
+            fs.removeSync(backup.vaultFile);
+        }
+    }
+    return listBackups().find(backup => backup.name === name);
+}
+
+/**
+ * Restore a backup of the active profile's configuration, and its vault. The current configuration is backed up
+ * first, so that a rollback can itself be rolled back.
+ * @param {string} configFile - Path to the configuration file
+ * @param {number|string} number - Backup number, 1 is the most recent
+ * @returns {Object} The restored backup
+ * @throws {Error} If there is no such backup
+ */
+function restoreBackup(configFile, number) {
+    const backup = getBackup(number);
+    const content = fs.readFileSync(backup.file, 'utf8');
+    const vaultContent = backup.vaultFile ? fs.readFileSync(backup.vaultFile, 'utf8') : null;
+
+    backupConfig(configFile, { force: true });
+    writeFileAtomic(configFile, content);
+    // The vault holds the API keys the restored configuration refers to
+    if (vaultContent) {
+        writeFileAtomic(getVaultFile(), vaultContent);
+    }
+    return backup;
+}
+
+module.exports = {
+    setSingleBackup,
+    getBackupDir,
+    listBackups,
+    getBackup,
+    backupConfig,
+    restoreBackup
+};
@@ -1,28 +1,264 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
 const yaml = require('js-yaml');
+const logger = require('./logger');
 const { debugLog } = require('./debug');
+const { ValidationError, VaultLockedError } = require('./errors');
+const { CONFIG_VERSION, migrateConfig, validateConfig } = require('./configSchema');
+const { getProfileDir } = require('./profiles');
+const { backupConfig, restoreBackup } = require('./backups');
+const {
+    parseSecretReference,
+    resolveSecret,
+    isVaultAvailable,
+    isPlaintextAllowed,
+    vaultExists,
+    storeSecret,
+    pruneSecrets,
+    enforceFileMode,
+    writeFileAtomic,
+    PASSPHRASE_ENV,
+    PLAINTEXT_ENV
+} = require('./secrets');
 
-const CONFIG_DIR = path.join(os.homedir(), '.cx-vcc');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.yaml');
+/**
+ * Get the configuration directory of the active profile
+ * @returns {string} Directory path
+ */
+function getConfigDir() {
+    return getProfileDir();
+}
+
+/**
+ * Get the configuration file of the active profile
+ * @returns {string} File path
+ */
+function getConfigFile() {
+    return path.join(getConfigDir(), 'config.yaml');
+}
+
+// Settings of the provider sections stored as secrets: API keys, and the digest password of the SIP provider
+const PROVIDER_SECRETS = ['apiKey', 'password'];
+
+// Secret references read from the configuration file and the values they resolved to, by secret name
+const secretReferences = new Map();
+
+// Secrets stored in plaintext in the configuration file, by secret name, they stay there until 'secrets migrate'
+const plaintextSecrets = new Map();
+
+// Configuration files whose migration and validation errors were already reported by this process
+const reportedFiles = new Set();
 
 /**
  * Ensure config directory exists
  */
 function ensureConfigDirExists() {
-    fs.ensureDirSync(CONFIG_DIR);
+    fs.ensureDirSync(getConfigDir(), { mode: 0o700 });
+}
+
+/**
+ * List the provider sections of a configuration level: every object other than the domains and the HTTP settings.
+ * Provider plugins add their own sections, so they are not listed by name.
+ * @param {Object} section - The configuration or a domain configuration
+ * @returns {Array<string>} Section keys
+ */
+function getProviderSections(section) {
+    return Object.keys(section || {}).filter(key =>
+        !['domains', 'http'].includes(key) && section[key] && typeof section[key] === 'object' && !Array.isArray(section[key]));
+}
+
+/**
+ * List the locations of the API keys, and the other secrets of the provider sections, in a configuration
+ * @param {Object} config - Configuration object
+ * @returns {Array<Array<string>>} Paths of the secrets, e.g. ['domains', 'example.com', 'apiKey']
+ */
+function getSecretPaths(config) {
+    return [
+        ...getProviderSections(config).flatMap(provider => PROVIDER_SECRETS.map(secret => [provider, secret])),
+        ...Object.keys(config.domains || {}).flatMap(domainName => [
+            ['domains', domainName, 'apiKey'],
+            // Per-domain provider accounts
+            ...getProviderSections(config.domains[domainName])
+                .flatMap(provider => PROVIDER_SECRETS.map(secret => ['domains', domainName, provider, secret]))
+        ])
+    ];
+}
+
+/**
+ * Replace the secret references of a configuration with their values
+ * @param {Object} config - Configuration object, updated in place
+ * @throws {Error} If a referenced secret cannot be read
+ */
+function resolveConfigSecrets(config) {
+    for (const secretPath of getSecretPaths(config)) {
+        const parent = secretPath.slice(0, -1).reduce((section, key) => section?.[key], config);
+        const key = secretPath[secretPath.length - 1];
+        if (parent?.[key] && typeof parent[key] === 'string' && !parseSecretReference(parent[key])) {
+            plaintextSecrets.set(secretPath.join('.'), parent[key]);
+        }
+        if (!parent || !parseSecretReference(parent[key])) {
+            continue;
+        }
+        const reference = parent[key];
+        parent[key] = resolveSecret(reference);
+        secretReferences.set(secretPath.join('.'), { reference, value: parent[key] });
+    }
+}
+
+/**
+ * Replace the API keys of a configuration with secret references before it is written.
+ * Keys that were read from a reference keep it, new keys are stored in the vault, and only written in plaintext
+ * with CX_VCC_PLAINTEXT_SECRETS=1.
+ * @param {Object} config - Configuration object, updated in place
+ * @throws {VaultLockedError} If a new key cannot be stored because the vault is locked
+ */
+function protectConfigSecrets(config) {
+    const vaultNames = [];
+    const useVault = isVaultAvailable();
+
+    for (const secretPath of getSecretPaths(config)) {
+        const parent = secretPath.slice(0, -1).reduce((section, key) => section?.[key], config);
+        const key = secretPath[secretPath.length - 1];
+        const name = secretPath.join('.');
+        const value = parent?.[key];
+        if (!value || typeof value !== 'string') {
+            continue;
+        }
+
+        const previous = secretReferences.get(name);
+        if (!parseSecretReference(value)) {
+            if (previous && previous.value === value) {
+                parent[key] = previous.reference;
+            } else if (useVault) {
+                storeSecret(name, value);
+                parent[key] = `vault:${name}`;
+            } else if (plaintextSecrets.get(name) !== value && !isPlaintextAllowed()) {
+                throw new VaultLockedError(`Cannot store ${name}: the vault holding the API keys is locked`, {
+                    hint: `Set ${PASSPHRASE_ENV} to the vault passphrase (a new vault is created with it), `
+                        + `or set ${PLAINTEXT_ENV}=1 to store the API keys in plaintext in config.yaml.`
+                });
+            }
+        }
+
+        const reference = parseSecretReference(parent[key]);
+        if (reference?.scheme === 'vault') {
+            vaultNames.push(reference.name);
+        }
+    }
+
+    if (useVault && vaultExists()) {
+        pruneSecrets(vaultNames);
+    }
+}
+
+/**
+ * List where the API keys of the configuration file are stored
+ * @returns {Array<{name: string, storage: string}>} Secret names and their storage ('plaintext', 'vault', 'env', ...)
+ */
+function listConfigSecrets() {
+    if (!fs.existsSync(getConfigFile())) {
+        return [];
+    }
+    const fileConfig = yaml.load(fs.readFileSync(getConfigFile(), 'utf8')) || {};
+    return getSecretPaths(fileConfig)
+        .map(secretPath => ({
+            name: secretPath.join('.'),
+            value: secretPath.reduce((section, key) => section?.[key], fileConfig)
+        }))
+        .filter(secret => secret.value)
+        .map(secret => ({ name: secret.name, storage: parseSecretReference(secret.value)?.scheme || 'plaintext' }));
+}
+
+/**
+ * Read a configuration file, migrated to the current layout
+ * @param {string} file - Path to the configuration file, the active profile's one by default
+ * @returns {{fileConfig: Object, migration: Object}|null} The configuration and its migration (see migrateConfig),
+ *   null if there is no configuration file
+ * @throws {Error} If the file cannot be read or parsed, a ValidationError if its version is not supported
+ */
+function readConfigFile(file = getConfigFile()) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const fileConfig = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    if (typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+        throw new Error('The configuration file must hold a mapping of settings');
+    }
+    return { fileConfig, migration: migrateConfig(fileConfig) };
+}
+
+/**
+ * Make sure the configuration file can be used by this release, the commands must not overwrite a configuration they
+ * cannot read. Other errors reading the file are reported by getConfig.
+ * @throws {ValidationError} If the configuration version is invalid, or was written by a more recent release
+ */
+function assertConfigSupported() {
+    try {
+        readConfigFile();
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Report, once per process, the migration of the configuration file and its validation errors
+ * @param {Object} fileConfig - The migrated configuration
+ * @param {Object} migration - The migration, see migrateConfig
+ */
+function reportConfigFile(fileConfig, migration) {
+    if (reportedFiles.has(getConfigFile())) {
+        return;
+    }
+    reportedFiles.add(getConfigFile());
+
+    if (migration.changes.length > 0) {
+        logger.info(`Migrated the configuration from version ${migration.fromVersion} to ${migration.toVersion}, `
+            + 'it is written in this layout with the next change', { changes: migration.changes });
+        migration.changes
+            .filter(change => change.startsWith('Dropped'))
+            .forEach(change => logger.warn(`${change}, it is removed with the next change of the configuration`));
+    }
+    const errors = validateConfig(fileConfig);
+    if (errors.length > 0) {
+        logger.warn(`The configuration file ${getConfigFile()} has ${errors.length} error(s), `
+            + `run 'cx-vcc config validate' to list them`);
+    }
+}
+
+/**
+ * Check a configuration file: its layout version, the migrations it needs and its validation errors
+ * @param {string} file - Path to the configuration file, the active profile's one by default
+ * @returns {Object} The file, whether it exists, its version, the version it is migrated to, the migration changes and
+ *   the validation errors ({path, message}), including the errors parsing the file
+ */
+function checkConfigFile(file = getConfigFile()) {
+    const result = { file, exists: fs.existsSync(file), version: null, toVersion: CONFIG_VERSION, changes: [], errors: [] };
+    try {
+        const read = readConfigFile(file);
+        if (read) {
+            result.version = read.migration.fromVersion;
+            result.changes = read.migration.changes;
+            result.errors = validateConfig(read.fileConfig);
+        }
+    } catch (error) {
+        result.errors = [{ path: error instanceof ValidationError ? 'version' : '(file)', message: error.message }];
+    }
+    return result;
 }
 
 /**
  * Get configuration from file
  * @returns {Object} Configuration object
+ * @throws {ValidationError} If the configuration version is invalid, or was written by a more recent release
  */
 function getConfig() {
     ensureConfigDirExists();
 
     // Default config structure
     const defaultConfig = {
+        version: CONFIG_VERSION,
         domains: {},
         vapi: {
             apiKey: process.env.VAPI_API_KEY || '',
@@ -34,15 +270,23 @@ function getConfig() {
         },
         elevenlabs: {
             apiKey: process.env.ELEVENLABS_API_KEY || ''
-            // No apiUrl needed when using the official SDK
+        },
+        bland: {
+            apiKey: process.env.BLAND_API_KEY || '',
+            apiUrl: process.env.BLAND_API_URL || ''
         }
     };
 
+    let config = defaultConfig;
     try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            const fileContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-            const fileConfig = yaml.load(fileContent) || {};
-            return {
+        enforceFileMode(getConfigFile());
+        const file = readConfigFile();
+        if (file) {
+            const { fileConfig, migration } = file;
+            reportConfigFile(fileConfig, migration);
+            config = {
+                // Keep the sections of provider plugins and the list of plugins
+                ...fileConfig,
                 domains: fileConfig.domains || {},
                 vapi: {
                     ...defaultConfig.vapi,
@@ -54,27 +298,57 @@ function getConfig() {
                 },
                 elevenlabs: {
                     ...defaultConfig.elevenlabs,
-                    apiKey: fileConfig.elevenlabs?.apiKey || defaultConfig.elevenlabs.apiKey
-                    // Only include apiKey, not apiUrl
+                    ...(fileConfig.elevenlabs || {})
+                },
+                bland: {
+                    ...defaultConfig.bland,
+                    ...(fileConfig.bland || {})
                 }
             };
         }
     } catch (error) {
+        // Falling back to the defaults would overwrite a more recent configuration with the next change
+        if (error instanceof ValidationError) {
+            throw error;
+        }
         debugLog(`Error reading config file: ${error.message}`);
         console.error(`Error reading config file: ${error.message}`);
     }
 
-    return defaultConfig;
+    resolveConfigSecrets(config);
+    return config;
 }
 
 /**
- * Save configuration to file
+ * Save configuration to file, atomically. The previous configuration and vault are backed up first, see backupConfig.
  * @param {Object} config - Configuration object to save
  */
 function saveConfig(config) {
     ensureConfigDirExists();
-    const yamlContent = yaml.dump(config, { indent: 2 });
-    fs.writeFileSync(CONFIG_FILE, yamlContent, 'utf8');
+    // Back up before the vault is updated with the new API keys
+    backupConfig(getConfigFile());
+    // API keys are written as references, the caller's object keeps the resolved values
+    // The layout version comes first
+    const fileConfig = { version: CONFIG_VERSION, ...JSON.parse(JSON.stringify(config)) };
+    fileConfig.version = CONFIG_VERSION;
+    protectConfigSecrets(fileConfig);
+    const yamlContent = yaml.dump(fileConfig, { indent: 2 });
+    writeFileAtomic(getConfigFile(), yamlContent);
+}
+
+/**
+ * Restore a backup of the configuration file and vault, see listBackups
+ * @param {number|string} number - Backup number, 1 is the most recent
+ * @returns {Object} The restored backup
+ * @throws {Error} If there is no such backup
+ */
+function rollbackConfig(number) {
+    ensureConfigDirExists();
+    const backup = restoreBackup(getConfigFile(), number);
+    // The secret references read before the rollback no longer apply
+    secretReferences.clear();
+    plaintextSecrets.clear();
+    return backup;
 }
 
 /**
@@ -116,6 +390,37 @@ function getDomainConfig(domainName) {
     return config.domains[domainName] || null;
 }
 
+/**
+ * Get the provider account to use for a domain: the settings of the domain's own provider section
+ * (domains.<domain>.<provider>, e.g. its apiKey, or the SIP URI template of the SIP provider) over the global
+ * provider block. The API URL of the domain section only applies to the domain's own API key, and its SIP endpoint
+ * settings apply over the global ones.
+ * @param {Object} config - Configuration object
+ * @param {string} provider - Provider name (vapi, retell, 11labs, elevenlabs or bland)
+ * @param {string} domainName - Optional domain name
+ * @returns {Object} Provider configuration with apiKey, apiUrl and sipEndpoint
+ */
+function getProviderConfig(config, provider, domainName) {
+    const providerKey = provider.toLowerCase() === '11labs' ? 'elevenlabs' : provider.toLowerCase();
+    const globalConfig = config[providerKey] || {};
+    const domainSection = domainName ? config.domains?.[domainName]?.[providerKey] : null;
+    if (!domainSection) {
+        return globalConfig;
+    }
+
+    // The numbers and trunks recorded in the domain section are not settings of the account
+    const { phoneNumbers, trunkCredentialId, cloudonixTrunk, apiUrl, sipEndpoint, ...domainSettings } = domainSection;
+    const settings = Object.fromEntries(Object.entries(domainSettings)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    const accountApiUrl = (settings.apiKey && apiUrl) || globalConfig.apiUrl;
+    return {
+        ...globalConfig,
+        ...settings,
+        ...(accountApiUrl && { apiUrl: accountApiUrl }),
+        ...((globalConfig.sipEndpoint || sipEndpoint) && { sipEndpoint: { ...globalConfig.sipEndpoint, ...sipEndpoint } })
+    };
+}
+
 /**
  * Get list of available domains
  * @returns {Array} List of domain names
@@ -131,5 +436,11 @@ module.exports = {
     saveDomainConfig,
     deleteDomainConfig,
     getDomainConfig,
-    getAvailableDomains
+    getAvailableDomains,
+    getProviderConfig,
+    getConfigFile,
+    assertConfigSupported,
+    checkConfigFile,
+    rollbackConfig,
+    listConfigSecrets
 };
\ No newline at end of file
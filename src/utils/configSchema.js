@@ -0,0 +1,264 @@
+const { validateSchema } = require('./schema');
+const { ValidationError } = require('./errors');
+
+// Version of the configuration layout written by this release, recorded in the 'version' field of config.yaml.
+// Files without one have the layout of the releases before it, version 0.
+const CONFIG_VERSION = 1;
+
+// Keys of the sections that are not provider sections, at the top level of the configuration
+const RESERVED_SECTIONS = ['version', 'domains', 'http', 'plugins'];
+
+// Provider sections stored under a legacy key, by the key they are stored under now
+const LEGACY_SECTION_KEYS = {
+    '11labs': 'elevenlabs'
+};
+
+const E164_PATTERN = '^\\+[1-9]\\d{1,14}$';
+
+// Settings of the HTTP clients, in the 'http' section and its per-provider overrides
+const HTTP_SETTINGS_PROPERTIES = {
+    timeout: { type: 'number', minimum: 0 },
+    retries: { type: 'integer', minimum: 0 },
+    retryDelay: { type: 'number', minimum: 0 },
+    maxRetryDelay: { type: 'number', minimum: 0 },
+    concurrency: { type: 'integer', minimum: 1 }
+};
+
+// Settings of the provider sections, globally and per domain
+const PROVIDER_PROPERTIES = {
+    apiKey: { type: 'string' },
+    apiUrl: { type: 'string' },
+    password: { type: 'string' },
+    trunkCredentialId: { type: ['string', 'integer'] },
+    sipEndpoint: { $ref: '#/definitions/sipEndpoint' },
+    cloudonixTrunk: {
+        type: 'object',
+        properties: {
+            id: { type: ['string', 'integer'] },
+            name: { type: 'string' },
+            host: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * JSON Schema (draft-07) of the configuration file, once migrated to CONFIG_VERSION.
+ * Provider sections may hold settings of their own (e.g. the options of provider plugins), only the common ones are checked.
+ */
+const CONFIG_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'cx-vcc configuration',
+    type: 'object',
+    required: ['version'],
+    properties: {
+        version: { type: 'integer', const: CONFIG_VERSION },
+        domains: {
+            type: 'object',
+            additionalProperties: { $ref: '#/definitions/domain' }
+        },
+        http: {
+            type: 'object',
+            properties: {
+                ...HTTP_SETTINGS_PROPERTIES,
+                providers: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/httpSettings' }
+                }
+            }
+        },
+        plugins: {
+            type: 'array',
+            items: { type: 'string' }
+        }
+    },
+    additionalProperties: { $ref: '#/definitions/globalProviderSection' },
+    definitions: {
+        domain: {
+            type: 'object',
+            required: ['apiKey'],
+            properties: {
+                apiKey: { type: 'string' },
+                alias: { type: 'string' },
+                autoAlias: { type: 'string' },
+                inboundSipUri: { type: 'string' },
+                sipDomain: { type: 'string' },
+                tenant: { type: 'string' }
+            },
+            // The domain's provider sections
+            additionalProperties: { $ref: '#/definitions/providerSection' }
+        },
+        globalProviderSection: {
+            type: 'object',
+            properties: {
+                ...PROVIDER_PROPERTIES,
+                // The phone numbers are stored in their domain
+                phoneNumbers: false
+            }
+        },
+        providerSection: {
+            type: 'object',
+            properties: {
+                ...PROVIDER_PROPERTIES,
+                phoneNumbers: {
+                    type: 'object',
+                    propertyNames: { pattern: E164_PATTERN, patternDescription: 'a phone number in E.164 format, e.g. +12025551234' },
+                    additionalProperties: { $ref: '#/definitions/phoneNumber' }
+                }
+            }
+        },
+        phoneNumber: {
+            type: 'object',
+            properties: {
+                id: { type: ['string', 'integer'] },
+                sipUri: { type: 'string' },
+                agentId: { type: 'string' },
+                dnidId: { type: ['string', 'integer'] }
+            }
+        },
+        sipEndpoint: {
+            type: 'object',
+            properties: {
+                region: { type: 'string' },
+                host: { type: 'string' },
+                port: { type: 'integer', minimum: 1, maximum: 65535 },
+                transport: { type: 'string', enum: ['udp', 'tcp', 'tls'] }
+            },
+            additionalProperties: false
+        },
+        httpSettings: {
+            type: 'object',
+            properties: HTTP_SETTINGS_PROPERTIES
+        }
+    }
+};
+
+/**
+ * List the provider sections of a configuration level, see getProviderSections in config.js
+ * @param {Object} section - The configuration or a domain configuration
+ * @returns {Array<string>} Section keys
+ */
+function listSections(section) {
+    return Object.keys(section || {}).filter(key =>
+        !RESERVED_SECTIONS.includes(key) && section[key] && typeof section[key] === 'object' && !Array.isArray(section[key]));
+}
+
+/**
+ * Migrations of the configuration, each one from the version before it. A migration updates the configuration in place
+ * and returns the changes it made, as messages.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Store each provider under a single key and the phone numbers in their domain',
+        migrate(config) {
+            const changes = [];
+
+            // 11Labs used both the 'elevenlabs' and '11labs' keys, the values set under 'elevenlabs' win
+            const levels = [
+                { section: config, location: '' },
+                ...Object.entries(config.domains || {})
+                    .filter(([, domainConfig]) => domainConfig && typeof domainConfig === 'object')
+                    .map(([domainName, domainConfig]) => ({ section: domainConfig, location: `domains.${domainName}.` }))
+            ];
+            for (const { section, location } of levels) {
+                for (const [legacyKey, key] of Object.entries(LEGACY_SECTION_KEYS)) {
+                    const legacy = section[legacyKey];
+                    if (!legacy || typeof legacy !== 'object') {
+                        continue;
+                    }
+                    // Settings left empty, such as the apiKey written by default, are not set
+                    const current = Object.fromEntries(Object.entries(section[key] || {})
+                        .filter(([, value]) => value !== '' && value !== null && value !== undefined));
+                    section[key] = {
+                        ...legacy,
+                        ...current,
+                        ...((legacy.phoneNumbers || current.phoneNumbers) && {
+                            phoneNumbers: { ...legacy.phoneNumbers, ...current.phoneNumbers }
+                        })
+                    };
+                    delete section[legacyKey];
+                    changes.push(`Moved ${location}${legacyKey} to ${location}${key}`);
+                }
+            }
+
+            // Retell numbers were also recorded in the global provider section, with the name of their domain
+            for (const key of listSections(config)) {
+                const phoneNumbers = config[key].phoneNumbers;
+                if (!phoneNumbers) {
+                    continue;
+                }
+                for (const [number, details] of Object.entries(phoneNumbers)) {
+                    const { domainName, ...numberDetails } = details || {};
+                    const domainConfig = domainName ? config.domains?.[domainName] : null;
+                    if (!domainConfig) {
+                        changes.push(`Dropped ${key}.phoneNumbers.${number}, its domain ${domainName || '(unknown)'} is not configured`);
+                        continue;
+                    }
+                    domainConfig[key] = domainConfig[key] || {};
+                    domainConfig[key].phoneNumbers = domainConfig[key].phoneNumbers || {};
+                    // The domain's own entry is the one kept up to date
+                    if (domainConfig[key].phoneNumbers[number]) {
+                        changes.push(`Kept domains.${domainName}.${key}.phoneNumbers.${number} over ${key}.phoneNumbers.${number}`);
+                    } else {
+                        domainConfig[key].phoneNumbers[number] = numberDetails;
+                        changes.push(`Moved ${key}.phoneNumbers.${number} to domains.${domainName}.${key}.phoneNumbers`);
+                    }
+                }
+                delete config[key].phoneNumbers;
+            }
+
+            return changes;
+        }
+    }
+];
+
+/**
+ * Get the layout version of a configuration
+ * @param {Object} config - Configuration read from the file
+ * @returns {number} The version, 0 for the files written before the layout was versioned
+ */
+function getConfigVersion(config) {
+    return config?.version === undefined ? 0 : config.version;
+}
+
+/**
+ * Migrate a configuration read from the file to the current layout
+ * @param {Object} config - Configuration read from the file, updated in place
+ * @returns {{fromVersion: number, toVersion: number, changes: Array<string>}} The versions and the changes made
+ * @throws {ValidationError} If the version is invalid, or the configuration was written by a more recent release
+ */
+function migrateConfig(config) {
+    const fromVersion = getConfigVersion(config);
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        throw new ValidationError(`Invalid configuration version ${JSON.stringify(fromVersion)}, it must be an integer`, {
+            hint: `Set 'version: ${CONFIG_VERSION}' in the configuration file, or restore a backup with 'cx-vcc config rollback'.`
+        });
+    }
+    if (fromVersion > CONFIG_VERSION) {
+        throw new ValidationError(`The configuration has version ${fromVersion}, written by a more recent cx-vcc release `
+            + `(this one supports up to version ${CONFIG_VERSION})`, { hint: 'Upgrade cx-vcc to use this configuration.' });
+    }
+
+    const changes = MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .flatMap(migration => migration.migrate(config));
+    config.version = CONFIG_VERSION;
+    return { fromVersion, toVersion: CONFIG_VERSION, changes };
+}
+
+/**
+ * Validate a configuration against CONFIG_SCHEMA
+ * @param {Object} config - Migrated configuration
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if the configuration is valid
+ */
+function validateConfig(config) {
+    return validateSchema(config, CONFIG_SCHEMA);
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    CONFIG_SCHEMA,
+    getConfigVersion,
+    migrateConfig,
+    validateConfig
+};
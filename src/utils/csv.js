@@ -0,0 +1,80 @@
+/**
+ * Parse CSV content with a header row into a list of objects keyed by the (lower-cased) headers.
+ * Supports quoted fields with embedded commas, quotes ("") and line breaks.
+ * @param {string} content - CSV content
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(fields => fields.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+
+    const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+    return nonEmpty.slice(1).map(fields => headers.reduce((row, header, index) => {
+        row[header] = (fields[index] || '').trim();
+        return row;
+    }, {}));
+}
+
+/**
+ * Serialize a list of objects to CSV with the given columns
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV content
+ */
+function stringifyCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(escape).join(','))
+        .join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    stringifyCsv
+};
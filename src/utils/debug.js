@@ -1,16 +1,15 @@
 const chalk = require('chalk');
-
-// Debug mode state
-let debugMode = false;
+const logger = require('./logger');
+const { redactHeaders, redactBody, redactUrl } = require('./redact');
 
 /**
- * Set debug mode state
+ * Set debug mode state, the same as the debug log level
  * @param {boolean} enabled - Whether debug mode is enabled
  */
 function setDebugMode(enabled) {
-    debugMode = enabled;
-    if (enabled) {
-        console.log(chalk.blue('Debug mode enabled. API requests and responses will be displayed.'));
+    logger.setLogOptions({ level: enabled ? 'debug' : logger.DEFAULT_LOG_LEVEL });
+    if (enabled && logger.getLogFormat() === 'text') {
+        print(chalk.blue('Debug mode enabled. API requests and responses will be displayed.'));
     }
 }
 
@@ -19,90 +18,122 @@ function setDebugMode(enabled) {
  * @returns {boolean} - Whether debug mode is enabled
  */
 function isDebugMode() {
-    return debugMode;
+    return logger.isLevelEnabled('debug');
+}
+
+/**
+ * Print a line of the debug output to stderr
+ * @param {...string} parts - Parts of the line, separated by spaces
+ */
+function print(...parts) {
+    process.stderr.write(`${parts.join(' ')}\n`);
 }
 
 /**
- * Log debug information if debug mode is enabled
+ * Check whether the debug output is in the text format, API details are then printed in blocks instead of log records
+ * @returns {boolean} True in debug mode with text logs
+ */
+function isTextDebug() {
+    return isDebugMode() && logger.getLogFormat() === 'text';
+}
+
+/**
+ * Log debug information if debug mode is enabled, with the credentials of object data redacted
  * @param {string} message - Debug message to log
  * @param {any} data - Optional data to display
  */
 function debugLog(message, data = null) {
-    if (!debugMode) return;
-
-    console.log(chalk.cyan('DEBUG:'), message);
-    if (data !== null) {
-        if (typeof data === 'object') {
-            console.log(chalk.cyan('DATA:'), JSON.stringify(data, null, 2));
-        } else {
-            console.log(chalk.cyan('DATA:'), data);
-        }
-    }
+    logger.debug(message, data);
 }
 
 /**
- * Log API request details in debug mode
+ * Log API request details in debug mode, with the credentials of the URL, headers and payload redacted
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} url - Request URL
  * @param {object} data - Request payload (for POST, PUT, etc.)
+ * @param {object} details - Optional request ID and headers
  */
-function logApiRequest(method, url, data = null) {
-    if (!debugMode) return;
+function logApiRequest(method, url, data = null, { id, headers } = {}) {
+    if (!isTextDebug()) {
+        logger.debug('API request', { requestId: id, method, url: redactUrl(url), headers: headers && redactHeaders(headers), payload: data });
+        return;
+    }
 
-    console.log(chalk.cyan('\n▶ API REQUEST:'));
-    console.log(chalk.cyan(`${method} ${url}`));
+    print(chalk.cyan(`\n▶ API REQUEST${id ? ` [${id}]` : ''}:`));
+    print(chalk.cyan(`${method} ${redactUrl(url)}`));
+
+    if (headers) {
+        print(chalk.cyan('Request Headers:'));
+        print(JSON.stringify(redactHeaders(headers), null, 2));
+    }
 
     if (data) {
-        console.log(chalk.cyan('Request Payload:'));
-        console.log(JSON.stringify(data, null, 2));
+        print(chalk.cyan('Request Payload:'));
+        print(JSON.stringify(redactBody(data), null, 2));
     }
 }
 
 /**
- * Log API response details in debug mode
+ * Log API response details in debug mode, with the credentials of the data redacted
  * @param {object} response - Response object
+ * @param {object} details - Optional request ID and duration in milliseconds
  */
-function logApiResponse(response) {
-    if (!debugMode) return;
+function logApiResponse(response, { id, duration } = {}) {
+    if (!isTextDebug()) {
+        logger.debug('API response', { requestId: id, status: response.status, duration, data: response.data });
+        return;
+    }
 
-    console.log(chalk.green('\n◀ API RESPONSE:'));
-    console.log(chalk.green(`Status: ${response.status} ${response.statusText}`));
+    const color = response.status >= 400 ? chalk.red : chalk.green;
+    print(color(`\n◀ API RESPONSE${id ? ` [${id}]` : ''}${duration !== undefined ? ` (${duration} ms)` : ''}:`));
+    print(color(`Status: ${response.status} ${response.statusText}`));
 
-    console.log(chalk.green('Response Data:'));
-    console.log(JSON.stringify(response.data, null, 2));
+    print(color('Response Data:'));
+    print(JSON.stringify(redactBody(response.data), null, 2));
 }
 
 /**
  * Log API error details in debug mode
  * @param {Error} error - Error object
+ * @param {string} fileName - Optional file the error was caught in
+ * @param {string} lineNumber - Optional line the error was caught at
  */
 function logApiError(error, fileName, lineNumber) {
-    if (!debugMode) return;
+    if (!isTextDebug()) {
+        logger.debug('API error', {
+            message: error.message,
+            status: error.response?.status,
+            code: error.code,
+            data: error.response?.data,
+            location: fileName && lineNumber ? `${fileName}:${lineNumber}` : undefined
+        });
+        return;
+    }
 
-    console.log(chalk.red('\n❌ API ERROR:'));
+    print(chalk.red('\n❌ API ERROR:'));
 
     if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
-        console.log(chalk.red(`Status: ${error.response.status}`));
-        console.log(chalk.red('Response Data:'));
-        console.log(JSON.stringify(error.response.data, null, 2));
+        print(chalk.red(`Status: ${error.response.status}`));
+        print(chalk.red('Response Data:'));
+        print(JSON.stringify(redactBody(error.response.data), null, 2));
     } else if (error.request) {
-        // The request was made but no response was received
-        console.log(chalk.red('No response received from server'));
-        console.log(chalk.red('Request:'), error.request);
+        // The request was made but no response was received, the request itself holds the credentials
+        print(chalk.red('No response received from server'));
+        print(chalk.red('Error Code:'), error.code || error.message);
     } else {
         // Something happened in setting up the request that triggered an Error
-        console.log(chalk.red('Error Message:'), error.message);
+        print(chalk.red('Error Message:'), error.message);
     }
 
     if (fileName && lineNumber) {
-        console.log(chalk.red(`Location: ${fileName}:${lineNumber}`));
+        print(chalk.red(`Location: ${fileName}:${lineNumber}`));
     }
 
     if (error.stack) {
-        console.log(chalk.red('\nStack Trace:'));
-        console.log(error.stack);
+        print(chalk.red('\nStack Trace:'));
+        print(error.stack);
     }
 }
 
@@ -113,4 +144,4 @@ module.exports = {
     logApiRequest,
     logApiResponse,
     logApiError
-};
\ No newline at end of file
+};
@@ -0,0 +1,73 @@
+/**
+ * Compare two texts line by line, as a unified diff
+ * @param {string} oldText - Text before the change
+ * @param {string} newText - Text after the change
+ * @param {Object} options - Options
+ * @param {number} options.context - Unchanged lines shown around each change
+ * @returns {Array<Object>} Hunks with their header (e.g. '@@ -1,4 +1,5 @@') and lines, each with a type
+ *   ('context', 'removed' or 'added') and its text; empty when the texts are the same
+ */
+function diffLines(oldText, newText, { context = 3 } = {}) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    if (oldLines[oldLines.length - 1] === '' && newLines[newLines.length - 1] === '') {
+        oldLines.pop();
+        newLines.pop();
+    }
+
+    // Longest common subsequence lengths of the suffixes, the configurations are small enough for the full table
+    const width = newLines.length + 1;
+    const lengths = new Uint32Array((oldLines.length + 1) * width);
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = oldLines[i] === newLines[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            lines.push({ type: 'context', text: oldLines[i], oldLine: i++, newLine: j++ });
+        } else if (i < oldLines.length && (j === newLines.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+            lines.push({ type: 'removed', text: oldLines[i], oldLine: i++, newLine: j });
+        } else {
+            lines.push({ type: 'added', text: newLines[j], oldLine: i, newLine: j++ });
+        }
+    }
+
+    // Group the changes closer than twice the context into hunks
+    const hunks = [];
+    let hunk = null;
+    lines.forEach((line, index) => {
+        if (line.type === 'context') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        if (hunk && start <= hunk.end) {
+            hunk.end = Math.min(lines.length, index + context + 1);
+        } else {
+            hunk = { start, end: Math.min(lines.length, index + context + 1) };
+            hunks.push(hunk);
+        }
+    });
+
+    return hunks.map(({ start, end }) => {
+        const hunkLines = lines.slice(start, end);
+        const oldCount = hunkLines.filter(line => line.type !== 'added').length;
+        const newCount = hunkLines.filter(line => line.type !== 'removed').length;
+        const oldStart = oldCount ? hunkLines[0].oldLine + 1 : hunkLines[0].oldLine;
+        const newStart = newCount ? hunkLines[0].newLine + 1 : hunkLines[0].newLine;
+        return {
+            header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+            lines: hunkLines.map(({ type, text }) => ({ type, text }))
+        };
+    });
+}
+
+module.exports = {
+    diffLines
+};
@@ -0,0 +1,160 @@
+/**
+ * Error codes of the connector and the CLI. They are part of the public interface
+ * (error.code in the library, error.code in the JSON output of the CLI): keep them stable.
+ */
+const ERROR_CODES = {
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    UNSUPPORTED_PROVIDER: 'UNSUPPORTED_PROVIDER',
+    DOMAIN_NOT_FOUND: 'DOMAIN_NOT_FOUND',
+    NUMBER_NOT_FOUND: 'NUMBER_NOT_FOUND',
+    PROVIDER_NOT_CONFIGURED: 'PROVIDER_NOT_CONFIGURED',
+    PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+    VAULT_LOCKED: 'VAULT_LOCKED',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED',
+    INPUT_REQUIRED: 'INPUT_REQUIRED',
+    API_ERROR: 'API_ERROR',
+    PARTIAL_FAILURE: 'PARTIAL_FAILURE',
+    COMMAND_FAILED: 'COMMAND_FAILED'
+};
+
+/**
+ * Base class of the errors thrown by the connector, carrying one of ERROR_CODES
+ */
+class ConnectorError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human-readable message
+     * @param {Object} options - Options
+     * @param {string} options.hint - Suggestion to fix the error
+     * @param {Object} options.details - Additional structured details
+     * @param {Error} options.cause - The underlying error
+     */
+    constructor(code, message, { hint, details, cause } = {}) {
+        super(message);
+        this.name = 'ConnectorError';
+        this.code = code;
+        this.hint = hint;
+        this.details = details;
+        this.cause = cause;
+    }
+}
+
+/**
+ * A parameter is missing or invalid
+ */
+class InvalidArgumentError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.INVALID_ARGUMENT, message, options);
+        this.name = 'InvalidArgumentError';
+    }
+}
+
+/**
+ * The input was checked against the configuration or the provider and rejected, nothing was changed
+ */
+class ValidationError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.VALIDATION_FAILED, message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * A domain, phone number or profile is not configured
+ */
+class NotFoundError extends ConnectorError {
+    /**
+     * @param {string} code - DOMAIN_NOT_FOUND, NUMBER_NOT_FOUND or PROFILE_NOT_FOUND
+     * @param {string} message - Human-readable message
+     * @param {Object} options - Options passed to ConnectorError
+     */
+    constructor(code, message, options) {
+        super(code, message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The provider is not supported by the operation
+ */
+class UnsupportedProviderError extends ConnectorError {
+    /**
+     * @param {string} provider - The provider name
+     * @param {Object} options - Options passed to ConnectorError
+     */
+    constructor(provider, options = {}) {
+        super(ERROR_CODES.UNSUPPORTED_PROVIDER, `Unsupported provider: ${provider}`, {
+            hint: 'Currently supported providers: vapi, retell, 11labs',
+            ...options
+        });
+        this.name = 'UnsupportedProviderError';
+        this.provider = provider;
+    }
+}
+
+/**
+ * The provider has no API key, globally or for the domain
+ */
+class ProviderNotConfiguredError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.PROVIDER_NOT_CONFIGURED, message, options);
+        this.name = 'ProviderNotConfiguredError';
+    }
+}
+
+/**
+ * The vault holding the API keys cannot be decrypted
+ */
+class VaultLockedError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.VAULT_LOCKED, message, options);
+        this.name = 'VaultLockedError';
+    }
+}
+
+/**
+ * Cloudonix or a Voice AI provider rejected a request, or could not be reached
+ */
+class ApiError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.API_ERROR, message, options);
+        this.name = 'ApiError';
+    }
+}
+
+/**
+ * Some of the changes were made and others failed, details describes each of them
+ */
+class PartialFailureError extends ConnectorError {
+    constructor(message, options) {
+        super(ERROR_CODES.PARTIAL_FAILURE, message, options);
+        this.name = 'PartialFailureError';
+    }
+}
+
+/**
+ * Convert any error to a ConnectorError: errors of the API services become ApiErrors
+ * @param {Error} error - The error
+ * @returns {ConnectorError} The typed error
+ */
+function toConnectorError(error) {
+    if (error instanceof ConnectorError) {
+        return error;
+    }
+    return new ApiError(error.message, { cause: error });
+}
+
+module.exports = {
+    ERROR_CODES,
+    ConnectorError,
+    InvalidArgumentError,
+    ValidationError,
+    NotFoundError,
+    UnsupportedProviderError,
+    ProviderNotConfiguredError,
+    VaultLockedError,
+    ApiError,
+    PartialFailureError,
+    toConnectorError
+};
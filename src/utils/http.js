@@ -0,0 +1,236 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { debugLog, logApiRequest, logApiResponse } = require('./debug');
+const { getProfileDir } = require('./profiles');
+const { redactUrl } = require('./redact');
+const { recordExchange } = require('./trace');
+
+// Settings of the HTTP clients, overridden by the 'http' section of config.yaml and the CX_VCC_HTTP_* variables
+const DEFAULT_HTTP_SETTINGS = {
+    // Milliseconds to wait for a response
+    timeout: 30000,
+    // Retries after the first attempt
+    retries: 3,
+    // Base and maximum delay of the exponential backoff, in milliseconds
+    retryDelay: 500,
+    maxRetryDelay: 30000,
+    // Requests in flight per provider, shared by all its clients
+    concurrency: 4
+};
+
+const ENV_SETTINGS = {
+    timeout: 'CX_VCC_HTTP_TIMEOUT',
+    retries: 'CX_VCC_HTTP_RETRIES',
+    retryDelay: 'CX_VCC_HTTP_RETRY_DELAY',
+    maxRetryDelay: 'CX_VCC_HTTP_MAX_RETRY_DELAY',
+    concurrency: 'CX_VCC_HTTP_CONCURRENCY'
+};
+
+// Methods a server handles the same way however many times they are sent
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Network errors worth another attempt
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Network errors raised before the request reached the server, a POST can be sent again after them
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Concurrency limiters by client name
+const limiters = new Map();
+
+/**
+ * Read the HTTP settings of a client: the defaults, the 'http' section of the active profile's config.yaml
+ * (and its 'providers.<name>' overrides), then the CX_VCC_HTTP_* environment variables.
+ * The file is read directly, without resolving its secrets, so that clients can be created before the vault is unlocked.
+ * @param {string} name - Client name, e.g. 'vapi' or 'cloudonix'
+ * @returns {Object} timeout, retries, retryDelay, maxRetryDelay and concurrency
+ */
+function getHttpSettings(name) {
+    let fileSettings = {};
+    const configFile = path.join(getProfileDir(), 'config.yaml');
+    if (fs.existsSync(configFile)) {
+        try {
+            const { providers, ...http } = (yaml.load(fs.readFileSync(configFile, 'utf8')) || {}).http || {};
+            fileSettings = { ...http, ...providers?.[name] };
+        } catch (error) {
+            debugLog(`Error reading HTTP settings from config file: ${error.message}`);
+        }
+    }
+
+    const settings = { ...DEFAULT_HTTP_SETTINGS };
+    for (const key of Object.keys(DEFAULT_HTTP_SETTINGS)) {
+        const value = Number(process.env[ENV_SETTINGS[key]] ?? fileSettings[key]);
+        if (Number.isFinite(value) && value >= 0) {
+            settings[key] = value;
+        }
+    }
+    settings.concurrency = Math.max(1, Math.floor(settings.concurrency));
+    return settings;
+}
+
+/**
+ * Get the limiter of a client name, shared by all the clients with that name
+ * @param {string} name - Client name
+ * @param {number} concurrency - Requests allowed in flight
+ * @returns {{acquire: Function, release: Function}} The limiter
+ */
+function getLimiter(name, concurrency) {
+    if (!limiters.has(name)) {
+        let active = 0;
+        const waiting = [];
+        limiters.set(name, {
+            acquire: () => new Promise(resolve => {
+                if (active < concurrency) {
+                    active++;
+                    resolve();
+                } else {
+                    waiting.push(resolve);
+                }
+            }),
+            release: () => {
+                const next = waiting.shift();
+                if (next) {
+                    next();
+                } else {
+                    active--;
+                }
+            }
+        });
+    }
+    return limiters.get(name);
+}
+
+/**
+ * Check whether a failed request may be sent again: GET, PUT and DELETE after any transient failure,
+ * POST and PATCH only when the server did not process them (429, connection refused) or the request is
+ * marked idempotent with { idempotent: true } in its config
+ * @param {Error} error - The axios error
+ * @returns {boolean} True if the request can be retried
+ */
+function isRetryable(error) {
+    const config = error.config || {};
+    const status = error.response?.status;
+    const idempotent = config.idempotent === true || IDEMPOTENT_METHODS.includes(String(config.method).toLowerCase());
+
+    if (status === 429) {
+        return true;
+    }
+    if (status) {
+        // 501 and 505 will not change on the next attempt
+        return idempotent && status >= 500 && ![501, 505].includes(status);
+    }
+    if (NOT_SENT_ERROR_CODES.includes(error.code)) {
+        return true;
+    }
+    return idempotent && TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Compute the delay before the next attempt: the server's Retry-After if any,
+ * otherwise an exponential backoff with jitter
+ * @param {Error} error - The axios error
+ * @param {number} attempt - Number of the retry, from 1
+ * @param {Object} settings - HTTP settings
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, settings) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined) {
+        // Either a number of seconds or an HTTP date
+        const seconds = Number(retryAfter);
+        const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+        if (Number.isFinite(delay)) {
+            return Math.min(Math.max(0, delay), settings.maxRetryDelay);
+        }
+    }
+
+    const backoff = Math.min(settings.maxRetryDelay, settings.retryDelay * 2 ** (attempt - 1));
+    // Half fixed, half random, so that parallel clients do not retry in lockstep
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Create an axios instance with the timeout, retries and concurrency limit of the HTTP settings.
+ * Clients with the same name share their concurrency limit, e.g. every VAPI client of a bulk provisioning run.
+ * Every request gets an ID, kept by its retries, and each attempt is logged in debug mode and recorded in
+ * the --trace file with its timing, the credentials redacted.
+ * @param {Object} options - Client options
+ * @param {string} options.name - Client name, the provider ID or 'cloudonix'
+ * @param {string} options.baseURL - Base URL of the API (optional)
+ * @param {Object} options.headers - Default headers
+ * @returns {Object} The axios instance, with its HTTP settings as httpSettings
+ */
+function createHttpClient({ name, baseURL, headers } = {}) {
+    const settings = getHttpSettings(name);
+    const limiter = getLimiter(name, settings.concurrency);
+    const client = axios.create({ baseURL, headers, timeout: settings.timeout });
+    client.httpSettings = settings;
+
+    // Release the concurrency slot of an attempt and record it
+    const complete = (config, response, error) => {
+        const metadata = config?.metadata;
+        if (!metadata?.startedAt) {
+            return;
+        }
+        limiter.release();
+        recordExchange({ client: name, id: metadata.id, url: client.getUri(config), config, response, error, ...metadata });
+        const duration = Date.now() - metadata.startedAt;
+        metadata.startedAt = null;
+
+        if (response) {
+            logApiResponse(response, { id: metadata.id, duration });
+        } else {
+            debugLog(`API request [${metadata.id}] failed after ${duration} ms: ${error.code || error.message}`);
+        }
+    };
+
+    client.interceptors.request.use(async (config) => {
+        const id = config.metadata?.id || `${name}-${crypto.randomBytes(4).toString('hex')}`;
+        const queuedAt = Date.now();
+        await limiter.acquire();
+        config.metadata = { id, queuedAt, startedAt: Date.now() };
+
+        logApiRequest(String(config.method).toUpperCase(), client.getUri(config), config.data, { id, headers: config.headers });
+        return config;
+    });
+
+    client.interceptors.response.use(
+        (response) => {
+            complete(response.config, response);
+            return response;
+        },
+        async (error) => {
+            const config = error.config;
+            complete(config, error.response, error);
+            if (!config) {
+                throw error;
+            }
+
+            const attempt = (config.retryCount || 0) + 1;
+            if (attempt > settings.retries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt, settings);
+            const reason = error.response ? `status ${error.response.status}` : error.code || error.message;
+            logger.info(`Retrying [${config.metadata.id}] ${String(config.method).toUpperCase()} ${redactUrl(client.getUri(config))} in ${delay} ms `
+                + `(${reason}, retry ${attempt} of ${settings.retries})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            config.retryCount = attempt;
+            return client.request(config);
+        }
+    );
+
+    return client;
+}
+
+module.exports = {
+    DEFAULT_HTTP_SETTINGS,
+    getHttpSettings,
+    createHttpClient
+};
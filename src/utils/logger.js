@@ -0,0 +1,105 @@
+const chalk = require('chalk');
+const { redactBody } = require('./redact');
+
+// Levels from the most to the least severe, a level shows the ones before it
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+const DEFAULT_LOG_LEVEL = 'warn';
+
+const LEVEL_COLORS = {
+    error: chalk.red,
+    warn: chalk.yellow,
+    info: chalk.blue,
+    debug: chalk.cyan
+};
+
+// Logging state, set once per process from the global options
+let logLevel = DEFAULT_LOG_LEVEL;
+let logFormat = 'text';
+
+/**
+ * Configure the logs of this process. Logs go to stderr, so that they never mix with a command's output.
+ * @param {Object} options - Log options, the ones not given are kept
+ * @param {string} options.level - Least severe level shown: error, warn, info or debug
+ * @param {string} options.format - text for humans, json for one JSON object per line
+ * @throws {Error} If the level or format is not supported
+ */
+function setLogOptions({ level, format } = {}) {
+    if (level !== undefined) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unsupported log level ${level}, use one of ${LOG_LEVELS.join(', ')}`);
+        }
+        logLevel = level;
+    }
+    if (format !== undefined) {
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Unsupported log format ${format}, use one of ${LOG_FORMATS.join(', ')}`);
+        }
+        logFormat = format;
+    }
+}
+
+/**
+ * Get the least severe level shown
+ * @returns {string} The log level
+ */
+function getLogLevel() {
+    return logLevel;
+}
+
+/**
+ * Get the format of the logs
+ * @returns {string} text or json
+ */
+function getLogFormat() {
+    return logFormat;
+}
+
+/**
+ * Check whether messages of a level are shown
+ * @param {string} level - Log level
+ * @returns {boolean} True if the level is shown
+ */
+function isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+}
+
+/**
+ * Write a log record to stderr, with the credentials of its fields redacted
+ * @param {string} level - Log level
+ * @param {string} message - Message
+ * @param {Object} fields - Optional structured data: a JSON log record includes them, the text format prints them below the message
+ */
+function log(level, message, fields = null) {
+    if (!isLevelEnabled(level)) {
+        return;
+    }
+
+    const data = fields === null || fields === undefined ? null : redactBody(fields);
+    if (logFormat === 'json') {
+        const record = { time: new Date().toISOString(), level, message };
+        process.stderr.write(`${JSON.stringify(data && typeof data === 'object' && !Array.isArray(data) ? { ...record, ...data } : { ...record, data })}\n`);
+        return;
+    }
+
+    const color = LEVEL_COLORS[level];
+    process.stderr.write(`${color(`${level.toUpperCase()}:`)} ${message}\n`);
+    if (data !== null) {
+        process.stderr.write(`${color('DATA:')} ${typeof data === 'object' ? JSON.stringify(data, null, 2) : data}\n`);
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    DEFAULT_LOG_LEVEL,
+    setLogOptions,
+    getLogLevel,
+    getLogFormat,
+    isLevelEnabled,
+    log,
+    error: (message, fields) => log('error', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    debug: (message, fields) => log('debug', message, fields)
+};
@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const VoiceAgentProviderFactory = require('../services/VoiceAgentProviderFactory');
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const ENV_REFERENCE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * List the providers a manifest may use, the ones with an API key. Provider plugins are loaded on first use, so the list is not a constant.
+ * @returns {Array<string>} Provider IDs
+ */
+function getManifestProviders() {
+    return VoiceAgentProviderFactory.listProviders().filter(info => info.remoteApi).map(info => info.id);
+}
+
+/**
+ * List the providers whose trunk credential is stored in the domain configuration
+ * @returns {Array<string>} Provider IDs
+ */
+function getTrunkProviders() {
+    return VoiceAgentProviderFactory.listProviders().filter(info => info.sipTrunks).map(info => info.id);
+}
+
+/**
+ * Normalize a provider name to the provider ID, aliases such as 11labs and elevenlabs refer to the same provider
+ * @param {string} provider - Provider name as written in the manifest
+ * @returns {string} The provider ID, or the lower-case name if the provider is not supported
+ */
+function normalizeProviderName(provider) {
+    const providerName = String(provider || '').trim().toLowerCase();
+    return VoiceAgentProviderFactory.getProviderInfo(providerName)?.id || providerName;
+}
+
+/**
+ * Replace ${VAR} references with the value of the environment variable, recursively
+ * @param {*} value - Manifest value
+ * @param {string} location - Path of the value in the manifest, used in error messages
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {*} The value with environment references resolved
+ */
+function resolveEnvReferences(value, location, errors) {
+    if (typeof value === 'string') {
+        return value.replace(ENV_REFERENCE_PATTERN, (reference, name) => {
+            if (process.env[name] === undefined) {
+                errors.push(`${location}: environment variable ${name} is not set`);
+                return reference;
+            }
+            return process.env[name];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((entry, index) => resolveEnvReferences(entry, `${location}[${index}]`, errors));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([key, entry]) => [key, resolveEnvReferences(entry, location ? `${location}.${key}` : key, errors)]));
+    }
+    return value;
+}
+
+/**
+ * Load a desired-state manifest (cx-vcc.yaml) and normalize it to
+ * { providers: { <provider>: { apiKey } }, domains: { <domain>: { apiKey, trunks: { <provider>: { name } }, numbers: [...] } } }
+ * @param {string} file - Path to the manifest
+ * @returns {{manifest: Object, errors: Array<string>}} The normalized manifest and validation errors
+ * @throws {Error} If the manifest cannot be read or parsed
+ */
+function loadManifest(file) {
+    const errors = [];
+    const raw = resolveEnvReferences(yaml.load(fs.readFileSync(file, 'utf8')) || {}, '', errors);
+    const manifest = { providers: {}, domains: {} };
+
+    Object.entries(raw.providers || {}).forEach(([providerName, providerManifest]) => {
+        const provider = normalizeProviderName(providerName);
+        if (!getManifestProviders().includes(provider)) {
+            errors.push(`providers.${providerName}: unsupported provider (supported: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')})`);
+            return;
+        }
+        if (!providerManifest?.apiKey) {
+            errors.push(`providers.${providerName}: apiKey is required`);
+            return;
+        }
+        manifest.providers[provider] = { apiKey: String(providerManifest.apiKey) };
+    });
+
+    const seenNumbers = new Map();
+
+    Object.entries(raw.domains || {}).forEach(([domainName, domainManifest]) => {
+        const location = `domains.${domainName}`;
+        const domain = { apiKey: domainManifest?.apiKey ? String(domainManifest.apiKey) : '', trunks: {}, numbers: [] };
+        manifest.domains[domainName] = domain;
+
+        if (!domain.apiKey) {
+            errors.push(`${location}: apiKey is required`);
+        }
+
+        Object.entries(domainManifest?.trunks || {}).forEach(([providerName, trunk]) => {
+            const provider = normalizeProviderName(providerName);
+            if (!getTrunkProviders().includes(provider)) {
+                const info = VoiceAgentProviderFactory.getProviderInfo(provider);
+                errors.push(`${location}.trunks.${providerName}: ${info ? `${info.name} does not use SIP trunk credentials` : 'unsupported provider'}`);
+                return;
+            }
+            // A trunk is either its name or an object with a name
+            const name = typeof trunk === 'string' ? trunk : trunk?.name;
+            if (!name) {
+                errors.push(`${location}.trunks.${providerName}: trunk name is required`);
+                return;
+            }
+            domain.trunks[provider] = { name: String(name) };
+        });
+
+        (domainManifest?.numbers || []).forEach((entry, index) => {
+            const numberLocation = `${location}.numbers[${index}]`;
+            const number = {
+                number: String(entry?.number || '').trim(),
+                provider: normalizeProviderName(entry?.provider),
+                agent: entry?.agent ? String(entry.agent) : null,
+                label: entry?.label ? String(entry.label) : null
+            };
+
+            if (!E164_PATTERN.test(number.number)) {
+                errors.push(`${numberLocation}: phone number must be in E.164 format`);
+                return;
+            }
+            if (!getManifestProviders().includes(number.provider)) {
+                errors.push(`${numberLocation}: unsupported provider "${entry?.provider || ''}" (supported: ${VoiceAgentProviderFactory.getSupportedProviders().join(', ')})`);
+                return;
+            }
+            if (VoiceAgentProviderFactory.createProvider(number.provider).requiresTrunkCredential() && !domain.trunks[number.provider]) {
+                const info = VoiceAgentProviderFactory.getProviderInfo(number.provider);
+                errors.push(`${numberLocation}: ${info.name} numbers need a '${info.aliases[0]}' trunk in ${location}.trunks`);
+                return;
+            }
+
+            const key = `${number.provider}:${number.number}`;
+            if (seenNumbers.has(key)) {
+                errors.push(`${numberLocation}: ${number.number} is already listed at ${seenNumbers.get(key)}`);
+                return;
+            }
+            seenNumbers.set(key, numberLocation);
+
+            domain.numbers.push(number);
+        });
+    });
+
+    return { manifest, errors };
+}
+
+module.exports = {
+    getManifestProviders,
+    getTrunkProviders,
+    loadManifest,
+    normalizeProviderName
+};
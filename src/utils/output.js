@@ -0,0 +1,189 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { ERROR_CODES, ConnectorError } = require('./errors');
+
+// Output state, set once per process from the global options
+let jsonMode = false;
+let assumeYes = false;
+let commandName = null;
+let resultEmitted = false;
+let lastErrorMessage = null;
+
+/**
+ * Configure the output of this process from the global options.
+ * In JSON mode stdout only receives the result object: the human-readable output goes to stderr.
+ * @param {Object} options - Output options
+ * @param {boolean} options.json - Print a structured result (or error) object
+ * @param {boolean} options.yes - Answer yes to confirmations
+ * @param {string} options.command - Name of the command being run, included in the result object
+ */
+function setOutputOptions({ json = false, yes = false, command = null } = {}) {
+    assumeYes = Boolean(yes);
+    commandName = command;
+
+    if (!json || jsonMode) {
+        return;
+    }
+    jsonMode = true;
+
+    const printToStderr = console.error.bind(console);
+    console.log = printToStderr;
+    console.info = printToStderr;
+    console.warn = printToStderr;
+
+    // Remember the last error printed, so that a command exiting without calling fail() still reports something
+    console.error = (...args) => {
+        lastErrorMessage = args.map(String).join(' ');
+        printToStderr(...args);
+    };
+
+    process.on('exit', (exitCode) => {
+        if (resultEmitted) {
+            return;
+        }
+        if (exitCode === 0) {
+            writeJson({ ok: true, command: commandName, result: null });
+        } else {
+            writeJson({
+                ok: false,
+                command: commandName,
+                error: { code: ERROR_CODES.COMMAND_FAILED, message: stripAnsi(lastErrorMessage || 'Command failed') }
+            });
+        }
+    });
+}
+
+/**
+ * Check whether the process prints JSON
+ * @returns {boolean} True in JSON mode
+ */
+function isJsonMode() {
+    return jsonMode;
+}
+
+/**
+ * Print the result of a command. Only prints in JSON mode, the commands print their human-readable output themselves.
+ * @param {Object} result - Structured result
+ */
+function emitResult(result) {
+    if (!jsonMode || resultEmitted) {
+        return;
+    }
+    writeJson({ ok: true, command: commandName, result });
+}
+
+/**
+ * Report an error and exit with status 1
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {Object} options - Options
+ * @param {string} options.hint - Suggestion printed after the message
+ * @param {Object} options.spinner - Spinner to fail with the message instead of printing it
+ * @param {Object} options.details - Additional structured details included in the JSON error
+ */
+function fail(code, message, { hint, spinner, details } = {}) {
+    if (spinner) {
+        spinner.fail(chalk.red(message));
+    } else {
+        console.error(chalk.red(message));
+    }
+    if (hint) {
+        console.log(chalk.yellow(hint));
+    }
+
+    if (jsonMode && !resultEmitted) {
+        writeJson({
+            ok: false,
+            command: commandName,
+            error: { code, message: stripAnsi(message), ...(hint ? { hint } : {}), ...(details ? { details } : {}) }
+        });
+    }
+    process.exit(1);
+}
+
+/**
+ * Report an error thrown by a command: ConnectorErrors keep their code, other errors get the fallback code
+ * @param {Error} error - The error
+ * @param {string} fallbackCode - Code used for errors that are not ConnectorErrors
+ * @param {string} prefix - Optional text prepended to the message
+ * @param {Object} options - Options passed to fail()
+ */
+function failWith(error, fallbackCode, prefix, options = {}) {
+    const message = prefix ? `${prefix}: ${error.message}` : error.message;
+    fail(error.code && ERROR_CODES[error.code] ? error.code : fallbackCode, message, { hint: error.hint, details: error.details, ...options });
+}
+
+/**
+ * Ask for confirmation, unless --yes was given
+ * @param {string} message - Question to confirm
+ * @returns {Promise<boolean>} True if confirmed
+ * @throws {ConnectorError} If confirmation is needed but stdin is not a terminal
+ */
+async function confirm(message) {
+    if (assumeYes) {
+        return true;
+    }
+    if (!process.stdin.isTTY) {
+        throw new ConnectorError(ERROR_CODES.CONFIRMATION_REQUIRED, `Confirmation required: ${message}`, {
+            hint: 'Pass --yes to confirm when not running in a terminal.'
+        });
+    }
+
+    const answers = await promptQuestions([{ type: 'confirm', name: 'confirm', message, default: false }]);
+    return answers.confirm;
+}
+
+/**
+ * Prompt for input
+ * @param {Array<Object>} questions - inquirer questions
+ * @returns {Promise<Object>} The answers
+ * @throws {ConnectorError} If stdin is not a terminal
+ */
+async function prompt(questions) {
+    if (!process.stdin.isTTY) {
+        throw new ConnectorError(ERROR_CODES.INPUT_REQUIRED, `Input required: ${questions.map(question => question.message).join(' ')}`,
+            { hint: 'Pass the value as an option when not running in a terminal.' });
+    }
+    return promptQuestions(questions);
+}
+
+/**
+ * Run inquirer, required lazily so that non-interactive runs do not load it
+ * @param {Array<Object>} questions - inquirer questions
+ * @returns {Promise<Object>} The answers
+ */
+function promptQuestions(questions) {
+    const inquirer = require('inquirer');
+    // In JSON mode stdout is reserved for the result, so prompts are shown on stderr
+    const promptModule = jsonMode ? inquirer.createPromptModule({ output: process.stderr }) : inquirer.prompt;
+    return promptModule(questions);
+}
+
+/**
+ * Write an object to stdout as JSON. Written synchronously so that it is not lost when the process exits.
+ * @param {Object} value - Object to print
+ */
+function writeJson(value) {
+    resultEmitted = true;
+    fs.writeSync(1, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Remove ANSI color codes from a message
+ * @param {string} text - Text that may contain color codes
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+    return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+module.exports = {
+    ERROR_CODES,
+    setOutputOptions,
+    isJsonMode,
+    emitResult,
+    fail,
+    failWith,
+    confirm,
+    prompt
+};
@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const { debugLog } = require('./debug');
+const { getProfileDir } = require('./profiles');
+
+const PLUGIN_PREFIX = 'cx-vcc-provider-';
+
+// Instance methods a provider plugin must implement, checked by name so that plugins built against another copy of cx-vcc work
+const REQUIRED_METHODS = ['verifyApiKey', 'listPhoneNumbers', 'addPhoneNumber', 'deletePhoneNumber', 'getDefaultSipUri'];
+
+/**
+ * List the plugins listed in the 'plugins' section of the active profile's configuration file.
+ * The file is read directly, without resolving its secrets, so that plugins can be loaded before the vault is unlocked.
+ * @returns {Array<string>} Module paths (relative to the configuration directory) or package names
+ */
+function getConfiguredPlugins() {
+    const configFile = path.join(getProfileDir(), 'config.yaml');
+    if (!fs.existsSync(configFile)) {
+        return [];
+    }
+    try {
+        const fileConfig = yaml.load(fs.readFileSync(configFile, 'utf8')) || {};
+        return Array.isArray(fileConfig.plugins) ? fileConfig.plugins : [];
+    } catch (error) {
+        debugLog(`Error reading plugins from config file: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Find the installed npm packages named cx-vcc-provider-*, scoped or not, in the directories
+ * Node.js would look them up from cx-vcc (its own node_modules, the global ones, NODE_PATH)
+ * @returns {Array<string>} Paths of the packages
+ */
+function findPluginPackages() {
+    const packages = new Map();
+    for (const dir of require.resolve.paths(PLUGIN_PREFIX) || []) {
+        if (!fs.existsSync(dir)) {
+            continue;
+        }
+        for (const entry of fs.readdirSync(dir)) {
+            const names = entry.startsWith('@') && fs.statSync(path.join(dir, entry)).isDirectory()
+                ? fs.readdirSync(path.join(dir, entry)).map(name => `${entry}/${name}`)
+                : [entry];
+            names
+                .filter(name => path.basename(name).startsWith(PLUGIN_PREFIX))
+                // The first directory wins, as in the Node.js module resolution
+                .filter(name => !packages.has(name))
+                .forEach(name => packages.set(name, path.join(dir, name)));
+        }
+    }
+    return [...packages.values()];
+}
+
+/**
+ * Check that a plugin exports a provider class implementing IVoiceAgentProvider
+ * @param {Function} ProviderClass - The exported class
+ * @returns {string|null} The reason the class cannot be used, null if it can
+ */
+function checkProviderClass(ProviderClass) {
+    if (typeof ProviderClass !== 'function' || typeof ProviderClass.describe !== 'function') {
+        return 'it does not export a provider class with a static describe() method';
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof ProviderClass.prototype[method] !== 'function');
+    if (missing.length > 0) {
+        return `its provider class does not implement ${missing.join(', ')}`;
+    }
+    const info = ProviderClass.describe();
+    if (!info?.id || !info.name || !Array.isArray(info.aliases) || !Array.isArray(info.configKeys) || info.configKeys.length === 0) {
+        return 'describe() must return an id, a name, aliases and at least one config key';
+    }
+    return null;
+}
+
+/**
+ * Load the provider plugins: the installed cx-vcc-provider-* packages and the modules listed in the configuration.
+ * A plugin that cannot be loaded is reported on stderr and skipped, it does not prevent the other providers from working.
+ * @returns {Array<{source: string, ProviderClass: Function}>} The loaded provider classes with the path they were loaded from
+ */
+function loadProviderPlugins() {
+    const configDir = getProfileDir();
+    const sources = [
+        ...findPluginPackages(),
+        ...getConfiguredPlugins().map(plugin => String(plugin))
+    ];
+
+    const plugins = [];
+    for (const source of sources) {
+        try {
+            const modulePath = source.startsWith('.')
+                ? require.resolve(path.resolve(configDir, source))
+                : require.resolve(source, { paths: [configDir] });
+            if (plugins.some(plugin => plugin.source === modulePath)) {
+                continue;
+            }
+            const ProviderClass = require(modulePath);
+            const problem = checkProviderClass(ProviderClass);
+            if (problem) {
+                throw new Error(problem);
+            }
+            debugLog(`Loaded provider plugin ${ProviderClass.describe().id} from ${modulePath}`);
+            plugins.push({ source: modulePath, ProviderClass });
+        } catch (error) {
+            // Module resolution errors list the require stack after the first line
+            console.error(chalk.yellow(`Skipping provider plugin ${source}: ${error.message.split('\n')[0]}`));
+        }
+    }
+    return plugins;
+}
+
+module.exports = {
+    PLUGIN_PREFIX,
+    loadProviderPlugins
+};
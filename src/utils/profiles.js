@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { ERROR_CODES, InvalidArgumentError, NotFoundError } = require('./errors');
+
+const ROOT_DIR = path.join(os.homedir(), '.cx-vcc');
+const PROFILES_DIR = path.join(ROOT_DIR, 'profiles');
+const CURRENT_PROFILE_FILE = path.join(ROOT_DIR, 'current-profile');
+const DEFAULT_PROFILE = 'default';
+const PROFILE_ENV = 'CX_VCC_PROFILE';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Profile selected with --profile, takes precedence over CX_VCC_PROFILE and 'profile use'
+let activeProfile = null;
+
+/**
+ * Select the profile used by this process
+ * @param {string} name - Profile name
+ */
+function setActiveProfile(name) {
+    activeProfile = name || null;
+}
+
+/**
+ * Get the active profile: --profile, then CX_VCC_PROFILE, then the one selected with 'profile use'
+ * @returns {string} Profile name
+ */
+function getActiveProfile() {
+    if (activeProfile) {
+        return activeProfile;
+    }
+    if (process.env[PROFILE_ENV]) {
+        return process.env[PROFILE_ENV];
+    }
+    if (fs.existsSync(CURRENT_PROFILE_FILE)) {
+        const name = fs.readFileSync(CURRENT_PROFILE_FILE, 'utf8').trim();
+        if (name) {
+            return name;
+        }
+    }
+    return DEFAULT_PROFILE;
+}
+
+/**
+ * Get the directory holding a profile's configuration and vault.
+ * The default profile lives directly in ~/.cx-vcc, the others in ~/.cx-vcc/profiles/<name>.
+ * @param {string} name - Profile name, defaults to the active profile
+ * @returns {string} Directory path
+ */
+function getProfileDir(name = getActiveProfile()) {
+    return name === DEFAULT_PROFILE ? ROOT_DIR : path.join(PROFILES_DIR, name);
+}
+
+/**
+ * Check whether a profile exists, the default profile always does
+ * @param {string} name - Profile name
+ * @returns {boolean} True if the profile exists
+ */
+function profileExists(name) {
+    return name === DEFAULT_PROFILE || fs.existsSync(getProfileDir(name));
+}
+
+/**
+ * List the profile names, starting with the default profile
+ * @returns {Array<string>} Profile names
+ */
+function listProfiles() {
+    const profiles = fs.existsSync(PROFILES_DIR)
+        ? fs.readdirSync(PROFILES_DIR).filter(name => fs.statSync(path.join(PROFILES_DIR, name)).isDirectory()).sort()
+        : [];
+    return [DEFAULT_PROFILE, ...profiles.filter(name => name !== DEFAULT_PROFILE)];
+}
+
+/**
+ * Validate a profile name
+ * @param {string} name - Profile name
+ * @throws {InvalidArgumentError} If the name cannot be used as a directory name
+ */
+function validateProfileName(name) {
+    if (!PROFILE_NAME_PATTERN.test(name || '')) {
+        throw new InvalidArgumentError(`Invalid profile name "${name}": use letters, digits, '-' and '_' only`);
+    }
+}
+
+/**
+ * Create an empty profile
+ * @param {string} name - Profile name
+ * @throws {InvalidArgumentError} If the name is invalid or the profile already exists
+ */
+function createProfile(name) {
+    validateProfileName(name);
+    if (profileExists(name)) {
+        throw new InvalidArgumentError(`Profile ${name} already exists`);
+    }
+    fs.ensureDirSync(getProfileDir(name), { mode: 0o700 });
+}
+
+/**
+ * Make a profile the active one for later commands
+ * @param {string} name - Profile name
+ * @throws {NotFoundError} If the profile does not exist
+ */
+function useProfile(name) {
+    if (!profileExists(name)) {
+        throw new NotFoundError(ERROR_CODES.PROFILE_NOT_FOUND, `Profile ${name} does not exist`, {
+            hint: `Use 'cx-vcc profile list' to list the available profiles.`
+        });
+    }
+    fs.ensureDirSync(ROOT_DIR, { mode: 0o700 });
+    if (name === DEFAULT_PROFILE) {
+        fs.removeSync(CURRENT_PROFILE_FILE);
+    } else {
+        fs.writeFileSync(CURRENT_PROFILE_FILE, `${name}\n`, 'utf8');
+    }
+}
+
+/**
+ * Delete a profile with its configuration and vault, switching back to the default profile if it was in use
+ * @param {string} name - Profile name
+ * @throws {InvalidArgumentError|NotFoundError} If the profile is the default one or does not exist
+ */
+function deleteProfile(name) {
+    if (name === DEFAULT_PROFILE) {
+        throw new InvalidArgumentError('The default profile cannot be deleted');
+    }
+    if (!profileExists(name)) {
+        throw new NotFoundError(ERROR_CODES.PROFILE_NOT_FOUND, `Profile ${name} does not exist`, {
+            hint: `Use 'cx-vcc profile list' to list the available profiles.`
+        });
+    }
+    fs.removeSync(getProfileDir(name));
+
+    if (fs.existsSync(CURRENT_PROFILE_FILE) && fs.readFileSync(CURRENT_PROFILE_FILE, 'utf8').trim() === name) {
+        fs.removeSync(CURRENT_PROFILE_FILE);
+    }
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILE_ENV,
+    setActiveProfile,
+    getActiveProfile,
+    getProfileDir,
+    profileExists,
+    listProfiles,
+    createProfile,
+    useProfile,
+    deleteProfile
+};
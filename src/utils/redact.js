@@ -0,0 +1,71 @@
+// Headers carrying credentials, compared in lower case
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'xi-api-key', 'x-api-key', 'cookie', 'set-cookie'];
+
+// Body fields and query parameters carrying credentials, e.g. password, authPassword, apiKey, api_key or token
+const SECRET_FIELD_PATTERN = /pass(word)?$|secret|token$|api[-_]?key|access[-_]?key/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Redact a credential, keeping its scheme (e.g. 'Bearer') and last 4 characters so that keys can still be told apart
+ * @param {string} value - The credential
+ * @returns {string} The redacted credential
+ */
+function redactSecret(value) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    const [, scheme = '', secret = text] = text.match(/^(\w+ )(.+)$/) || [];
+    return secret.length >= 16 ? `${scheme}${REDACTED}${secret.slice(-4)}` : `${scheme}${REDACTED}`;
+}
+
+/**
+ * Redact the credential headers of a request or response
+ * @param {Object} headers - Headers, a plain object or axios headers
+ * @returns {Object} Plain object of the headers, with the credentials redacted
+ */
+function redactHeaders(headers) {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => [name, SECRET_HEADERS.includes(name.toLowerCase()) ? redactSecret(value) : value]));
+}
+
+/**
+ * Redact the credential fields of a request or response body, at any depth
+ * @param {any} data - Body, an object, an array, a JSON string or any other value
+ * @returns {any} Copy of the body with the credentials redacted, JSON strings are parsed
+ */
+function redactBody(data) {
+    if (typeof data === 'string') {
+        try {
+            return redactBody(JSON.parse(data));
+        } catch (error) {
+            return data;
+        }
+    }
+    if (Array.isArray(data)) {
+        return data.map(redactBody);
+    }
+    if (data && typeof data === 'object') {
+        return Object.fromEntries(Object.entries(data).map(([key, value]) =>
+            [key, SECRET_FIELD_PATTERN.test(key) && typeof value === 'string' && value ? REDACTED : redactBody(value)]));
+    }
+    return data;
+}
+
+/**
+ * Redact the credential query parameters of a URL
+ * @param {string} url - The URL
+ * @returns {string} The URL with the credentials redacted
+ */
+function redactUrl(url) {
+    return String(url).replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, name) =>
+        SECRET_FIELD_PATTERN.test(decodeURIComponent(name)) ? `${separator}${name}=${REDACTED}` : match);
+}
+
+module.exports = {
+    REDACTED,
+    redactSecret,
+    redactHeaders,
+    redactBody,
+    redactUrl
+};
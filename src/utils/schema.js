@@ -0,0 +1,135 @@
+/**
+ * Validation of values against a JSON Schema (draft-07). Only the keywords the cx-vcc schemas use are supported:
+ * boolean schemas, $ref (to '#/definitions/...'), type, enum, const, pattern, minimum, maximum, properties, required,
+ * patternProperties, additionalProperties, propertyNames and items. A pattern can be described for the error messages
+ * with the non-standard patternDescription keyword, which other validators ignore.
+ */
+
+/**
+ * Get the JSON type of a value, telling integers apart
+ * @param {any} value - The value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Check whether a value has one of the types of a schema, integers are numbers too
+ * @param {any} value - The value
+ * @param {string|Array<string>} types - Type or types of the schema
+ * @returns {boolean} True if the value has one of the types
+ */
+function hasType(value, types) {
+    const type = getType(value);
+    return [].concat(types).some(expected => expected === type || (expected === 'number' && type === 'integer'));
+}
+
+/**
+ * Append a key to the location of a value, e.g. domains.example.com.vapi
+ * @param {string} location - Location of the parent value, empty for the root
+ * @param {string|number} key - Property name or array index
+ * @returns {string} The location
+ */
+function childLocation(location, key) {
+    if (typeof key === 'number') {
+        return `${location}[${key}]`;
+    }
+    return location ? `${location}.${key}` : String(key);
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {any} value - The value
+ * @param {Object} schema - The schema
+ * @param {Object} options - Options
+ * @param {Object} options.root - Schema the $ref definitions are read from, the schema itself by default
+ * @param {string} options.location - Location of the value, prepended to the error paths
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if the value is valid
+ */
+function validateSchema(value, schema, { root = schema, location = '' } = {}) {
+    const errors = [];
+    const report = (path, message) => errors.push({ path: path || '(root)', message });
+
+    // Boolean schemas: true accepts any value, false none
+    if (schema === true || schema === false) {
+        if (!schema) {
+            report(location, 'is not allowed here');
+        }
+        return errors;
+    }
+
+    if (schema.$ref) {
+        const definition = schema.$ref.replace(/^#\/definitions\//, '');
+        return validateSchema(value, root.definitions[definition], { root, location });
+    }
+
+    if (schema.type && !hasType(value, schema.type)) {
+        report(location, `must be ${[].concat(schema.type).map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}, not ${getType(value)}`);
+        return errors;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        report(location, `must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(location, `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        report(location, schema.patternDescription ? `must be ${schema.patternDescription}` : `must match ${schema.pattern}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(location, `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(location, `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, { root, location: childLocation(location, index) })));
+    }
+
+    if (getType(value) === 'object') {
+        for (const property of schema.required || []) {
+            if (value[property] === undefined) {
+                report(childLocation(location, property), 'is required');
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemLocation = childLocation(location, key);
+            if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                report(itemLocation, `is not a valid key, it must be ${schema.propertyNames.patternDescription || `matching ${schema.propertyNames.pattern}`}`);
+                continue;
+            }
+
+            const schemas = [
+                ...(schema.properties?.[key] !== undefined ? [schema.properties[key]] : []),
+                ...Object.entries(schema.patternProperties || {})
+                    .filter(([pattern]) => new RegExp(pattern).test(key))
+                    .map(([, patternSchema]) => patternSchema)
+            ];
+            if (schemas.length === 0 && schema.additionalProperties === false) {
+                report(itemLocation, 'is not a known setting');
+            } else if (schemas.length === 0 && typeof schema.additionalProperties === 'object') {
+                schemas.push(schema.additionalProperties);
+            }
+            schemas.forEach(itemSchema => errors.push(...validateSchema(item, itemSchema, { root, location: itemLocation })));
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
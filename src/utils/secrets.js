@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getProfileDir } = require('./profiles');
+const { prompt } = require('./output');
+
+const VAULT_VERSION = 1;
+const PASSPHRASE_ENV = 'CX_VCC_VAULT_PASSPHRASE';
+const PLAINTEXT_ENV = 'CX_VCC_PLAINTEXT_SECRETS';
+// Secret references stored in the configuration look like "<backend>:<name>", e.g. "vault:vapi.apiKey"
+const REFERENCE_PATTERN = /^([a-z][a-z0-9-]*):(.+)$/;
+
+// Vault state, unlocked at most once per process
+let vaultPassphrase = null;
+let vaultKey = null;
+let vaultSalt = null;
+let vaultEntries = null;
+
+/**
+ * Get the vault file of the active profile
+ * @returns {string} File path
+ */
+function getVaultFile() {
+    return path.join(getProfileDir(), 'vault.json');
+}
+
+/**
+ * Secret backends by reference scheme. Each backend implements get(name), and optionally set(name, value)
+ * and prune(names) to drop the entries that are no longer referenced.
+ */
+const backends = {
+    vault: {
+        get: (name) => {
+            const entries = readVault();
+            if (!(name in entries)) {
+                throw new Error(`Secret ${name} not found in the vault`);
+            }
+            return entries[name];
+        },
+        set: (name, value) => {
+            const entries = readVault();
+            if (entries[name] !== value) {
+                writeVault({ ...entries, [name]: value });
+            }
+        },
+        prune: (names) => {
+            const entries = readVault();
+            const kept = Object.fromEntries(Object.entries(entries).filter(([name]) => names.includes(name)));
+            if (Object.keys(kept).length !== Object.keys(entries).length) {
+                writeVault(kept);
+            }
+        }
+    },
+    env: {
+        get: (name) => {
+            if (process.env[name] === undefined) {
+                throw new Error(`Environment variable ${name} is not set`);
+            }
+            return process.env[name];
+        }
+    }
+};
+
+/**
+ * Register a secret backend for a reference scheme
+ * @param {string} scheme - Reference scheme, e.g. "keychain" for "keychain:<name>" references
+ * @param {Object} backend - Backend with get(name), and optionally set(name, value) and prune(names)
+ */
+function registerSecretBackend(scheme, backend) {
+    backends[scheme] = backend;
+}
+
+/**
+ * Parse a secret reference
+ * @param {*} value - A configuration value
+ * @returns {{scheme: string, name: string}|null} The reference, or null if the value is not a reference to a registered backend
+ */
+function parseSecretReference(value) {
+    const match = typeof value === 'string' ? value.match(REFERENCE_PATTERN) : null;
+    if (!match || !backends[match[1]]) {
+        return null;
+    }
+    return { scheme: match[1], name: match[2] };
+}
+
+/**
+ * Resolve a configuration value, returning plaintext values unchanged
+ * @param {*} value - A configuration value or secret reference
+ * @returns {*} The secret value
+ * @throws {Error} If the referenced secret cannot be read
+ */
+function resolveSecret(value) {
+    const reference = parseSecretReference(value);
+    return reference ? backends[reference.scheme].get(reference.name) : value;
+}
+
+/**
+ * Set the passphrase used to unlock the vault, overriding CX_VCC_VAULT_PASSPHRASE
+ * @param {string} passphrase - The vault passphrase
+ */
+function setVaultPassphrase(passphrase) {
+    if (passphrase !== vaultPassphrase) {
+        vaultPassphrase = passphrase;
+        vaultKey = null;
+        vaultEntries = null;
+    }
+}
+
+/**
+ * Get the vault passphrase, if one was set or is available in the environment
+ * @returns {string|null} The passphrase
+ */
+function getVaultPassphrase() {
+    return vaultPassphrase || process.env[PASSPHRASE_ENV] || null;
+}
+
+/**
+ * Check whether secrets can be stored in the vault, i.e. a passphrase is known
+ * @returns {boolean} True if the vault can be used
+ */
+function isVaultAvailable() {
+    return Boolean(getVaultPassphrase());
+}
+
+/**
+ * Check whether new secrets may be written in plaintext when the vault is locked, an opt-in with CX_VCC_PLAINTEXT_SECRETS=1
+ * @returns {boolean} True if plaintext secrets are allowed
+ */
+function isPlaintextAllowed() {
+    return process.env[PLAINTEXT_ENV] === '1';
+}
+
+/**
+ * Check whether the vault file exists
+ * @returns {boolean} True if the vault was created
+ */
+function vaultExists() {
+    return fs.existsSync(getVaultFile());
+}
+
+/**
+ * Decrypt the vault to verify the passphrase
+ * @throws {Error} If no passphrase is set or it does not decrypt the vault
+ */
+function unlockVault() {
+    readVault();
+}
+
+/**
+ * Derive the vault encryption key from the passphrase
+ * @param {Buffer} salt - Key derivation salt
+ * @returns {Buffer} A 256-bit key
+ */
+function deriveKey(salt) {
+    const passphrase = getVaultPassphrase();
+    if (!passphrase) {
+        throw new Error(`The vault is locked. Set ${PASSPHRASE_ENV} or run the command in a terminal to enter the vault passphrase.`);
+    }
+    if (!vaultKey || !vaultSalt || !vaultSalt.equals(salt)) {
+        vaultKey = crypto.scryptSync(passphrase, salt, 32);
+        vaultSalt = salt;
+    }
+    return vaultKey;
+}
+
+/**
+ * Read and decrypt the vault entries
+ * @returns {Object} Secret values by name
+ * @throws {Error} If the vault cannot be decrypted
+ */
+function readVault() {
+    if (vaultEntries) {
+        return vaultEntries;
+    }
+    if (!vaultExists()) {
+        deriveKey(crypto.randomBytes(16));
+        vaultEntries = {};
+        return vaultEntries;
+    }
+
+    enforceFileMode(getVaultFile());
+    const vault = fs.readJsonSync(getVaultFile());
+    if (vault.version !== VAULT_VERSION) {
+        throw new Error(`Unsupported vault version ${vault.version}`);
+    }
+
+    const key = deriveKey(Buffer.from(vault.salt, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+        vaultEntries = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        vaultKey = null;
+        throw new Error('Invalid vault passphrase');
+    }
+    return vaultEntries;
+}
+
+/**
+ * Encrypt and write the vault entries
+ * @param {Object} entries - Secret values by name
+ */
+function writeVault(entries) {
+    const key = deriveKey(vaultSalt || crypto.randomBytes(16));
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+    fs.ensureDirSync(path.dirname(getVaultFile()), { mode: 0o700 });
+    writeFileAtomic(getVaultFile(), JSON.stringify({
+        version: VAULT_VERSION,
+        kdf: 'scrypt',
+        cipher: 'aes-256-gcm',
+        salt: vaultSalt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    }, null, 2));
+    vaultEntries = entries;
+}
+
+/**
+ * Store a secret in the vault
+ * @param {string} name - Secret name
+ * @param {string} value - Secret value
+ */
+function storeSecret(name, value) {
+    backends.vault.set(name, value);
+}
+
+/**
+ * Remove the vault entries that are no longer referenced
+ * @param {Array<string>} names - Names of the secrets that are still referenced
+ */
+function pruneSecrets(names) {
+    backends.vault.prune(names);
+}
+
+/**
+ * Make sure the vault can be decrypted before a command runs, asking for the passphrase in a terminal
+ * @param {Object} options - Options
+ * @param {boolean} options.create - Ask for a new passphrase (twice) if the vault does not exist yet
+ * @throws {Error} If the vault is locked and no passphrase can be obtained, or the passphrase is wrong
+ */
+async function ensureVaultUnlocked({ create = false } = {}) {
+    const exists = vaultExists();
+    if (!exists && !create) {
+        return;
+    }
+
+    if (!getVaultPassphrase()) {
+        if (!process.stdin.isTTY) {
+            throw new Error(`The vault is locked. Set ${PASSPHRASE_ENV} to the vault passphrase.`);
+        }
+
+        const answers = await prompt([
+            {
+                type: 'password',
+                name: 'passphrase',
+                mask: '*',
+                message: exists ? 'Vault passphrase:' : 'New vault passphrase:',
+                validate: (input) => input.length > 0 || 'The passphrase cannot be empty'
+            },
+            {
+                type: 'password',
+                name: 'confirmation',
+                mask: '*',
+                message: 'Confirm the vault passphrase:',
+                when: () => !exists,
+                validate: (input, current) => input === current.passphrase || 'The passphrases do not match'
+            }
+        ]);
+        setVaultPassphrase(answers.passphrase);
+    }
+
+    unlockVault();
+}
+
+/**
+ * Restrict a file to its owner (mode 0600), files holding secrets must not be readable by other users
+ * @param {string} file - Path to the file
+ */
+function enforceFileMode(file) {
+    if (process.platform === 'win32' || !fs.existsSync(file)) {
+        return;
+    }
+    if ((fs.statSync(file).mode & 0o077) !== 0) {
+        fs.chmodSync(file, 0o600);
+    }
+}
+
+/**
+ * Write a file holding secrets atomically: the content is written to a temporary file next to it, with mode 0600,
+ * which then replaces the file, so that a crash never leaves it half written
+ * @param {string} file - Path to the file
+ * @param {string} content - File content
+ */
+function writeFileAtomic(file, content) {
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    try {
+        const fd = fs.openSync(tempFile, 'w', 0o600);
+        try {
+            fs.writeFileSync(fd, content, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        enforceFileMode(tempFile);
+        fs.renameSync(tempFile, file);
+    } catch (error) {
+        fs.removeSync(tempFile);
+        throw error;
+    }
+}
+
+module.exports = {
+    PASSPHRASE_ENV,
+    PLAINTEXT_ENV,
+    getVaultFile,
+    registerSecretBackend,
+    parseSecretReference,
+    resolveSecret,
+    setVaultPassphrase,
+    getVaultPassphrase,
+    isVaultAvailable,
+    isPlaintextAllowed,
+    vaultExists,
+    unlockVault,
+    ensureVaultUnlocked,
+    storeSecret,
+    pruneSecrets,
+    enforceFileMode,
+    writeFileAtomic
+};
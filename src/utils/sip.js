@@ -0,0 +1,102 @@
+// Transports Cloudonix trunks can reach a SIP endpoint with
+const SIP_TRANSPORTS = ['udp', 'tcp', 'tls'];
+
+// Standard SIP ports by transport
+const DEFAULT_PORTS = { udp: 5060, tcp: 5060, tls: 5061 };
+
+/**
+ * Extract the host part of a SIP URI or host string
+ * e.g. "sip:+1555@abc.sip.cloudonix.net:5060;transport=tcp" becomes "abc.sip.cloudonix.net"
+ * @param {string} uri - SIP URI or plain host
+ * @returns {string} Lower-cased host, or an empty string if no URI was given
+ */
+function getSipHost(uri) {
+    if (!uri) {
+        return '';
+    }
+    return String(uri)
+        .replace(/^sips?:/i, '')
+        .replace(/^[^@]*@/, '')
+        .split(';')[0]
+        .split(':')[0]
+        .toLowerCase();
+}
+
+/**
+ * Check whether two SIP URIs or hosts point at the same host
+ * @param {string} uri - SIP URI or plain host
+ * @param {string} otherUri - SIP URI or plain host to compare against
+ * @returns {boolean} True if both resolve to the same, non-empty host
+ */
+function isSameSipHost(uri, otherUri) {
+    const host = getSipHost(uri);
+    return host !== '' && host === getSipHost(otherUri);
+}
+
+/**
+ * Split a SIP URI into the parts needed to reach it
+ * e.g. "sip:+1555@abc.sip.livekit.cloud:5060;transport=tcp" becomes
+ * { user: '+1555', host: 'abc.sip.livekit.cloud', port: 5060, transport: 'tcp' }
+ * @param {string} uri - SIP URI or plain host
+ * @returns {{user: string, host: string, port: number, transport: string}} The URI parts, UDP on port 5060 by default
+ * (5061 for TLS and sips: URIs)
+ */
+function parseSipUri(uri) {
+    const secure = /^sips:/i.test(String(uri || ''));
+    const value = String(uri || '').replace(/^sips?:/i, '');
+    const [address, ...params] = value.split(';');
+    const user = address.includes('@') ? address.split('@')[0] : '';
+    const hostPort = address.replace(/^[^@]*@/, '');
+    const port = parseInt(hostPort.split(':')[1], 10);
+    const transportParam = params.find(param => /^transport=/i.test(param));
+    const transport = transportParam ? transportParam.split('=')[1].toLowerCase() : (secure ? 'tls' : 'udp');
+
+    return {
+        user,
+        host: getSipHost(uri),
+        port: Number.isInteger(port) ? port : DEFAULT_PORTS[transport] || 5060,
+        transport
+    };
+}
+
+/**
+ * Build the SIP URI of a user at an endpoint, without the port and transport the endpoint leaves unset
+ * e.g. ('+1555', { host: 'sip.example.com', port: 5061, transport: 'tls' }) becomes "sip:+1555@sip.example.com:5061;transport=tls"
+ * @param {string} user - User part, usually the phone number
+ * @param {{host: string, port: number, transport: string}} endpoint - The endpoint
+ * @returns {string} The SIP URI
+ */
+function formatSipUri(user, { host, port, transport }) {
+    return `sip:${user}@${host}${port ? `:${port}` : ''}${transport ? `;transport=${transport}` : ''}`;
+}
+
+/**
+ * Resolve the SIP endpoint of a provider from its regions and the configured overrides.
+ * The first region is the default one. Changing the transport without a port uses the transport's standard port.
+ * @param {Object} sipEndpoints - Endpoints by region, see IVoiceAgentProvider.describe
+ * @param {Object} settings - The configured overrides: region, host, port and transport, all optional
+ * @returns {{region: string, host: string, port: number|null, transport: string|null}} The endpoint
+ */
+function resolveSipEndpoint(sipEndpoints, settings = {}) {
+    const regions = Object.keys(sipEndpoints || {});
+    const region = regions.includes(settings.region) ? settings.region : regions[0] || null;
+    const base = sipEndpoints?.[region] || {};
+    const transport = settings.transport || base.transport || null;
+    const transportChanged = Boolean(settings.transport) && settings.transport !== base.transport;
+
+    return {
+        region,
+        host: settings.host || base.host || null,
+        port: Number(settings.port) || (transportChanged ? DEFAULT_PORTS[transport] : base.port) || null,
+        transport
+    };
+}
+
+module.exports = {
+    SIP_TRANSPORTS,
+    getSipHost,
+    isSameSipHost,
+    parseSipUri,
+    formatSipUri,
+    resolveSipEndpoint
+};
@@ -0,0 +1,27 @@
+const chalk = require('chalk');
+
+/**
+ * Print rows as a plain-text table with aligned columns
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<any>>} rows - Table rows, one value per column
+ * @param {Array<Function>} rowColors - Optional chalk function per row
+ */
+function printTable(headers, rows, rowColors = []) {
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...rows.map(row => String(row[column] ?? '').length)));
+    const formatRow = (row) => row
+        .map((cell, column) => String(cell ?? '').padEnd(widths[column]))
+        .join('  ')
+        .trimEnd();
+
+    console.log(chalk.bold(formatRow(headers)));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach((row, index) => {
+        const color = rowColors[index] || (text => text);
+        console.log(color(formatRow(row)));
+    });
+}
+
+module.exports = {
+    printTable
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const pkg = require('../../package.json');
+const { redactHeaders, redactBody, redactUrl } = require('./redact');
+
+// File the HTTP exchanges are written to, set with the global --trace option
+let traceFile = null;
+let entries = [];
+
+/**
+ * Record the HTTP exchanges of this process in a HAR file, written when the process exits.
+ * The file is created right away, so that a path that cannot be written fails before any request is sent.
+ * @param {string} file - Path of the HAR file
+ * @throws {Error} If the file cannot be written
+ */
+function setTraceFile(file) {
+    const firstCall = !traceFile;
+    traceFile = path.resolve(file);
+    entries = [];
+    writeTrace();
+
+    if (firstCall) {
+        process.on('exit', writeTrace);
+    }
+}
+
+/**
+ * Convert headers to the HAR list of name and value pairs, with the credentials redacted
+ * @param {Object} headers - Headers
+ * @returns {Array<{name: string, value: string}>} HAR headers
+ */
+function toHarHeaders(headers) {
+    return Object.entries(redactHeaders(headers)).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Serialize a body for the trace, with the credentials redacted
+ * @param {any} data - Request or response body
+ * @returns {string} The body as text
+ */
+function toHarText(data) {
+    if (data === undefined || data === null || data === '') {
+        return '';
+    }
+    const body = redactBody(data);
+    return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Record an HTTP exchange: one attempt of a request, with its response or the network error that ended it
+ * @param {Object} exchange - The exchange
+ * @param {string} exchange.client - Name of the client, e.g. 'vapi' or 'cloudonix'
+ * @param {string} exchange.id - Request ID, shared by the retries of a request
+ * @param {string} exchange.url - Full URL of the request
+ * @param {Object} exchange.config - The axios request config
+ * @param {number} exchange.queuedAt - Time the request was queued, in milliseconds since the epoch
+ * @param {number} exchange.startedAt - Time the request was sent
+ * @param {Object} exchange.response - The response, if any
+ * @param {Error} exchange.error - The network error, if no response was received
+ */
+function recordExchange({ client, id, url, config, queuedAt, startedAt, response, error }) {
+    if (!traceFile) {
+        return;
+    }
+
+    const duration = Date.now() - startedAt;
+    const requestText = toHarText(config.data);
+    const responseText = response ? toHarText(response.data) : '';
+    const parsedUrl = new URL(redactUrl(url));
+
+    entries.push({
+        startedDateTime: new Date(startedAt).toISOString(),
+        time: duration,
+        request: {
+            method: String(config.method).toUpperCase(),
+            url: parsedUrl.href,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toHarHeaders(config.headers),
+            queryString: [...parsedUrl.searchParams].map(([name, value]) => ({ name, value })),
+            ...(requestText && { postData: { mimeType: 'application/json', text: requestText } }),
+            headersSize: -1,
+            bodySize: requestText.length
+        },
+        response: {
+            status: response?.status || 0,
+            statusText: response?.statusText || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: response ? toHarHeaders(response.headers) : [],
+            content: {
+                size: responseText.length,
+                mimeType: String(response?.headers?.['content-type'] || 'application/octet-stream'),
+                text: responseText
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: {
+            // Time spent waiting for the concurrency limit
+            blocked: startedAt - queuedAt,
+            send: 0,
+            wait: duration,
+            receive: 0
+        },
+        _client: client,
+        _requestId: id,
+        _retry: config.retryCount || 0,
+        ...(error && !response && { _error: error.code || error.message })
+    });
+}
+
+/**
+ * Write the recorded exchanges to the trace file
+ */
+function writeTrace() {
+    if (!traceFile) {
+        return;
+    }
+    const har = {
+        log: {
+            version: '1.2',
+            creator: { name: pkg.name, version: pkg.version },
+            entries
+        }
+    };
+    fs.writeFileSync(traceFile, JSON.stringify(har, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+    setTraceFile,
+    recordExchange
+};
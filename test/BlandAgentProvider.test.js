@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The HTTP clients read their settings from the profile, use an empty one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cx-vcc-test-'));
+process.env.HOME = home;
+process.env.CX_VCC_HTTP_RETRIES = '0';
+
+const BlandAgentProvider = require('../src/services/BlandAgentProvider');
+
+const API_KEY = 'org_test';
+
+// Inbound numbers of the fake Bland account, by number
+const inboundNumbers = new Map();
+const requests = [];
+let server;
+let provider;
+
+/**
+ * Answer the requests like the Bland API endpoints used by the provider
+ */
+function handleRequest(request, response) {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        requests.push({ method: request.method, url: request.url, authorization: request.headers.authorization });
+        const send = (status, data) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(data));
+        };
+
+        if (request.headers.authorization !== API_KEY) {
+            send(401, { message: 'Invalid API key' });
+        } else if (request.method === 'GET' && request.url === '/v1/me') {
+            send(200, { billing: {} });
+        } else if (request.method === 'GET' && request.url === '/v1/inbound') {
+            send(200, { inbound_numbers: Array.from(inboundNumbers.values()) });
+        } else if (request.method === 'POST' && request.url === '/v1/inbound/sip') {
+            const { phone_number, termination_uri, name, pathway_id } = JSON.parse(body);
+            inboundNumbers.set(phone_number, { phone_number, termination_uri, name, pathway_id });
+            send(200, { status: 'success' });
+        } else if (request.method === 'DELETE' && request.url.startsWith('/v1/inbound/')) {
+            const number = decodeURIComponent(request.url.slice('/v1/inbound/'.length));
+            if (inboundNumbers.delete(number)) {
+                send(200, { status: 'success' });
+            } else {
+                send(404, { message: 'Number not found' });
+            }
+        } else {
+            send(404, { message: 'Not found' });
+        }
+    });
+}
+
+before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = new BlandAgentProvider(API_KEY, `http://127.0.0.1:${server.address().port}`);
+    // A number bought from Bland, not routed through Cloudonix
+    inboundNumbers.set('+15550000100', { phone_number: '+15550000100' });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('verifyApiKey sends the bare API key', async () => {
+    assert.strictEqual(await provider.verifyApiKey(), true);
+    assert.strictEqual(requests.at(-1).authorization, API_KEY);
+});
+
+test('verifyApiKey rejects an invalid API key', async () => {
+    const invalid = new BlandAgentProvider('wrong', provider.baseUrl);
+    await assert.rejects(invalid.verifyApiKey(), /Invalid Bland API key/);
+});
+
+test('addPhoneNumber imports the number terminated at the inbound SIP URI', async () => {
+    const phoneNumber = await provider.addPhoneNumber('+15550000101', {
+        domain: 'example.com',
+        inboundSipUri: 'example.sip.cloudonix.net',
+        agentId: 'pathway-1'
+    });
+
+    assert.deepStrictEqual(inboundNumbers.get('+15550000101'), {
+        phone_number: '+15550000101',
+        termination_uri: 'example.sip.cloudonix.net',
+        name: '[example.com] +15550000101',
+        pathway_id: 'pathway-1'
+    });
+    assert.strictEqual(phoneNumber.number, '+15550000101');
+    assert.strictEqual(phoneNumber.id, '+15550000101');
+    assert.strictEqual(phoneNumber.sipUri, 'sip:+15550000101@sip.bland.ai');
+    assert.strictEqual(phoneNumber.agentId, 'pathway-1');
+    assert.strictEqual(phoneNumber.terminationUri, 'example.sip.cloudonix.net');
+});
+
+test('addPhoneNumber requires the inbound SIP URI of the domain', async () => {
+    await assert.rejects(provider.addPhoneNumber('+15550000102', { domain: 'example.com' }), /missing inbound SIP URI/);
+});
+
+test('listPhoneNumbers only lists the BYO SIP numbers', async () => {
+    const phoneNumbers = await provider.listPhoneNumbers();
+    assert.deepStrictEqual(phoneNumbers.map(phoneNumber => phoneNumber.number), ['+15550000101']);
+});
+
+test('deletePhoneNumber deletes the number, and reports a number already deleted', async () => {
+    assert.strictEqual(await provider.deletePhoneNumber({ number: '+15550000101' }), true);
+    assert.strictEqual(inboundNumbers.has('+15550000101'), false);
+    assert.strictEqual(requests.at(-1).url, '/v1/inbound/%2B15550000101');
+    assert.strictEqual(await provider.deletePhoneNumber({ number: '+15550000101' }), false);
+});